@@ -106,9 +106,12 @@ export default defineConfig({
               { text: 'create stream', link: '/jet/statements/create-stream' },
               { text: 'create flow', link: '/jet/statements/create-flow' },
               { text: 'create lookup', link: '/jet/statements/create-lookup' },
+              { text: 'create view', link: '/jet/statements/create-view' },
+              { text: 'let', link: '/jet/statements/let' },
               { text: 'delete stream', link: '/jet/statements/delete-stream' },
               { text: 'delete flow', link: '/jet/statements/delete-flow' },
               { text: 'delete lookup', link: '/jet/statements/delete-lookup' },
+              { text: 'delete view', link: '/jet/statements/delete-view' },
               { text: 'insert into', link: '/jet/statements/insert-into' },
               { text: 'flush', link: '/jet/statements/flush' },
               { text: 'list', link: '/jet/statements/list' },
@@ -125,10 +128,30 @@ export default defineConfig({
               { text: 'select', link: '/jet/operators/select' },
               { text: 'scan', link: '/jet/operators/scan' },
               { text: 'summarize', link: '/jet/operators/summarize' },
+              { text: 'join', link: '/jet/operators/join' },
+              { text: 'lookup', link: '/jet/operators/lookup' },
+              { text: 'mv_expand', link: '/jet/operators/mv-expand' },
+              { text: 'distinct', link: '/jet/operators/distinct' },
+              { text: 'top', link: '/jet/operators/top' },
+              { text: 'reorder', link: '/jet/operators/reorder' },
+              { text: 'parse', link: '/jet/operators/parse' },
+              { text: 'throttle', link: '/jet/operators/throttle' },
+              { text: 'sample', link: '/jet/operators/sample' },
+              { text: 'fork', link: '/jet/operators/fork' },
               { text: 'insert_into', link: '/jet/operators/insert-into' },
               { text: 'write_to_file', link: '/jet/operators/write-to-file' },
               { text: 'assert_or_save_expected', link: '/jet/operators/assert-or-save-expected' },
             ]
+          },
+          {
+            text: 'Functions',
+            collapsed: true,
+            items: [
+              { text: 'String functions', link: '/jet/functions/string' },
+              { text: 'Datetime functions', link: '/jet/functions/datetime' },
+              { text: 'Conversion functions', link: '/jet/functions/conversion' },
+              { text: 'Array and bag functions', link: '/jet/functions/array' }
+            ]
           }
         ]
       },
@@ -14,20 +14,24 @@ function tokenizeJsonjet(code) {
     const lineTokens = []
     
     // Different types of keywords
-    const declarationKeywords = ['create', 'insert', 'delete', 'flush', 'list', 'info', 'subscribe', 'unsubscribe', 'print']
-    const flowKeywords = ['stream', 'flow', 'lookup', 'as', 'into', 'ttl']
-    const queryKeywords = ['where', 'select', 'scan', 'summarize', 'by', 'over', 'step', 'emit']
+    const declarationKeywords = ['create', 'insert', 'delete', 'flush', 'list', 'info', 'subscribe', 'unsubscribe', 'let', 'print']
+    const flowKeywords = ['stream', 'flow', 'view', 'lookup', 'as', 'into', 'ttl']
+    const queryKeywords = ['where', 'select', 'scan', 'summarize', 'join', 'within', 'union', 'withsource', 'mv_expand', 'with_itemindex', 'limit', 'distinct', 'top', 'asc', 'desc', 'reorder', 'order', 'max_delay', 'max_buffer', 'parse', 'with', 'throttle', 'sample', 'per', 'fork', 'tee', 'in', 'between', 'has', 'contains', 'startswith', 'endswith', 'matches', 'regex', 'by', 'over', 'step', 'emit']
     const controlKeywords = ['or', 'replace', 'if', 'not', 'exists', 'every', 'when', 'on', 'change', 'group', 'update', 'using']
     const windowKeywords = ['hopping_window', 'tumbling_window', 'sliding_window', 'count_window', 'hopping_window_by', 'tumbling_window_by', 'sliding_window_by', 'session_window']
     const logicalKeywords = ['and', 'or', 'not', 'if']
     const booleanLiterals = ['true', 'false', 'null']
-    const specialFunctions = ['iff', 'assert_or_save_expected', 'write_to_file', 'insert_into']
+    const specialFunctions = ['iff', 'case', 'switch', 'assert_or_save_expected', 'write_to_file', 'insert_into']
     
     // Operators
     const operators = ['|', '=>', '==', '!=', '<=', '>=', '<', '>', '=', '+', '-', '*', '/', '%', '&&', '||', '...', '?', ':']
     
     // Functions
-    const functions = ['count', 'sum', 'avg', 'min', 'max', 'abs', 'exp', 'pi', 'pow', 'mod', 'add', 'sub', 'mul', 'div', 'neg', 'eq', 'ne', 'lt', 'le', 'gt', 'ge']
+    const functions = ['count', 'sum', 'avg', 'min', 'max', 'stddev', 'stdevp', 'variance', 'variancep', 'percentile', 'percentiles', 'dcount', 'count_distinct', 'make_list', 'make_set', 'make_bag', 'arg_max', 'arg_min', 'first', 'last', 'any', 'countif', 'sumif', 'avgif', 'minif', 'maxif', 'abs', 'exp', 'pi', 'pow', 'mod', 'add', 'sub', 'mul', 'div', 'neg', 'eq', 'ne', 'lt', 'le', 'gt', 'ge',
+      'strlen', 'substring', 'tolower', 'toupper', 'trim', 'split', 'strcat', 'replace_regex', 'replace', 'indexof', 'pad_left', 'pad_right', 'format', 'extract',
+      'now', 'todatetime', 'datetime_part', 'datetime', 'format_datetime', 'startofday', 'startofweek', 'bin',
+      'toint', 'tolong', 'todouble', 'tostring', 'tobool', 'parse_json', 'tojson', 'typeof', 'gettype',
+      'array_length', 'array_concat', 'array_slice', 'array_index_of', 'array_sum', 'array_sort', 'array_map', 'array_filter', 'array_any', 'array_all', 'bag_keys', 'bag_merge', 'bag_remove_keys', 'bag_pack']
     
     let current = line
     let pos = 0
@@ -1,6 +1,9 @@
 import { Aggregation } from './aggregation.js';
 import { safeGet } from '../../utils/safe-access.js';
 
+// Conditional expressions evaluated by the expression tree itself, not the function registry
+const CONDITIONAL_FUNCTIONS = ['case', 'switch'];
+
 // Static registry references - set by components that use AggregationExpression
 let _functionRegistry = null;
 let _aggregationRegistry = null;
@@ -49,6 +52,8 @@ function getAggregationRegistry() {
  * Represents a tree where each node has a function name and args.
  * Action is inferred from function name:
  * - 'safeGet' -> safeGet action
+ * - '*' -> row action, the whole object (e.g. arg_max(temp, *))
+ * - 'case', 'switch' -> conditional action, only the chosen value is evaluated
  * - aggregation function name -> aggregation action  
  * - scalar function name -> scalar action
  */
@@ -71,11 +76,18 @@ export class AggregationExpression extends Aggregation {
     
     /**
      * Infer action type from function name
+     * Names that are both (min, max) aggregate a single argument and stay scalar
+     * with several, so max(a, b) keeps comparing values inside summarize
      */
     _inferAction(functionName) {
         if (functionName === 'safeGet') {
             return 'safeGet';
-        } else if (getAggregationRegistry().hasAggregation(functionName)) {
+        } else if (functionName === '*') {
+            return 'row';
+        } else if (CONDITIONAL_FUNCTIONS.includes(functionName)) {
+            return 'conditional';
+        } else if (getAggregationRegistry().hasAggregation(functionName) &&
+                   !(this.args.length > 1 && getFunctionRegistry().hasFunction(functionName))) {
             return 'aggregation';
         } else if (getFunctionRegistry().hasFunction(functionName)) {
             return 'scalar';
@@ -109,11 +121,17 @@ export class AggregationExpression extends Aggregation {
             }
             const fieldName = this.args[0];
             this.result = safeGet(object, fieldName);
+        } else if (this.action === 'row') {
+            this.result = object;
         } else if (this.action === 'scalar') {
-            // For scalar, evaluate with current object and context, then store result
+            // Push to child aggregations first so tostring(count()) sees this object
+            this._pushToChildren(object, context);
+            // Then evaluate with current object and context, and store result
             this.result = this._evaluateScalarWithObject(object, context);
-            // Also push to child aggregations
+        } else if (this.action === 'conditional') {
+            // Aggregations in every branch see every object, only the evaluation is conditional
             this._pushToChildren(object, context);
+            this.result = this._evaluateConditionalWithObject(object, context);
         } else {
             // For non-aggregation actions, push to all child aggregations
             this._pushToChildren(object, context);
@@ -137,12 +155,14 @@ export class AggregationExpression extends Aggregation {
     getResult() {
         switch (this.action) {
             case 'scalar':
-                // scalar evaluates during push() and stores result
+            case 'conditional':
+                // scalar and conditional evaluate during push() and store result
                 return this.result;
             case 'aggregation':
                 return this.wrappedAggregation ? this.wrappedAggregation.getResult() : null;
             case 'safeGet':
-                // safeGet extracts value during push() and stores it as result
+            case 'row':
+                // safeGet and row store their value during push()
                 return this.result;
             default:
                 throw new Error(`Unknown action: ${this.action}`);
@@ -190,9 +210,13 @@ export class AggregationExpression extends Aggregation {
                     }
                     const fieldName = arg.args[0];
                     return safeGet(object, fieldName);
+                case 'row':
+                    return object;
                 case 'scalar':
                     // Evaluate scalar with object and context
                     return arg._evaluateScalarWithObject(object, context);
+                case 'conditional':
+                    return arg._evaluateConditionalWithObject(object, context);
                 case 'aggregation':
                     // For aggregation in object context, return current result
                     // This allows scalar functions to access intermediate aggregation results
@@ -215,6 +239,82 @@ export class AggregationExpression extends Aggregation {
         return getFunctionRegistry().executeFunction(this.functionName, argValues);
     }
     
+    /**
+     * Evaluate case or switch with object and context, evaluating only the chosen value
+     * case args: [condition, value, ..., else]
+     * switch args: [subject, pattern, value, ..., default]; a null literal pattern also matches undefined
+     */
+    _evaluateConditionalWithObject(object, context = {}) {
+        const evaluate = arg => this._evaluateArgWithObject(arg, object, context);
+        const last = this.args.length - 1;
+
+        if (this.functionName === 'case') {
+            for (let i = 0; i < last; i += 2) {
+                if (evaluate(this.args[i])) {
+                    return evaluate(this.args[i + 1]);
+                }
+            }
+            return evaluate(this.args[last]);
+        }
+
+        const subject = evaluate(this.args[0]);
+        for (let i = 1; i < last; i += 2) {
+            const matches = this.args[i] === null ? subject == null : subject === evaluate(this.args[i]);
+            if (matches) {
+                return evaluate(this.args[i + 1]);
+            }
+        }
+        return evaluate(this.args[last]);
+    }
+
+    /**
+     * Merge the aggregation states of another expression built from the same spec
+     * Values taken from documents are left alone, refresh() evaluates them again
+     * @param {AggregationExpression} other
+     */
+    merge(other) {
+        if (this.action === 'aggregation') {
+            if (this.wrappedAggregation) {
+                this.wrappedAggregation.merge(other.wrappedAggregation);
+            }
+            return;
+        }
+
+        this.args.forEach((arg, i) => {
+            if (arg instanceof AggregationExpression) {
+                arg.merge(other.args[i]);
+            }
+        });
+    }
+
+    canMerge() {
+        if (this.action === 'aggregation') {
+            return !this.wrappedAggregation || this.wrappedAggregation.canMerge();
+        }
+        return this.args.every(arg => !(arg instanceof AggregationExpression) || arg.canMerge());
+    }
+
+    /**
+     * Evaluate the values taken from an object again without pushing it to aggregations,
+     * so they reflect the aggregation states after a merge
+     */
+    refresh(object, context = {}) {
+        if (this.action === 'safeGet') {
+            this.result = safeGet(object, this.args[0]);
+        } else if (this.action === 'row') {
+            this.result = object;
+        } else if (this.action === 'scalar' || this.action === 'conditional') {
+            for (const arg of this.args) {
+                if (arg instanceof AggregationExpression) {
+                    arg.refresh(object, context);
+                }
+            }
+            this.result = this.action === 'scalar'
+                ? this._evaluateScalarWithObject(object, context)
+                : this._evaluateConditionalWithObject(object, context);
+        }
+    }
+
     /**
      * Reset this expression and all children
      */
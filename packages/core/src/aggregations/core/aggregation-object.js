@@ -1,6 +1,9 @@
 import { Aggregation } from './aggregation.js';
 import { AggregationExpression } from './aggregation-expression.js';
 
+// Orders pushes across aggregation objects, so merging knows which object saw the latest document
+let pushSequence = 0;
+
 /**
  * Aggregation object that can hold AggregationExpressions at any depth
  * Used in summarize operations like: 
@@ -17,6 +20,8 @@ export class AggregationObject extends Aggregation {
         this.aggregations = []; // Flat array of all AggregationExpressions found
         this.processedSpec = null; // Spec with AggregationExpressions replaced by placeholders
         this.context = context; // Context object (e.g., window info) available to aggregations
+        this.lastObject = null; // Latest pushed object, values outside aggregations are taken from it
+        this.lastSequence = -1;
         
         // Change tracking state
         this._lastResult = null;
@@ -81,10 +86,40 @@ export class AggregationObject extends Aggregation {
             expression.push(object, this.context);
         }
         
+        this.lastObject = object;
+        this.lastSequence = pushSequence++;
+        
         // Mark that we have new data, so result may have changed
         this._hasChanged = true;
     }
     
+    /**
+     * Merge another aggregation object built from the same spec, e.g. the partial
+     * results of a window pane, as if its objects had been pushed here
+     * @param {AggregationObject} other
+     */
+    merge(other) {
+        this.aggregations.forEach(({ expression }, i) => {
+            expression.merge(other.aggregations[i].expression);
+        });
+        
+        if (other.lastSequence > this.lastSequence) {
+            this.lastObject = other.lastObject;
+            this.lastSequence = other.lastSequence;
+        }
+        if (this.lastSequence >= 0) {
+            for (const { expression } of this.aggregations) {
+                expression.refresh(this.lastObject, this.context);
+            }
+        }
+        
+        this._hasChanged = true;
+    }
+    
+    canMerge() {
+        return this.aggregations.every(({ expression }) => expression.canMerge());
+    }
+    
     getResult() {
         // Build result by replacing placeholders with actual aggregation results
         const result = this._buildResultRecursively(this.processedSpec);
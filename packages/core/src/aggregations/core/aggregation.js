@@ -22,4 +22,16 @@ export class Aggregation {
         // Create a copy of this aggregation
         throw new Error('Must implement clone method');
     }
+    
+    merge(other) {
+        // Combine the state of another aggregation of the same kind into this one,
+        // as if this one had also seen the values pushed to the other; summarize
+        // combines the panes of hopping windows this way
+        throw new Error(`${this.constructor.name} does not support merge`);
+    }
+    
+    canMerge() {
+        // Whether merge() is implemented
+        return this.merge !== Aggregation.prototype.merge;
+    }
 } 
\ No newline at end of file
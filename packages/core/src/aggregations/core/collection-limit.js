@@ -0,0 +1,20 @@
+// Collection aggregations keep at most this many entries per group unless a size is given
+export const DEFAULT_MAX_SIZE = 1024;
+
+// Hard cap on any requested size, so a hot group cannot grow a window without bound
+export const MAX_SIZE = 65536;
+
+/**
+ * Resolve the maxSize argument of a collection aggregation
+ * @param {*} maxSize - Requested size, undefined for the default
+ * @returns {number|null} Size clamped to MAX_SIZE, or null if the size is not a positive integer
+ */
+export function resolveMaxSize(maxSize) {
+    if (maxSize === undefined) {
+        return DEFAULT_MAX_SIZE;
+    }
+    if (!Number.isInteger(maxSize) || maxSize < 1) {
+        return null;
+    }
+    return Math.min(maxSize, MAX_SIZE);
+}
@@ -0,0 +1,12 @@
+/**
+ * Key identifying a value for distinct counting
+ * JSON keeps 1 and "1" apart and compares arrays and objects by content
+ * @param {*} value - Pushed value
+ * @returns {string|null} Key, or null for null, missing and NaN values, which are not counted
+ */
+export function distinctKey(value) {
+    if (value === null || value === undefined || Number.isNaN(value)) {
+        return null;
+    }
+    return JSON.stringify(value);
+}
@@ -0,0 +1,145 @@
+// Ranks come from the leading zeros of a 32-bit hash, so they range from 1 to 33
+const MAX_RANK = 33;
+
+/**
+ * HyperLogLog sketch (Flajolet et al.) for approximate distinct counts
+ *
+ * Each value is hashed; the first hash picks one of 2^precision registers and the
+ * second hash's leading zero count is kept as that register's maximum rank. Memory is
+ * one byte per register and the standard error is about 1.04 / sqrt(2^precision).
+ * Sketches with the same precision merge by taking the register-wise maximum.
+ */
+export class HyperLogLog {
+    /**
+     * @param {number} precision - Number of index bits, between 4 and 18 (default: 14)
+     */
+    constructor(precision = 14) {
+        if (!Number.isInteger(precision) || precision < 4 || precision > 18) {
+            throw new Error(`Invalid HyperLogLog precision: ${precision}. Must be an integer between 4 and 18`);
+        }
+        this.precision = precision;
+        this.registerCount = 1 << precision;
+        this.registers = new Uint8Array(this.registerCount);
+    }
+
+    /**
+     * Add a value by its string key
+     * @param {string} key - Key identifying the value
+     */
+    add(key) {
+        // Two independent 32-bit hashes give 32 + precision bits, enough to avoid
+        // the large range correction a single 32-bit hash needs
+        const index = murmurHash3(key, 0) >>> (32 - this.precision);
+        const rank = Math.clz32(murmurHash3(key, 0x9747b28c)) + 1;
+        if (rank > this.registers[index]) {
+            this.registers[index] = rank;
+        }
+    }
+
+    /**
+     * Estimate the number of distinct keys added
+     * Uses Ertl's improved estimator ("New cardinality estimation algorithms for
+     * HyperLogLog sketches", 2017), which avoids the bias of the classic estimator
+     * around its switch to linear counting
+     * @returns {number} Estimated cardinality
+     */
+    count() {
+        const m = this.registerCount;
+        const histogram = new Array(MAX_RANK + 1).fill(0);
+        for (let i = 0; i < m; i++) {
+            histogram[this.registers[i]]++;
+        }
+
+        let z = m * tau(1 - histogram[MAX_RANK] / m);
+        for (let k = MAX_RANK - 1; k >= 1; k--) {
+            z = 0.5 * (z + histogram[k]);
+        }
+        z += m * sigma(histogram[0] / m);
+
+        return Math.round(m * m / (2 * Math.LN2 * z));
+    }
+
+    /**
+     * Merge another sketch into this one
+     * @param {HyperLogLog} other - Sketch with the same precision
+     */
+    merge(other) {
+        if (other.precision !== this.precision) {
+            throw new Error(`Cannot merge HyperLogLog sketches with precision ${this.precision} and ${other.precision}`);
+        }
+        for (let i = 0; i < this.registerCount; i++) {
+            if (other.registers[i] > this.registers[i]) {
+                this.registers[i] = other.registers[i];
+            }
+        }
+    }
+
+    reset() {
+        this.registers.fill(0);
+    }
+}
+
+// Series from Ertl's estimator, summed until the floating point value stops changing
+function sigma(x) {
+    if (x === 1) return Infinity;
+    let y = 1;
+    let z = x;
+    for (;;) {
+        x *= x;
+        const previous = z;
+        z += x * y;
+        y += y;
+        if (z === previous) return z;
+    }
+}
+
+function tau(x) {
+    if (x === 0 || x === 1) return 0;
+    let y = 1;
+    let z = 1 - x;
+    for (;;) {
+        x = Math.sqrt(x);
+        const previous = z;
+        y *= 0.5;
+        z -= (1 - x) ** 2 * y;
+        if (z === previous) return z / 3;
+    }
+}
+
+/**
+ * MurmurHash3 (x86, 32-bit) over the UTF-16 code units of a string
+ * @param {string} key - String to hash
+ * @param {number} seed - Hash seed
+ * @returns {number} Unsigned 32-bit hash
+ */
+function murmurHash3(key, seed) {
+    let h = seed >>> 0;
+    const length = key.length;
+    const blocks = length & ~1;
+
+    for (let i = 0; i < blocks; i += 2) {
+        let k = key.charCodeAt(i) | (key.charCodeAt(i + 1) << 16);
+        k = Math.imul(k, 0xcc9e2d51);
+        k = (k << 15) | (k >>> 17);
+        k = Math.imul(k, 0x1b873593);
+        h ^= k;
+        h = (h << 13) | (h >>> 19);
+        h = (Math.imul(h, 5) + 0xe6546b64) | 0;
+    }
+
+    if (length & 1) {
+        let k = key.charCodeAt(length - 1);
+        k = Math.imul(k, 0xcc9e2d51);
+        k = (k << 15) | (k >>> 17);
+        k = Math.imul(k, 0x1b873593);
+        h ^= k;
+    }
+
+    h ^= length * 2;
+    h ^= h >>> 16;
+    h = Math.imul(h, 0x85ebca6b);
+    h ^= h >>> 13;
+    h = Math.imul(h, 0xc2b2ae35);
+    h ^= h >>> 16;
+    return h >>> 0;
+}
@@ -0,0 +1,27 @@
+/**
+ * Numeric input handling shared by the statistical aggregations
+ * Follows the coercion rules of Sum: numeric strings and booleans are converted,
+ * null, NaN and anything non-numeric is skipped
+ * @param {*} value - Pushed value
+ * @returns {number|null} Number to aggregate, or null if the value should be skipped
+ */
+export function toNumericValue(value) {
+    if (value === null || value === undefined) {
+        return null;
+    }
+    if (typeof value === 'number') {
+        return Number.isNaN(value) ? null : value;
+    }
+    if (typeof value === 'string') {
+        const trimmed = value.trim();
+        if (trimmed === '') {
+            return null;
+        }
+        const numValue = Number(trimmed);
+        return Number.isNaN(numValue) ? null : numValue;
+    }
+    if (typeof value === 'boolean') {
+        return value ? 1 : 0;
+    }
+    return null;
+}
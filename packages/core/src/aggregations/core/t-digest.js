@@ -0,0 +1,131 @@
+/**
+ * Merging t-digest (Dunning & Ertl) for streaming quantile estimates
+ *
+ * Values are buffered and periodically merged into a sorted list of centroids
+ * (mean, weight). The k1 scale function keeps centroids near the tails small, so
+ * extreme quantiles such as p99 stay accurate while the number of centroids is
+ * bounded by roughly compression * pi / 2, independent of how many values are added.
+ */
+export class TDigest {
+    /**
+     * @param {number} compression - Accuracy/size trade-off, higher keeps more centroids (default: 100)
+     */
+    constructor(compression = 100) {
+        this.compression = compression;
+        this.bufferLimit = compression * 5;
+        this.reset();
+    }
+
+    /**
+     * Add a value to the digest
+     * @param {number} value - Finite number
+     */
+    add(value) {
+        this.buffer.push(value);
+        this.count++;
+        if (value < this.min) this.min = value;
+        if (value > this.max) this.max = value;
+
+        if (this.buffer.length >= this.bufferLimit) {
+            this._compress();
+        }
+    }
+
+    /**
+     * Estimate a quantile
+     * Interpolates between centroid centers, and between min/max and the outer centroids
+     * @param {number} q - Quantile between 0 and 1
+     * @returns {number|null} Estimated value, or null if the digest is empty
+     */
+    quantile(q) {
+        if (this.count === 0) return null;
+        if (q <= 0) return this.min;
+        if (q >= 1) return this.max;
+
+        this._compress();
+        const { means, weights } = this;
+        const last = means.length - 1;
+        const target = q * this.count;
+
+        // Left tail: between the minimum and the center of the first centroid
+        const firstCenter = weights[0] / 2;
+        if (target < firstCenter) {
+            return this.min + (means[0] - this.min) * (target / firstCenter);
+        }
+
+        let cumulative = 0;
+        for (let i = 0; i < last; i++) {
+            const center = cumulative + weights[i] / 2;
+            const nextCenter = cumulative + weights[i] + weights[i + 1] / 2;
+            if (target <= nextCenter) {
+                return means[i] + (means[i + 1] - means[i]) * (target - center) / (nextCenter - center);
+            }
+            cumulative += weights[i];
+        }
+
+        // Right tail: between the center of the last centroid and the maximum
+        const lastCenter = this.count - weights[last] / 2;
+        return means[last] + (this.max - means[last]) * (target - lastCenter) / (weights[last] / 2);
+    }
+
+    reset() {
+        this.means = [];
+        this.weights = [];
+        this.buffer = [];
+        this.count = 0;
+        this.min = Infinity;
+        this.max = -Infinity;
+    }
+
+    /**
+     * Merge buffered values into the centroids
+     */
+    _compress() {
+        if (this.buffer.length === 0) return;
+
+        const points = this.buffer.map(value => [value, 1]);
+        for (let i = 0; i < this.means.length; i++) {
+            points.push([this.means[i], this.weights[i]]);
+        }
+        points.sort((a, b) => a[0] - b[0]);
+        this.buffer = [];
+
+        const means = [];
+        const weights = [];
+        let [mean, weight] = points[0];
+        let weightSoFar = 0;
+        let qLimit = this._kToQ(this._qToK(0) + 1);
+
+        for (let i = 1; i < points.length; i++) {
+            const [pointMean, pointWeight] = points[i];
+            const proposed = weight + pointWeight;
+            if ((weightSoFar + proposed) / this.count <= qLimit) {
+                // Still within the size allowed at this quantile: merge into the current centroid
+                mean += (pointMean - mean) * pointWeight / proposed;
+                weight = proposed;
+            } else {
+                means.push(mean);
+                weights.push(weight);
+                weightSoFar += weight;
+                qLimit = this._kToQ(this._qToK(weightSoFar / this.count) + 1);
+                mean = pointMean;
+                weight = pointWeight;
+            }
+        }
+        means.push(mean);
+        weights.push(weight);
+
+        this.means = means;
+        this.weights = weights;
+    }
+
+    // k1 scale function: k(q) = compression / (2 pi) * asin(2q - 1)
+    _qToK(q) {
+        return this.compression / (2 * Math.PI) * Math.asin(2 * q - 1);
+    }
+
+    _kToQ(k) {
+        if (k >= this.compression / 4) return 1;
+        return (Math.sin(k * 2 * Math.PI / this.compression) + 1) / 2;
+    }
+}
@@ -0,0 +1,61 @@
+import { Aggregation } from '../core/aggregation.js';
+import { toNumericValue } from '../core/numeric-value.js';
+
+/**
+ * arg_max(expr, *) / arg_max(expr, field1, field2, ...)
+ *
+ * Returns the row, or the selected fields, at which expr is largest. The transpiler
+ * passes the whole row for * and an object of the selected fields otherwise. Values of
+ * expr that are not numeric are skipped; on ties the earliest row is kept.
+ */
+export class ArgMax extends Aggregation {
+    constructor() {
+        super();
+        this.best = null;
+        this.row = null;
+    }
+
+    /**
+     * @param {*} value - Value to compare (numeric strings are coerced)
+     * @param {Object} row - Row or selected fields to return for the extreme value
+     */
+    push(value, row) {
+        const numValue = toNumericValue(value);
+        if (numValue === null) return;
+
+        if (this.best === null || this._isBetter(numValue, this.best)) {
+            this.best = numValue;
+            this.row = row ?? null;
+        }
+    }
+
+    _isBetter(value, best) {
+        return value > best;
+    }
+
+    /**
+     * @returns {Object|null} - The row at the extreme value, or null if no values were pushed
+     */
+    getResult() {
+        return this.row;
+    }
+
+    /**
+     * Keep the other extreme if it is better; on ties this one, which came first, is kept
+     * @param {ArgMax} other
+     */
+    merge(other) {
+        if (other.best !== null) {
+            this.push(other.best, other.row);
+        }
+    }
+
+    reset() {
+        this.best = null;
+        this.row = null;
+    }
+
+    clone() {
+        return new this.constructor();
+    }
+}
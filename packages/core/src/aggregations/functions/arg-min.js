@@ -0,0 +1,11 @@
+import { ArgMax } from './arg-max.js';
+
+/**
+ * arg_min(expr, *) / arg_min(expr, field1, field2, ...)
+ * Returns the row, or the selected fields, at which expr is smallest
+ */
+export class ArgMin extends ArgMax {
+    _isBetter(value, best) {
+        return value < best;
+    }
+}
@@ -0,0 +1,57 @@
+import { Aggregation } from '../core/aggregation.js';
+import { toNumericValue } from '../core/numeric-value.js';
+
+/**
+ * Average aggregation
+ *
+ * Keeps a running mean (mean += (x - mean) / n) instead of sum / count, so large
+ * sums cannot overflow or lose the precision of small values. Values that are not
+ * numeric are skipped; the average of no values is null.
+ */
+export class Avg extends Aggregation {
+    constructor() {
+        super();
+        this.count = 0;
+        this.mean = 0;
+    }
+
+    /**
+     * Add a value to the average
+     * @param {*} value - Value to add (numeric strings are coerced)
+     */
+    push(value) {
+        const numValue = toNumericValue(value);
+        if (numValue === null) return;
+
+        this.count++;
+        this.mean += (numValue - this.mean) / this.count;
+    }
+
+    /**
+     * @returns {number|null} - The average, or null if no values were pushed
+     */
+    getResult() {
+        return this.count === 0 ? null : this.mean;
+    }
+
+    /**
+     * Combine the running mean of another average, weighted by its count
+     * @param {Avg} other
+     */
+    merge(other) {
+        if (other.count === 0) return;
+
+        const count = this.count + other.count;
+        this.mean += (other.mean - this.mean) * other.count / count;
+        this.count = count;
+    }
+
+    reset() {
+        this.count = 0;
+        this.mean = 0;
+    }
+
+    clone() {
+        return new Avg();
+    }
+}
@@ -0,0 +1,58 @@
+import { Aggregation } from '../core/aggregation.js';
+import { Count } from './count.js';
+import { Sum } from './sum.js';
+import { Avg } from './avg.js';
+import { Min } from './min.js';
+import { Max } from './max.js';
+
+/**
+ * Build a conditional variant of an aggregation: the predicate is the last argument
+ * and only documents for which it is truthy reach the wrapped aggregation
+ * @param {typeof Aggregation} AggregationClass - Aggregation to wrap
+ * @returns {typeof Aggregation}
+ */
+export function conditional(AggregationClass) {
+    return class extends Aggregation {
+        constructor() {
+            super();
+            this.inner = new AggregationClass();
+        }
+
+        /**
+         * @param {...*} values - Arguments of the wrapped aggregation followed by the predicate
+         */
+        push(...values) {
+            const predicate = values.pop();
+            if (predicate) {
+                this.inner.push(...values);
+            }
+        }
+
+        getResult() {
+            return this.inner.getResult();
+        }
+
+        merge(other) {
+            this.inner.merge(other.inner);
+        }
+
+        canMerge() {
+            return this.inner.canMerge();
+        }
+
+        reset() {
+            this.inner.reset();
+        }
+
+        clone() {
+            return new this.constructor();
+        }
+    };
+}
+
+// countif(pred), sumif(expr, pred), avgif(expr, pred), minif(expr, pred), maxif(expr, pred)
+export const CountIf = conditional(Count);
+export const SumIf = conditional(Sum);
+export const AvgIf = conditional(Avg);
+export const MinIf = conditional(Min);
+export const MaxIf = conditional(Max);
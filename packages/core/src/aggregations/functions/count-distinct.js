@@ -0,0 +1,67 @@
+import { Aggregation } from '../core/aggregation.js';
+import { MAX_SIZE } from '../core/collection-limit.js';
+import { distinctKey } from '../core/distinct-key.js';
+
+/**
+ * Exact distinct count: count_distinct(field)
+ * Keeps every distinct value, so it is meant for small cardinalities; use dcount for
+ * large ones. Null and missing values are not counted.
+ *
+ * At most MAX_SIZE distinct values are kept. A group that sees more gives up: its
+ * values are released and the result is null, since an exact count is no longer known.
+ */
+export class CountDistinct extends Aggregation {
+    constructor() {
+        super();
+        this.reset();
+    }
+
+    /**
+     * @param {*} value - Value to count
+     */
+    push(value) {
+        if (this.keys === null) return;
+
+        const key = distinctKey(value);
+        if (key !== null) {
+            this.add(key);
+        }
+    }
+
+    add(key) {
+        this.keys.add(key);
+        if (this.keys.size > MAX_SIZE) {
+            this.keys = null;
+        }
+    }
+
+    /**
+     * @returns {number|null} - Number of distinct values, null once more than MAX_SIZE were seen
+     */
+    getResult() {
+        return this.keys === null ? null : this.keys.size;
+    }
+
+    /**
+     * Add the distinct values of another count_distinct
+     * @param {CountDistinct} other
+     */
+    merge(other) {
+        if (other.keys === null) {
+            this.keys = null;
+            return;
+        }
+        for (const key of other.keys) {
+            if (this.keys === null) return;
+            this.add(key);
+        }
+    }
+
+    reset() {
+        this.keys = new Set(); // null once the cap was exceeded
+    }
+
+    clone() {
+        return new CountDistinct();
+    }
+}
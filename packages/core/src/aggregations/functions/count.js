@@ -14,6 +14,10 @@ export class Count extends Aggregation {
         return this.count;
     }
     
+    merge(other) {
+        this.count += other.count;
+    }
+    
     reset() {
         this.count = 0;
     }
@@ -0,0 +1,45 @@
+import { Aggregation } from '../core/aggregation.js';
+
+/**
+ * First aggregation: first(expr)
+ * The first non-null value in arrival order; first(*) returns the first row.
+ * Also registered as any(expr), for which keeping the first value is the cheapest choice.
+ */
+export class First extends Aggregation {
+    constructor() {
+        super();
+        this.value = null;
+    }
+
+    /**
+     * @param {*} value - Candidate value
+     */
+    push(value) {
+        if (this.value === null && value !== null && value !== undefined) {
+            this.value = value;
+        }
+    }
+
+    /**
+     * @returns {*} - The first non-null value, or null
+     */
+    getResult() {
+        return this.value;
+    }
+
+    /**
+     * Keep this value, which came first, unless there is none
+     * @param {First} other
+     */
+    merge(other) {
+        this.push(other.value);
+    }
+
+    reset() {
+        this.value = null;
+    }
+
+    clone() {
+        return new First();
+    }
+}
@@ -0,0 +1,44 @@
+import { Aggregation } from '../core/aggregation.js';
+
+/**
+ * Last aggregation: last(expr)
+ * The latest non-null value in arrival order; last(*) returns the latest row
+ */
+export class Last extends Aggregation {
+    constructor() {
+        super();
+        this.value = null;
+    }
+
+    /**
+     * @param {*} value - Candidate value
+     */
+    push(value) {
+        if (value !== null && value !== undefined) {
+            this.value = value;
+        }
+    }
+
+    /**
+     * @returns {*} - The latest non-null value, or null
+     */
+    getResult() {
+        return this.value;
+    }
+
+    /**
+     * Take the other value, which came later, unless there is none
+     * @param {Last} other
+     */
+    merge(other) {
+        this.push(other.value);
+    }
+
+    reset() {
+        this.value = null;
+    }
+
+    clone() {
+        return new Last();
+    }
+}
@@ -0,0 +1,63 @@
+import { Aggregation } from '../core/aggregation.js';
+import { resolveMaxSize } from '../core/collection-limit.js';
+
+/**
+ * Bag aggregation: make_bag(expr [, maxSize])
+ *
+ * Merges object values into one bag. A later value for a key replaces the earlier one,
+ * null and missing property values are skipped; once the bag holds maxSize keys, new
+ * keys are ignored. Values that are not objects are skipped.
+ */
+export class MakeBag extends Aggregation {
+    constructor() {
+        super();
+        this.reset();
+    }
+
+    /**
+     * @param {*} value - Object whose properties are added
+     * @param {number} maxSize - Number of keys to keep (default 1024, at most 65536)
+     */
+    push(value, maxSize) {
+        if (this.maxSize === undefined) {
+            this.maxSize = resolveMaxSize(maxSize);
+        }
+        if (this.maxSize === null || value === null || typeof value !== 'object' || Array.isArray(value)) return;
+
+        for (const [key, entry] of Object.entries(value)) {
+            // A missing field must not erase a value seen earlier
+            if (entry === null || entry === undefined) continue;
+            if (this.bag.has(key) || this.bag.size < this.maxSize) {
+                this.bag.set(key, entry);
+            }
+        }
+    }
+
+    /**
+     * @returns {Object|null} - The merged bag; null for an invalid maxSize
+     */
+    getResult() {
+        if (this.maxSize === null) return null;
+        return Object.fromEntries(this.bag);
+    }
+
+    /**
+     * Add the keys of another bag, as if they arrived after this bag's values
+     * @param {MakeBag} other
+     */
+    merge(other) {
+        if (this.maxSize === undefined) {
+            this.maxSize = other.maxSize;
+        }
+        this.push(Object.fromEntries(other.bag));
+    }
+
+    reset() {
+        this.maxSize = undefined;
+        this.bag = new Map();
+    }
+
+    clone() {
+        return new MakeBag();
+    }
+}
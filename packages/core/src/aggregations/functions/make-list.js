@@ -0,0 +1,66 @@
+import { Aggregation } from '../core/aggregation.js';
+import { resolveMaxSize } from '../core/collection-limit.js';
+
+/**
+ * List aggregation: make_list(expr [, maxSize])
+ *
+ * Keeps the latest maxSize values in arrival order, e.g. the last 10 readings of a
+ * device. Values are held in a ring buffer, so a full list drops its oldest value in
+ * constant time. Null and missing values are skipped.
+ */
+export class MakeList extends Aggregation {
+    constructor() {
+        super();
+        this.reset();
+    }
+
+    /**
+     * @param {*} value - Value to collect
+     * @param {number} maxSize - Number of values to keep (default 1024, at most 65536)
+     */
+    push(value, maxSize) {
+        if (this.maxSize === undefined) {
+            this.maxSize = resolveMaxSize(maxSize);
+        }
+        if (this.maxSize === null || value === null || value === undefined) return;
+
+        if (this.values.length < this.maxSize) {
+            this.values.push(value);
+        } else {
+            // Overwrite the oldest value
+            this.values[this.start] = value;
+            this.start = (this.start + 1) % this.maxSize;
+        }
+    }
+
+    /**
+     * @returns {Array|null} - Collected values, oldest first; null for an invalid maxSize
+     */
+    getResult() {
+        if (this.maxSize === null) return null;
+        return [...this.values.slice(this.start), ...this.values.slice(0, this.start)];
+    }
+
+    /**
+     * Append the values of another list, as if they arrived after this list's values
+     * @param {MakeList} other
+     */
+    merge(other) {
+        if (this.maxSize === undefined) {
+            this.maxSize = other.maxSize;
+        }
+        for (const value of other.getResult() || []) {
+            this.push(value);
+        }
+    }
+
+    reset() {
+        this.maxSize = undefined;
+        this.values = [];
+        this.start = 0;
+    }
+
+    clone() {
+        return new MakeList();
+    }
+}
@@ -0,0 +1,62 @@
+import { Aggregation } from '../core/aggregation.js';
+import { resolveMaxSize } from '../core/collection-limit.js';
+import { distinctKey } from '../core/distinct-key.js';
+
+/**
+ * Set aggregation: make_set(expr [, maxSize])
+ *
+ * Collects distinct values in order of first appearance. Once maxSize distinct values
+ * are held, new values are ignored. Null and missing values are skipped.
+ */
+export class MakeSet extends Aggregation {
+    constructor() {
+        super();
+        this.reset();
+    }
+
+    /**
+     * @param {*} value - Value to collect
+     * @param {number} maxSize - Number of distinct values to keep (default 1024, at most 65536)
+     */
+    push(value, maxSize) {
+        if (this.maxSize === undefined) {
+            this.maxSize = resolveMaxSize(maxSize);
+        }
+        if (this.maxSize === null) return;
+
+        const key = distinctKey(value);
+        if (key !== null && this.values.size < this.maxSize && !this.values.has(key)) {
+            this.values.set(key, value);
+        }
+    }
+
+    /**
+     * @returns {Array|null} - Distinct values; null for an invalid maxSize
+     */
+    getResult() {
+        if (this.maxSize === null) return null;
+        return [...this.values.values()];
+    }
+
+    /**
+     * Add the values of another set
+     * @param {MakeSet} other
+     */
+    merge(other) {
+        if (this.maxSize === undefined) {
+            this.maxSize = other.maxSize;
+        }
+        for (const value of other.values.values()) {
+            this.push(value);
+        }
+    }
+
+    reset() {
+        this.maxSize = undefined;
+        this.values = new Map();
+    }
+
+    clone() {
+        return new MakeSet();
+    }
+}
@@ -0,0 +1,50 @@
+import { Aggregation } from '../core/aggregation.js';
+import { toNumericValue } from '../core/numeric-value.js';
+
+/**
+ * Maximum aggregation
+ * Values that are not numeric are skipped; the maximum of no values is null.
+ * Datetimes are epoch milliseconds, so max(timestamp) works on datetime values.
+ */
+export class Max extends Aggregation {
+    constructor() {
+        super();
+        this.max = null;
+    }
+
+    /**
+     * @param {*} value - Value to compare (numeric strings are coerced)
+     */
+    push(value) {
+        const numValue = toNumericValue(value);
+        if (numValue === null) return;
+
+        if (this.max === null || numValue > this.max) {
+            this.max = numValue;
+        }
+    }
+
+    /**
+     * @returns {number|null} - The largest value, or null if no values were pushed
+     */
+    getResult() {
+        return this.max;
+    }
+
+    /**
+     * @param {Max} other
+     */
+    merge(other) {
+        if (other.max !== null && (this.max === null || other.max > this.max)) {
+            this.max = other.max;
+        }
+    }
+
+    reset() {
+        this.max = null;
+    }
+
+    clone() {
+        return new Max();
+    }
+}
@@ -0,0 +1,50 @@
+import { Aggregation } from '../core/aggregation.js';
+import { toNumericValue } from '../core/numeric-value.js';
+
+/**
+ * Minimum aggregation
+ * Values that are not numeric are skipped; the minimum of no values is null.
+ * Datetimes are epoch milliseconds, so min(timestamp) works on datetime values.
+ */
+export class Min extends Aggregation {
+    constructor() {
+        super();
+        this.min = null;
+    }
+
+    /**
+     * @param {*} value - Value to compare (numeric strings are coerced)
+     */
+    push(value) {
+        const numValue = toNumericValue(value);
+        if (numValue === null) return;
+
+        if (this.min === null || numValue < this.min) {
+            this.min = numValue;
+        }
+    }
+
+    /**
+     * @returns {number|null} - The smallest value, or null if no values were pushed
+     */
+    getResult() {
+        return this.min;
+    }
+
+    /**
+     * @param {Min} other
+     */
+    merge(other) {
+        if (other.min !== null && (this.min === null || other.min < this.min)) {
+            this.min = other.min;
+        }
+    }
+
+    reset() {
+        this.min = null;
+    }
+
+    clone() {
+        return new Min();
+    }
+}
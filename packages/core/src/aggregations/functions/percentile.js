@@ -0,0 +1,88 @@
+import { Aggregation } from '../core/aggregation.js';
+import { TDigest } from '../core/t-digest.js';
+import { toNumericValue } from '../core/numeric-value.js';
+
+/**
+ * Percentile aggregation: percentile(field, 95)
+ *
+ * Values are summarized in a t-digest, so memory per group stays bounded no matter
+ * how many values a window holds. Results are estimates, interpolated between values.
+ * Values that are not numeric are skipped.
+ */
+export class Percentile extends Aggregation {
+    /**
+     * @param {Object} options - Configuration options
+     * @param {number} options.compression - t-digest compression (default: 100)
+     */
+    constructor(options = {}) {
+        super();
+        this.compression = options.compression || 100;
+        this.digest = new TDigest(this.compression);
+        this.percents = null;
+    }
+
+    /**
+     * Add a value; the percentile arguments are evaluated with every push and
+     * taken from the first one
+     * @param {*} value - Value to add (numeric strings are coerced)
+     * @param {...*} percents - Percentiles between 0 and 100
+     */
+    push(value, ...percents) {
+        if (this.percents === null) {
+            this.percents = percents;
+        }
+
+        const numValue = toNumericValue(value);
+        if (numValue === null || !Number.isFinite(numValue)) return;
+        this.digest.add(numValue);
+    }
+
+    /**
+     * Estimate one percentile
+     * @param {*} percent - Percentile between 0 and 100
+     * @returns {number|null} - The estimate, or null for no values or an invalid percentile
+     */
+    _estimate(percent) {
+        if (typeof percent !== 'number' || !(percent >= 0 && percent <= 100)) {
+            return null;
+        }
+        return this.digest.quantile(percent / 100);
+    }
+
+    /**
+     * @returns {number|null} - The estimated percentile
+     */
+    getResult() {
+        return this._estimate(this.percents ? this.percents[0] : undefined);
+    }
+
+    reset() {
+        this.digest.reset();
+        this.percents = null;
+    }
+
+    clone() {
+        return new this.constructor({ compression: this.compression });
+    }
+}
+
+/**
+ * Multiple percentiles from one digest: percentiles(field, 50, 95, 99)
+ * Returns an object keyed by percentile, e.g. { p50: 12, p95: 48, p99: 97 }
+ */
+export class Percentiles extends Percentile {
+    /**
+     * @returns {Object|null} - Estimates keyed by percentile, or null if no percentiles were given
+     */
+    getResult() {
+        if (!this.percents || this.percents.length === 0) {
+            return null;
+        }
+
+        const result = {};
+        for (const percent of this.percents) {
+            result[`p${percent}`] = this._estimate(percent);
+        }
+        return result;
+    }
+}
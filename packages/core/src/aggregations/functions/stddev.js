@@ -0,0 +1,27 @@
+import { Variance, VarianceP } from './variance.js';
+
+/**
+ * Sample standard deviation aggregation, the square root of the sample variance
+ */
+export class Stddev extends Variance {
+    /**
+     * @returns {number|null} - The standard deviation, null if no values were pushed
+     */
+    getResult() {
+        const variance = super.getResult();
+        return variance === null ? null : Math.sqrt(variance);
+    }
+}
+
+/**
+ * Population standard deviation aggregation, the square root of the population variance
+ */
+export class StdevP extends VarianceP {
+    /**
+     * @returns {number|null} - The population standard deviation, null if no values were pushed
+     */
+    getResult() {
+        const variance = super.getResult();
+        return variance === null ? null : Math.sqrt(variance);
+    }
+}
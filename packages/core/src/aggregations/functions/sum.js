@@ -54,20 +54,51 @@ export class Sum extends Aggregation {
         if (numValue === null) return; // Skip invalid values
         
         this.count++;
+        this._add(numValue);
+        this._checkOverflow();
+    }
+    
+    /**
+     * Add the sum of another Sum, as if its values had been pushed here
+     * @param {Sum} other
+     */
+    merge(other) {
+        this.count += other.count;
+        this.invalidInputCount += other.invalidInputCount;
+        this.hasOverflowed = this.hasOverflowed || other.hasOverflowed;
         
+        if (this.algorithm === 'pairwise' && other.algorithm === 'pairwise') {
+            this.values = this.values.concat(other.values);
+        } else if (this.algorithm === 'kahan' && other.algorithm === 'kahan') {
+            // Carry the other compensation over instead of losing its low-order bits
+            this._kahanAdd(other.sum);
+            this._kahanAdd(-other.compensation);
+        } else {
+            this._add(other.getResult());
+        }
+        
+        this._checkOverflow();
+    }
+    
+    /**
+     * Add a validated value with the configured algorithm
+     * @param {number} value 
+     */
+    _add(value) {
         switch (this.algorithm) {
             case 'kahan':
-                this._kahanAdd(numValue);
+                this._kahanAdd(value);
                 break;
             case 'naive':
-                this._naiveAdd(numValue);
+                this._naiveAdd(value);
                 break;
             case 'pairwise':
-                this._pairwiseAdd(numValue);
+                this._pairwiseAdd(value);
                 break;
         }
-        
-        // Check for overflow
+    }
+    
+    _checkOverflow() {
         if (this.detectOverflow && Math.abs(this.sum) > this.maxSafeValue) {
             this.hasOverflowed = true;
             if (this.strict) {
@@ -0,0 +1,80 @@
+import { Aggregation } from '../core/aggregation.js';
+import { toNumericValue } from '../core/numeric-value.js';
+
+/**
+ * Sample variance aggregation using Welford's online algorithm
+ *
+ * Welford keeps the running mean and the sum of squared differences from it (m2),
+ * which avoids the catastrophic cancellation of sum(x^2) - sum(x)^2 / n when values
+ * are large compared to their spread. Values that are not numeric are skipped.
+ */
+export class Variance extends Aggregation {
+    constructor() {
+        super();
+        this.count = 0;
+        this.mean = 0;
+        this.m2 = 0;
+    }
+
+    /**
+     * Add a value to the running statistics
+     * @param {*} value - Value to add (numeric strings are coerced)
+     */
+    push(value) {
+        const numValue = toNumericValue(value);
+        if (numValue === null) return;
+
+        this.count++;
+        const delta = numValue - this.mean;
+        this.mean += delta / this.count;
+        this.m2 += delta * (numValue - this.mean);
+    }
+
+    /**
+     * Sample variance, m2 / (n - 1)
+     * @returns {number|null} - The variance, 0 for a single value, null if no values were pushed
+     */
+    getResult() {
+        if (this.count === 0) return null;
+        if (this.count === 1) return 0;
+        return this.m2 / (this.count - 1);
+    }
+
+    /**
+     * Combine the running statistics of another variance (Chan et al.)
+     * m2 grows by the squared distance of the two means, weighted by both counts
+     * @param {Variance} other
+     */
+    merge(other) {
+        if (other.count === 0) return;
+
+        const count = this.count + other.count;
+        const delta = other.mean - this.mean;
+        this.mean += delta * other.count / count;
+        this.m2 += other.m2 + delta * delta * this.count * other.count / count;
+        this.count = count;
+    }
+
+    reset() {
+        this.count = 0;
+        this.mean = 0;
+        this.m2 = 0;
+    }
+
+    clone() {
+        return new this.constructor();
+    }
+}
+
+/**
+ * Population variance aggregation, m2 / n
+ */
+export class VarianceP extends Variance {
+    /**
+     * @returns {number|null} - The population variance, null if no values were pushed
+     */
+    getResult() {
+        if (this.count === 0) return null;
+        return this.m2 / this.count;
+    }
+}
@@ -10,10 +10,42 @@ export { AggregationObject } from './core/aggregation-object.js';
 // Re-export browser-safe aggregation functions
 export { Sum } from './functions/sum.js';
 export { Count } from './functions/count.js';
+export { Avg } from './functions/avg.js';
+export { Min } from './functions/min.js';
+export { Max } from './functions/max.js';
+export { Variance, VarianceP } from './functions/variance.js';
+export { Stddev, StdevP } from './functions/stddev.js';
+export { Percentile, Percentiles } from './functions/percentile.js';
+export { Dcount } from './functions/dcount.js';
+export { CountDistinct } from './functions/count-distinct.js';
+export { MakeList } from './functions/make-list.js';
+export { MakeSet } from './functions/make-set.js';
+export { MakeBag } from './functions/make-bag.js';
+export { ArgMax } from './functions/arg-max.js';
+export { ArgMin } from './functions/arg-min.js';
+export { First } from './functions/first.js';
+export { Last } from './functions/last.js';
+export { CountIf, SumIf, AvgIf, MinIf, MaxIf } from './functions/conditional.js';
 
 // Import aggregation functions for registration
 import { Sum } from './functions/sum.js';
 import { Count } from './functions/count.js';
+import { Avg } from './functions/avg.js';
+import { Min } from './functions/min.js';
+import { Max } from './functions/max.js';
+import { Variance, VarianceP } from './functions/variance.js';
+import { Stddev, StdevP } from './functions/stddev.js';
+import { Percentile, Percentiles } from './functions/percentile.js';
+import { Dcount } from './functions/dcount.js';
+import { CountDistinct } from './functions/count-distinct.js';
+import { MakeList } from './functions/make-list.js';
+import { MakeSet } from './functions/make-set.js';
+import { MakeBag } from './functions/make-bag.js';
+import { ArgMax } from './functions/arg-max.js';
+import { ArgMin } from './functions/arg-min.js';
+import { First } from './functions/first.js';
+import { Last } from './functions/last.js';
+import { CountIf, SumIf, AvgIf, MinIf, MaxIf } from './functions/conditional.js';
 
 /**
  * Register browser-safe aggregations to a registry instance
@@ -23,4 +55,28 @@ export function registerAggregations(registry) {
     // Register built-in aggregations
     registry.registerAggregation('sum', Sum);
     registry.registerAggregation('count', Count);
+    registry.registerAggregation('avg', Avg);
+    registry.registerAggregation('min', Min);
+    registry.registerAggregation('max', Max);
+    registry.registerAggregation('variance', Variance);
+    registry.registerAggregation('variancep', VarianceP);
+    registry.registerAggregation('stddev', Stddev);
+    registry.registerAggregation('stdevp', StdevP);
+    registry.registerAggregation('percentile', Percentile);
+    registry.registerAggregation('percentiles', Percentiles);
+    registry.registerAggregation('dcount', Dcount);
+    registry.registerAggregation('count_distinct', CountDistinct);
+    registry.registerAggregation('make_list', MakeList);
+    registry.registerAggregation('make_set', MakeSet);
+    registry.registerAggregation('make_bag', MakeBag);
+    registry.registerAggregation('arg_max', ArgMax);
+    registry.registerAggregation('arg_min', ArgMin);
+    registry.registerAggregation('first', First);
+    registry.registerAggregation('last', Last);
+    registry.registerAggregation('any', First); // Alias
+    registry.registerAggregation('countif', CountIf);
+    registry.registerAggregation('sumif', SumIf);
+    registry.registerAggregation('avgif', AvgIf);
+    registry.registerAggregation('minif', MinIf);
+    registry.registerAggregation('maxif', MaxIf);
 }
\ No newline at end of file
@@ -11,6 +11,7 @@ export class JSONJetError extends Error {
 export const ErrorCodes = {
     STREAM_NOT_FOUND: 'STREAM_NOT_FOUND',
     STREAM_ALREADY_EXISTS: 'STREAM_ALREADY_EXISTS',
+    VIEW_NOT_WRITABLE: 'VIEW_NOT_WRITABLE',
     FLOW_NOT_FOUND: 'FLOW_NOT_FOUND',
     FLOW_ALREADY_EXISTS: 'FLOW_ALREADY_EXISTS',
     SYNTAX_ERROR: 'SYNTAX_ERROR',
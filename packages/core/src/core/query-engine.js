@@ -1,4 +1,5 @@
 import { Stream } from './stream.js';
+import { Operator } from './operator.js';
 import { QueryLexer } from '../parser/tokens/token-registry.js';
 import { queryParser } from '../parser/grammar/query-parser.js';
 import { transpiler } from '../parser/transpiler/core/transpiler.js';
@@ -56,6 +57,11 @@ export class QueryEngine {
                 return result;
             }
 
+            // Views are parsed by the unified parser
+            if (CommandParser.isView(trimmed)) {
+                return await this.executeViewStatement(trimmed);
+            }
+
             // Check if it's a flow definition
             if (CommandParser.isFlow(trimmed)) {
                 return await this.executeFlow(trimmed);
@@ -119,6 +125,25 @@ export class QueryEngine {
         }
     }
 
+    /**
+     * Parse and execute a create view statement
+     */
+    async executeViewStatement(statementText) {
+        try {
+            const statements = this.parseStatements(statementText);
+            if (statements.length !== 1 || statements[0].ast.ast?.command !== 'create_view') {
+                throw new Error('Expected create view statement');
+            }
+            return await this.executeCommand(statements[0].ast);
+        } catch (error) {
+            return {
+                type: 'view',
+                success: false,
+                message: `Failed to create view: ${error.message}`
+            };
+        }
+    }
+
     /**
      * Execute a continuous query that subscribes to a stream
      */
@@ -152,36 +177,31 @@ export class QueryEngine {
                 javascript: executionPlan.javascript || this.pipelineToCode(statement.ast)
             };
 
-            // Extract source name from the query
-            const sourceName = this.extractSourceName(queryText);
-            
-            if (!this.streamManager.hasStream(sourceName)) {
-                throw new Error(`Stream '${sourceName}' does not exist. Create it first with: create stream ${sourceName}`);
-            }
-
-            // Validate insert_into target streams exist
-            const targetStreams = this.extractInsertIntoTargets(result.javascript);
-            for (const targetStream of targetStreams) {
-                if (!this.streamManager.hasStream(targetStream)) {
-                    throw new Error(`Target stream '${targetStream}' does not exist. Create it first with: create stream ${targetStream}`);
-                }
-            }
+            // Resolve the source stream(s) of the query
+            const source = statement.ast.source;
+            const sourceName = source.sourceName;
+            const sourceNames = this.resolveSourceNames(source);
 
             // Create a new query pipeline
             const queryId = this.nextQueryId++;
             const pipeline = this.createQueryPipeline(result.javascript);
             
-            // Subscribe to the stream
-            const subscriptionId = this.streamManager.subscribeFlowToStream(sourceName, pipeline, null);
+            this.validateSinks(pipeline);
+            this.validateLookupOperators(pipeline);
+            this.reportDroppedDocuments(pipeline, queryText);
+            
+            // Subscribe to the other side of any joins
+            const joinSubscriptions = this.subscribeJoinInputs(pipeline);
             
-            // Extract sink information from the query
-            const sinks = this.extractSinksFromQuery(result.javascript);
+            // Collect sink information from the pipeline, including fork branches
+            const sinks = this.collectSinks(pipeline);
             
             // Store query info
             const queryInfo = {
                 queryId,
-                subscriptionId,
                 sourceName,
+                isUnion: Boolean(source.union),
+                joinSubscriptions,
                 queryText,
                 pipeline,
                 sinks,
@@ -190,6 +210,9 @@ export class QueryEngine {
                 type: 'query'
             };
             
+            // Subscribe to the source stream(s)
+            this.subscribeSources(queryInfo, source, sourceNames);
+            
             this.activeQueries.set(queryId, queryInfo);
             
             return {
@@ -314,6 +337,8 @@ export class QueryEngine {
                 return await this.handleCreateFlow(ast.ast);
             case 'create_lookup':
                 return await this.handleCreateLookup(ast.ast);
+            case 'create_view':
+                return await this.handleCreateView(ast.ast);
             case 'delete_stream':
                 this.streamManager.deleteStream(ast.ast.streamName);
                 return { success: true, message: `Stream '${ast.ast.streamName}' deleted` };
@@ -321,6 +346,8 @@ export class QueryEngine {
                 return this.stopFlowByName(ast.ast.flowName);
             case 'delete_lookup':
                 return await this.handleDeleteLookup(ast.ast);
+            case 'delete_view':
+                return await this.handleDeleteView(ast.ast);
             case 'insert':
                 let data = ast.ast.data;
                 // Handle JSON strings that need parsing
@@ -353,7 +380,13 @@ export class QueryEngine {
                     return { success: true, result: this.streamManager.listStreams() };
                 }
             case 'info':
-                if (ast.ast.streamName) {
+                if (ast.ast.flowName) {
+                    const flowInfo = this.getFlowInfo(ast.ast.flowName);
+                    if (!flowInfo) {
+                        throw new Error(`Flow '${ast.ast.flowName}' not found`);
+                    }
+                    return { success: true, result: flowInfo };
+                } else if (ast.ast.streamName) {
                     return { success: true, result: this.streamManager.getStreamInfo(ast.ast.streamName) };
                 } else {
                     return { success: true, result: this.streamManager.getAllStreamInfo() };
@@ -404,8 +437,7 @@ export class QueryEngine {
             clearTimeout(queryInfo.ttlTimeout);
         }
 
-        // Unsubscribe from stream
-        this.streamManager.unsubscribeFlowFromStream(queryInfo.sourceName, queryInfo.subscriptionId);
+        this.releaseInputs(queryInfo);
         
         // Mark as inactive
         queryInfo.isActive = false;
@@ -416,7 +448,7 @@ export class QueryEngine {
             this.notifyFlowEvent('deleted', {
                 queryId,
                 flowName: queryInfo.flowName,
-                source: { type: 'stream', name: queryInfo.sourceName },
+                source: this.describeSource(queryInfo),
                 sinks: queryInfo.sinks || [],
                 ttlSeconds: queryInfo.ttlSeconds,
                 status: 'inactive',
@@ -433,6 +465,18 @@ export class QueryEngine {
         };
     }
 
+    /**
+     * Unsubscribe a query from all its input streams
+     */
+    releaseInputs(queryInfo) {
+        if (queryInfo.stopWatchingSources) {
+            queryInfo.stopWatchingSources();
+        }
+        for (const { sourceName, subscriptionId } of [...queryInfo.sources, ...(queryInfo.joinSubscriptions || [])]) {
+            this.streamManager.unsubscribeFlowFromStream(sourceName, subscriptionId);
+        }
+    }
+
     /**
      * Get active queries
      */
@@ -445,6 +489,7 @@ export class QueryEngine {
                     type: info.type,
                     flowName: info.flowName,
                     sourceName: info.sourceName,
+                    sourceNames: this.getInputStreams(info),
                     startTime: info.startTime,
                     ttlSeconds: info.ttlSeconds,
                     sinks: info.sinks || []
@@ -465,6 +510,7 @@ export class QueryEngine {
                     queryId,
                     flowName: info.flowName,
                     sourceName: info.sourceName,
+                    sourceNames: this.getInputStreams(info),
                     startTime: info.startTime,
                     ttlSeconds: info.ttlSeconds,
                     sinks: info.sinks || []
@@ -538,7 +584,7 @@ export class QueryEngine {
                 flows.push({
                     queryId,
                     flowName: queryInfo.flowName,
-                    source: { type: 'stream', name: queryInfo.sourceName },
+                    source: this.describeSource(queryInfo),
                     sinks: queryInfo.sinks || [],
                     ttlSeconds: queryInfo.ttlSeconds,
                     status: 'active',
@@ -559,11 +605,12 @@ export class QueryEngine {
                 return {
                     queryId,
                     flowName: queryInfo.flowName,
-                    source: { type: 'stream', name: queryInfo.sourceName },
+                    source: this.describeSource(queryInfo),
                     sinks: queryInfo.sinks || [],
                     ttlSeconds: queryInfo.ttlSeconds,
                     status: 'active',
-                    startTime: queryInfo.startTime
+                    startTime: queryInfo.startTime,
+                    operators: this.getOperatorStats(queryInfo.pipeline)
                 };
             }
         }
@@ -571,6 +618,19 @@ export class QueryEngine {
         return null;
     }
 
+    /**
+     * Collect runtime statistics of the operators in a pipeline that report them
+     */
+    getOperatorStats(pipeline) {
+        const stats = [];
+        for (const operator of this.collectOperators(pipeline)) {
+            if (typeof operator.getStats === 'function') {
+                stats.push({ operator: operator.constructor.name, ...operator.getStats() });
+            }
+        }
+        return stats;
+    }
+
     /**
      * Get streams that write to a given stream
      */
@@ -585,7 +645,8 @@ export class QueryEngine {
                         queryId,
                         flowName: queryInfo.flowName,
                         type: queryInfo.type,
-                        sourceName: queryInfo.sourceName
+                        sourceName: queryInfo.sourceName,
+                        sourceNames: this.getInputStreams(queryInfo)
                     });
                 }
             }
@@ -601,7 +662,7 @@ export class QueryEngine {
         const sinks = [];
         
         for (const [queryId, queryInfo] of this.activeQueries) {
-            if (queryInfo.isActive && queryInfo.sourceName === streamName) {
+            if (queryInfo.isActive && this.getInputStreams(queryInfo).includes(streamName)) {
                 sinks.push({
                     queryId,
                     flowName: queryInfo.flowName,
@@ -614,6 +675,31 @@ export class QueryEngine {
         return sinks;
     }
 
+    /**
+     * Get the names of all streams a query reads from (sources and joined streams)
+     */
+    getInputStreams(queryInfo) {
+        const names = [
+            ...queryInfo.sources.map(source => source.sourceName),
+            ...(queryInfo.joinSubscriptions || []).map(join => join.sourceName)
+        ];
+        return [...new Set(names)];
+    }
+
+    /**
+     * Describe the source of a query for flow listings and events
+     */
+    describeSource(queryInfo) {
+        if (queryInfo.isUnion) {
+            return {
+                type: 'union',
+                name: queryInfo.sourceName,
+                streams: queryInfo.sources.map(source => source.sourceName)
+            };
+        }
+        return { type: 'stream', name: queryInfo.sourceName };
+    }
+
     /**
      * Subscribe to flow events
      */
@@ -651,21 +737,174 @@ export class QueryEngine {
     }
 
     /**
-     * Extract insert_into target streams from JavaScript code
+     * Resolve the stream names a pipeline source reads from
+     * Plain sources and explicit union members must exist, wildcards match the current streams
      */
-    extractInsertIntoTargets(jsCode) {
-        const targets = [];
-        const insertIntoPattern = /insertIntoFactory\(\s*['"`]([^'"`]+)['"`]\s*\)/g;
-        let match;
-        
-        while ((match = insertIntoPattern.exec(jsCode)) !== null) {
-            const streamName = match[1];
-            if (!targets.includes(streamName)) {
-                targets.push(streamName);
+    resolveSourceNames(source) {
+        const patterns = source.union ? source.union.streams : [source.sourceName];
+        const names = [];
+
+        for (const pattern of patterns) {
+            if (pattern.endsWith('*')) {
+                names.push(...this.streamManager.listStreams().filter(name => this.matchesStreamPattern(name, pattern)));
+            } else if (this.streamManager.hasStream(pattern)) {
+                names.push(pattern);
+            } else {
+                throw new Error(`Stream '${pattern}' does not exist. Create it first with: create stream ${pattern}`);
             }
         }
-        
-        return targets;
+
+        return [...new Set(names)];
+    }
+
+    /**
+     * Check a stream name against a union member (exact name or prefix wildcard)
+     */
+    matchesStreamPattern(streamName, pattern) {
+        if (!pattern.endsWith('*')) {
+            return streamName === pattern;
+        }
+
+        // System streams like _log are only matched by patterns starting with _
+        const prefix = pattern.slice(0, -1);
+        if (streamName.startsWith('_') && !prefix.startsWith('_')) {
+            return false;
+        }
+        return streamName.startsWith(prefix);
+    }
+
+    /**
+     * Subscribe a query pipeline to its source stream(s)
+     * Union members get their own input that tags documents with the originating stream,
+     * and streams created later join the union when they match one of its members
+     */
+    subscribeSources(queryInfo, source, sourceNames) {
+        queryInfo.sources = [];
+
+        if (!source.union) {
+            const subscriptionId = this.streamManager.subscribeFlowToStream(sourceNames[0], queryInfo.pipeline, null);
+            queryInfo.sources.push({ sourceName: sourceNames[0], subscriptionId });
+            return;
+        }
+
+        const { streams, sourceField } = source.union;
+        const inputs = new Set();
+        const addInput = (streamName) => {
+            const input = new UnionInput(queryInfo.pipeline, streamName, sourceField, inputs);
+            const subscriptionId = this.streamManager.subscribeFlowToStream(streamName, input, null);
+            queryInfo.sources.push({ sourceName: streamName, subscriptionId });
+        };
+
+        sourceNames.forEach(addInput);
+
+        queryInfo.stopWatchingSources = this.streamManager.onStreamEvent((event, { streamName }) => {
+            const isSource = queryInfo.sources.some(s => s.sourceName === streamName);
+            if (event === 'created' && !isSource && streams.some(pattern => this.matchesStreamPattern(streamName, pattern))) {
+                addInput(streamName);
+            } else if (event === 'deleted' && isSource) {
+                queryInfo.sources = queryInfo.sources.filter(s => s.sourceName !== streamName);
+            }
+        });
+    }
+
+    /**
+     * Subscribe the right-hand side of every join operator in a pipeline to its stream
+     * Returns the subscriptions so they can be released together with the query
+     */
+    subscribeJoinInputs(pipeline) {
+        const joins = this.findOperators(pipeline, Operators.Join);
+
+        // Validate all streams before subscribing to any of them
+        for (const join of joins) {
+            if (!this.streamManager.hasStream(join.rightSourceName)) {
+                throw new Error(`Stream '${join.rightSourceName}' does not exist. Create it first with: create stream ${join.rightSourceName}`);
+            }
+        }
+
+        return joins.map(join => {
+            const input = new Stream().pipe(join.createRightInput());
+            return {
+                sourceName: join.rightSourceName,
+                subscriptionId: this.streamManager.subscribeFlowToStream(join.rightSourceName, input, null)
+            };
+        });
+    }
+
+    /**
+     * Ensure every stream written by an insert_into, in any fork branch, exists
+     */
+    validateSinks(pipeline) {
+        for (const sink of this.collectSinks(pipeline)) {
+            if (!this.streamManager.hasStream(sink.name)) {
+                throw new Error(`Target stream '${sink.name}' does not exist. Create it first with: create stream ${sink.name}`);
+            }
+        }
+    }
+
+    /**
+     * Collect the streams a pipeline writes to, once each
+     */
+    collectSinks(pipeline) {
+        const names = this.findOperators(pipeline, Operators.InsertInto).map(insertInto => insertInto.streamName);
+        return [...new Set(names)].map(name => ({ type: 'stream', name }));
+    }
+
+    /**
+     * Ensure every lookup referenced by a lookup operator exists
+     */
+    validateLookupOperators(pipeline) {
+        for (const lookup of this.findOperators(pipeline, Operators.Lookup)) {
+            if (!this.registry.hasLookup(lookup.lookupName)) {
+                throw new Error(`Lookup '${lookup.lookupName}' does not exist. Create it first with: create lookup ${lookup.lookupName} = <value>`);
+            }
+        }
+    }
+
+    /**
+     * Log documents dropped by reorder steps for arriving behind the watermark, and by
+     * joins for lacking an event time, to _log
+     */
+    reportDroppedDocuments(pipeline, queryName) {
+        for (const sorter of this.findOperators(pipeline, Operators.Sorter)) {
+            sorter.onLateDrop = (doc, key, watermark) => {
+                this.streamManager.initializeLogger();
+                this.streamManager.logger.warning(
+                    'LATE_DOCUMENT_DROPPED',
+                    `Dropped late document with order key ${JSON.stringify(key)} behind watermark ${JSON.stringify(watermark)}`,
+                    queryName
+                );
+            };
+        }
+        for (const join of this.findOperators(pipeline, Operators.Join)) {
+            join.onInvalidTime = (doc, side) => {
+                this.streamManager.initializeLogger();
+                this.streamManager.logger.warning(
+                    'JOIN_TIME_INVALID',
+                    `Skipped ${side} join document whose time expression yields no number or date`,
+                    queryName
+                );
+            };
+        }
+    }
+
+    /**
+     * Collect all operators of a given class in a pipeline
+     */
+    findOperators(pipeline, operatorClass) {
+        return this.collectOperators(pipeline).filter(operator => operator instanceof operatorClass);
+    }
+
+    /**
+     * Collect the operators of a pipeline in order, including those inside fork branches
+     */
+    collectOperators(pipeline, operators = []) {
+        for (let operator = pipeline?.head; operator; operator = operator.downstream) {
+            operators.push(operator);
+            for (const branch of operator.branches || []) {
+                this.collectOperators(branch, operators);
+            }
+        }
+        return operators;
     }
 
     /**
@@ -680,7 +919,7 @@ export class QueryEngine {
             const insertIntoFactory = (streamName) => {
                 return new Operators.InsertInto(async (item) => {
                     await this.streamManager.insertIntoStream(streamName, item);
-                });
+                }, streamName);
             };
             
             const createPipeline = new Function('Stream', 'Operators', 'insertIntoFactory', 'safeGet', 'functionRegistry', 'AggregationObject', 'AggregationExpression', `
@@ -696,25 +935,6 @@ export class QueryEngine {
         }
     }
 
-    /**
-     * Extract sink information from JavaScript code
-     */
-    extractSinksFromQuery(jsCode) {
-        const sinks = [];
-        const insertIntoPattern = /insertIntoFactory\(\s*['"`]([^'"`]+)['"`]\s*\)/g;
-        let match;
-        
-        while ((match = insertIntoPattern.exec(jsCode)) !== null) {
-            const streamName = match[1];
-            sinks.push({
-                type: 'stream',
-                name: streamName
-            });
-        }
-        
-        return sinks;
-    }
-
     // =============================================================================
     // BATCH PROCESSING UTILITY METHODS
     // =============================================================================
@@ -775,7 +995,7 @@ export class QueryEngine {
                 this.notifyFlowEvent('created', {
                     queryId: result.queryId,
                     flowName,
-                    source: { type: 'stream', name: queryInfo.sourceName },
+                    source: this.describeSource(queryInfo),
                     sinks: queryInfo.sinks || [],
                     ttlSeconds,
                     status: 'active',
@@ -798,7 +1018,12 @@ export class QueryEngine {
     }
 
     async handleCreateLookup(params) {
-        const { lookupName, lookupValue, modifier } = params;
+        const { lookupName, modifier } = params;
+        
+        // Script statements carry the transpiled value expression
+        const lookupValue = typeof params.lookupValue === 'string'
+            ? this.evaluateConstantExpression(params.lookupValue)
+            : params.lookupValue;
         
         try {
             const exists = this.registry.hasLookup(lookupName);
@@ -832,6 +1057,111 @@ export class QueryEngine {
         }
     }
 
+    async handleCreateView(params) {
+        const { viewName, modifier, viewQuery } = params;
+
+        const replacing = this.streamManager.hasStream(viewName);
+        if (replacing) {
+            if (modifier === 'if_not_exists') {
+                return { success: true, message: `View '${viewName}' already exists` };
+            } else if (modifier !== 'or_replace') {
+                throw new Error(`Stream '${viewName}' already exists`);
+            } else if (!this.streamManager.isView(viewName)) {
+                throw new Error(`Stream '${viewName}' is not a view`);
+            }
+        }
+
+        // Validate the query up front, it only runs once the view has subscribers.
+        // A view that is replaced stays in place until its replacement is valid
+        const source = viewQuery.source;
+        this.resolveSourceNames(source);
+        const pipeline = this.createFlowPipeline(viewQuery);
+        this.validateLookupOperators(pipeline);
+
+        const joins = this.findOperators(pipeline, Operators.Join);
+        for (const join of joins) {
+            if (!this.streamManager.hasStream(join.rightSourceName)) {
+                throw new Error(`Stream '${join.rightSourceName}' does not exist. Create it first with: create stream ${join.rightSourceName}`);
+            }
+        }
+
+        // Wildcard union members are not dependencies, the view outlives the streams they match
+        const patterns = source.union ? source.union.streams : [source.sourceName];
+        const dependencies = [...new Set([
+            ...patterns.filter(pattern => !pattern.endsWith('*')),
+            ...joins.map(join => join.rightSourceName)
+        ])];
+        if (dependencies.some(dependency => this.readsFromStream(dependency, viewName))) {
+            throw new Error(`View '${viewName}' cannot read from itself`);
+        }
+
+        if (replacing) {
+            this.streamManager.deleteStream(viewName);
+        }
+        this.streamManager.createView(viewName, {
+            dependencies,
+            activate: () => this.activateView(viewName, viewQuery)
+        });
+
+        return { success: true, message: `View '${viewName}' created` };
+    }
+
+    /**
+     * Check if a stream is, or is a view built on, another stream
+     */
+    readsFromStream(name, streamName) {
+        if (name === streamName) {
+            return true;
+        }
+        const dependencies = this.streamManager.getStream(name)?.view?.dependencies || [];
+        return dependencies.some(dependency => this.readsFromStream(dependency, streamName));
+    }
+
+    /**
+     * Start evaluating a view for its subscribers
+     * Returns a function that stops the evaluation again
+     */
+    activateView(viewName, viewQuery) {
+        const source = viewQuery.source;
+        const sourceNames = this.resolveSourceNames(source);
+        const pipeline = this.createFlowPipeline(viewQuery).pipe(new ViewOutput(this.streamManager, viewName));
+
+        this.validateLookupOperators(pipeline);
+        this.reportDroppedDocuments(pipeline, viewName);
+
+        const viewInfo = {
+            sourceName: source.sourceName,
+            pipeline,
+            joinSubscriptions: this.subscribeJoinInputs(pipeline)
+        };
+        this.subscribeSources(viewInfo, source, sourceNames);
+
+        return () => this.releaseInputs(viewInfo);
+    }
+
+    async handleDeleteView(params) {
+        const { viewName } = params;
+
+        if (!this.streamManager.isView(viewName)) {
+            throw new Error(`View '${viewName}' does not exist`);
+        }
+
+        this.streamManager.deleteStream(viewName);
+        return { success: true, message: `View '${viewName}' deleted` };
+    }
+
+    /**
+     * Evaluate a transpiled expression that does not depend on a document
+     */
+    evaluateConstantExpression(jsCode) {
+        try {
+            const evaluate = new Function('safeGet', 'functionRegistry', 'item', `return (${jsCode});`);
+            return evaluate(safeGet, this.registry, {});
+        } catch (error) {
+            throw new Error(`Invalid constant expression: ${error.message}`);
+        }
+    }
+
     pipelineToCode(pipelineAst) {
         if (!pipelineAst || !pipelineAst.children) {
             return '';
@@ -872,6 +1202,9 @@ export class QueryEngine {
         if (operationNode.children.summarizeClause) {
             return this.summarizeClauseToCode(operationNode.children.summarizeClause[0]);
         }
+        if (operationNode.children.joinClause) {
+            return this.joinClauseToCode(operationNode.children.joinClause[0]);
+        }
         if (operationNode.children.insertIntoClause) {
             return this.insertIntoClauseToCode(operationNode.children.insertIntoClause[0]);
         }
@@ -956,6 +1289,10 @@ export class QueryEngine {
         return 'summarize(...)';
     }
 
+    joinClauseToCode(joinNode) {
+        return `join (${joinNode.children.rightStream[0].image}) on ... within ...`;
+    }
+
     insertIntoClauseToCode(insertIntoNode) {
         return `insert_into(${insertIntoNode.children.streamName[0].image})`;
     }
@@ -1018,6 +1355,8 @@ export class QueryEngine {
                 return 'create_stream';
             } else if (stmt.ast.command === 'create_flow') {
                 return 'create_flow';
+            } else if (stmt.ast.command === 'create_view') {
+                return 'create_view';
             }
         }
         return 'unknown';
@@ -1031,6 +1370,9 @@ export class QueryEngine {
                 if (stmt.ast.command === 'create_stream') {
                     const modifier = stmt.ast.modifier ? `${stmt.ast.modifier} ` : '';
                     return `create ${modifier}stream ${stmt.ast.streamName}`;
+                } else if (stmt.ast.command === 'create_view') {
+                    const modifier = stmt.ast.modifier ? `${stmt.ast.modifier} ` : '';
+                    return `create ${modifier}view ${stmt.ast.viewName}`;
                 } else if (stmt.ast.command === 'create_flow') {
                     // Extract the original flow statement text directly from input
                     return this._extractOriginalFlowText(input, stmt.ast.flowName) || `statement_${index}`;
@@ -1049,6 +1391,9 @@ export class QueryEngine {
                     case 'listStatement':
                         return `list ${stmt.ast.target}`;
                     case 'infoStatement':
+                        if (stmt.ast.flowName) {
+                            return `info flow ${stmt.ast.flowName}`;
+                        }
                         return stmt.ast.streamName ? `info ${stmt.ast.streamName}` : 'info';
                     default:
                         return this.pipelineToCode(stmt.ast);
@@ -1095,27 +1440,30 @@ export class QueryEngine {
                 throw new Error('Invalid flow query: missing source');
             }
 
-            const sourceName = flowQuery.source.sourceName;
-            
-            if (!this.streamManager.hasStream(sourceName)) {
-                throw new Error(`Stream '${sourceName}' does not exist. Create it first with: create stream ${sourceName}`);
-            }
+            const source = flowQuery.source;
+            const sourceName = source.sourceName;
+            const sourceNames = this.resolveSourceNames(source);
 
             // Create pipeline directly from the operations
             const queryId = this.nextQueryId++;
             const pipeline = this.createFlowPipeline(flowQuery);
             
-            // Subscribe to the stream
-            const subscriptionId = this.streamManager.subscribeFlowToStream(sourceName, pipeline, null);
+            this.validateSinks(pipeline);
+            this.validateLookupOperators(pipeline);
+            this.reportDroppedDocuments(pipeline, flowName);
+            
+            // Subscribe to the other side of any joins
+            const joinSubscriptions = this.subscribeJoinInputs(pipeline);
             
-            // Extract sink information
-            const sinks = this.extractSinksFromFlowQuery(flowQuery);
+            // Collect sink information, including fork branches
+            const sinks = this.collectSinks(pipeline);
             
             // Store query info
             const queryInfo = {
                 queryId,
-                subscriptionId,
                 sourceName,
+                isUnion: Boolean(source.union),
+                joinSubscriptions,
                 queryText: flowQuery?.source?.sourceName || 'unknown', // For display purposes
                 pipeline,
                 sinks,
@@ -1124,6 +1472,9 @@ export class QueryEngine {
                 type: 'query' // Will be updated to 'flow' by caller
             };
             
+            // Subscribe to the source stream(s)
+            this.subscribeSources(queryInfo, source, sourceNames);
+            
             this.activeQueries.set(queryId, queryInfo);
             
             return {
@@ -1164,7 +1515,7 @@ export class QueryEngine {
                         const insertIntoFactory = (streamName) => {
                             return new Operators.InsertInto(async (item) => {
                                 await this.streamManager.insertIntoStream(streamName, item);
-                            });
+                            }, streamName);
                         };
                         
                         // Create a function that applies the operation
@@ -1185,28 +1536,60 @@ export class QueryEngine {
             throw new Error(`Failed to create flow pipeline: ${error.message}`);
         }
     }
+}
 
-    /**
-     * Extract sink information from flow query AST
-     */
-    extractSinksFromFlowQuery(flowQuery) {
-        const sinks = [];
-        
-        if (flowQuery.operations) {
-            for (const operation of flowQuery.operations) {
-                if (typeof operation === 'string' && operation.includes('InsertInto')) {
-                    // Extract stream name from insertIntoFactory call
-                    const match = operation.match(/insertIntoFactory\s*\(\s*["'`]([^"'`]+)["'`]\s*\)/);
-                    if (match) {
-                        sinks.push({
-                            type: 'stream',
-                            name: match[1]
-                        });
-                    }
-                }
-            }
+/**
+ * Final step of a view's pipeline
+ * Publishes the query results to the view's subscribers and passes flushes of the
+ * underlying streams on to them.
+ */
+class ViewOutput extends Operator {
+    constructor(streamManager, viewName) {
+        super();
+        this.streamManager = streamManager;
+        this.viewName = viewName;
+    }
+
+    async process(doc) {
+        await this.streamManager.publishViewData(this.viewName, doc);
+    }
+
+    async flush() {
+        if (this.streamManager.hasStream(this.viewName)) {
+            await this.streamManager.flushStream(this.viewName);
+        }
+    }
+}
+
+/**
+ * One input of a union source
+ * Forwards documents of a single stream into the shared flow pipeline, optionally
+ * tagging them with the stream name. The pipeline is finished with its last input.
+ */
+class UnionInput {
+    constructor(pipeline, streamName, sourceField, inputs) {
+        this.pipeline = pipeline;
+        this.streamName = streamName;
+        this.sourceField = sourceField;
+        this.inputs = inputs; // Shared set of all active inputs of the union
+        this.inputs.add(this);
+    }
+
+    push(doc) {
+        if (this.sourceField && doc && typeof doc === 'object' && !Array.isArray(doc)) {
+            doc = { ...doc, [this.sourceField]: this.streamName };
+        }
+        this.pipeline.push(doc);
+    }
+
+    flushAll() {
+        return this.pipeline.flushAll();
+    }
+
+    finish() {
+        this.inputs.delete(this);
+        if (this.inputs.size === 0) {
+            return this.pipeline.finish();
         }
-        
-        return sinks;
     }
-} 
\ No newline at end of file
+}
@@ -4,6 +4,22 @@
 
 import { Sum } from '../aggregations/functions/sum.js';
 import { Count } from '../aggregations/functions/count.js';
+import { Avg } from '../aggregations/functions/avg.js';
+import { Min } from '../aggregations/functions/min.js';
+import { Max } from '../aggregations/functions/max.js';
+import { Variance, VarianceP } from '../aggregations/functions/variance.js';
+import { Stddev, StdevP } from '../aggregations/functions/stddev.js';
+import { Percentile, Percentiles } from '../aggregations/functions/percentile.js';
+import { Dcount } from '../aggregations/functions/dcount.js';
+import { CountDistinct } from '../aggregations/functions/count-distinct.js';
+import { MakeList } from '../aggregations/functions/make-list.js';
+import { MakeSet } from '../aggregations/functions/make-set.js';
+import { MakeBag } from '../aggregations/functions/make-bag.js';
+import { ArgMax } from '../aggregations/functions/arg-max.js';
+import { ArgMin } from '../aggregations/functions/arg-min.js';
+import { First } from '../aggregations/functions/first.js';
+import { Last } from '../aggregations/functions/last.js';
+import { CountIf, SumIf, AvgIf, MinIf, MaxIf } from '../aggregations/functions/conditional.js';
 
 /**
  * Register all aggregation functions to a registry instance
@@ -13,4 +29,28 @@ export function registerAggregations(registry) {
     // Register built-in aggregations
     registry.registerAggregation('sum', Sum);
     registry.registerAggregation('count', Count);
+    registry.registerAggregation('avg', Avg);
+    registry.registerAggregation('min', Min);
+    registry.registerAggregation('max', Max);
+    registry.registerAggregation('variance', Variance);
+    registry.registerAggregation('variancep', VarianceP);
+    registry.registerAggregation('stddev', Stddev);
+    registry.registerAggregation('stdevp', StdevP);
+    registry.registerAggregation('percentile', Percentile);
+    registry.registerAggregation('percentiles', Percentiles);
+    registry.registerAggregation('dcount', Dcount);
+    registry.registerAggregation('count_distinct', CountDistinct);
+    registry.registerAggregation('make_list', MakeList);
+    registry.registerAggregation('make_set', MakeSet);
+    registry.registerAggregation('make_bag', MakeBag);
+    registry.registerAggregation('arg_max', ArgMax);
+    registry.registerAggregation('arg_min', ArgMin);
+    registry.registerAggregation('first', First);
+    registry.registerAggregation('last', Last);
+    registry.registerAggregation('any', First); // Alias
+    registry.registerAggregation('countif', CountIf);
+    registry.registerAggregation('sumif', SumIf);
+    registry.registerAggregation('avgif', AvgIf);
+    registry.registerAggregation('minif', MinIf);
+    registry.registerAggregation('maxif', MaxIf);
 }
\ No newline at end of file
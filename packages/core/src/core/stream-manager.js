@@ -45,6 +45,58 @@ export class StreamManager {
         return this.createStreamInternal(name);
     }
 
+    /**
+     * Create a view: a stream whose documents are produced by a query over other streams
+     * The view is evaluated lazily: activate() is called when the first subscriber arrives
+     * and must return a function that releases the view's own subscriptions, which is
+     * called when the last subscriber leaves.
+     *
+     * @param {string} name - View name
+     * @param {Object} definition - { dependencies, activate }
+     *   dependencies: streams the view reads from, deleting one of them deletes the view
+     */
+    createView(name, { dependencies, activate }) {
+        if (this.streams.has(name)) {
+            this.initializeLogger();
+            this.logger.error(ErrorCodes.STREAM_ALREADY_EXISTS, `Stream '${name}' already exists`);
+            throw new JSONJetError(ErrorCodes.STREAM_ALREADY_EXISTS, `Stream '${name}' already exists`);
+        }
+
+        const container = this.createStreamInternal(name);
+        container.view = {
+            dependencies,
+            activate,
+            release: null // Set while the view is active
+        };
+        return container;
+    }
+
+    /**
+     * Check if a stream is a view
+     */
+    isView(name) {
+        return Boolean(this.streams.get(name)?.view);
+    }
+
+    /**
+     * Start or stop evaluating a view as subscribers come and go
+     */
+    updateViewActivation(container) {
+        const view = container.view;
+        if (!view) {
+            return;
+        }
+
+        const subscriberCount = container.flowSubscribers.size + container.userSubscribers.size;
+        if (subscriberCount > 0 && !view.release) {
+            view.release = view.activate();
+        } else if (subscriberCount === 0 && view.release) {
+            const release = view.release;
+            view.release = null;
+            release();
+        }
+    }
+
     /**
      * Internal method to create stream without validation (for system streams like _log)
      */
@@ -78,6 +130,13 @@ export class StreamManager {
             throw new JSONJetError(ErrorCodes.STREAM_NOT_FOUND, `Stream '${name}' does not exist`);
         }
 
+        // Views defined on this stream cannot produce data without it
+        for (const [viewName, viewContainer] of this.streams) {
+            if (viewContainer.view?.dependencies.includes(name) && this.streams.has(viewName)) {
+                this.deleteStream(viewName);
+            }
+        }
+
         // Stop all active flows on this stream
         for (const [queryId, { pipeline }] of container.flowSubscribers) {
             try {
@@ -90,6 +149,7 @@ export class StreamManager {
         // Clear all subscriptions
         container.flowSubscribers.clear();
         container.userSubscribers.clear();
+        this.updateViewActivation(container);
         
         // Remove user subscriptions pointing to this stream
         for (const [subId, sub] of this.userSubscriptions) {
@@ -136,6 +196,30 @@ export class StreamManager {
             this.logger.error(ErrorCodes.STREAM_NOT_FOUND, `Stream '${name}' does not exist`);
             throw new JSONJetError(ErrorCodes.STREAM_NOT_FOUND, `Stream '${name}' does not exist`);
         }
+        if (container.view) {
+            this.initializeLogger();
+            this.logger.error(ErrorCodes.VIEW_NOT_WRITABLE, `Cannot insert into view '${name}'`);
+            throw new JSONJetError(ErrorCodes.VIEW_NOT_WRITABLE, `Cannot insert into view '${name}'`);
+        }
+
+        this.deliverToSubscribers(container, data);
+    }
+
+    /**
+     * Deliver the output of a view's query to the view's subscribers
+     */
+    async publishViewData(name, data) {
+        const container = this.streams.get(name);
+        if (container?.view) {
+            this.deliverToSubscribers(container, data);
+        }
+    }
+
+    /**
+     * Push documents to all subscribers of a stream
+     */
+    deliverToSubscribers(container, data) {
+        const name = container.name;
 
         // Handle bulk insert (array) or single insert
         const items = Array.isArray(data) ? data : [data];
@@ -233,6 +317,7 @@ export class StreamManager {
         
         // Store flow subscriber info
         container.flowSubscribers.set(queryId, { pipeline, callback });
+        this.activateForSubscriber(container, () => container.flowSubscribers.delete(queryId));
 
         return queryId;
     }
@@ -255,10 +340,26 @@ export class StreamManager {
         // Store user subscription info
         container.userSubscribers.set(subscriptionId, callback);
         this.userSubscriptions.set(subscriptionId, { streamName, callback });
+        this.activateForSubscriber(container, () => {
+            container.userSubscribers.delete(subscriptionId);
+            this.userSubscriptions.delete(subscriptionId);
+        });
 
         return subscriptionId;
     }
 
+    /**
+     * Start a view for its first subscriber, undoing the subscription if the view cannot start
+     */
+    activateForSubscriber(container, removeSubscriber) {
+        try {
+            this.updateViewActivation(container);
+        } catch (error) {
+            removeSubscriber();
+            throw error;
+        }
+    }
+
     /**
      * Subscribe to all streams (receives data from any stream)
      * Returns a subscription ID that can be used to unsubscribe
@@ -286,6 +387,7 @@ export class StreamManager {
                 console.warn(`Error finishing pipeline ${queryId}:`, error);
             }
             container.flowSubscribers.delete(queryId);
+            this.updateViewActivation(container);
             return true;
         }
 
@@ -305,6 +407,7 @@ export class StreamManager {
         const container = this.streams.get(streamName);
         if (container) {
             container.userSubscribers.delete(subscriptionId);
+            this.updateViewActivation(container);
         }
         
         this.userSubscriptions.delete(subscriptionId);
@@ -356,7 +459,21 @@ export class StreamManager {
             totalSubscriberCount: container.flowSubscribers.size + container.userSubscribers.size,
             flowSubscribers: Array.from(container.flowSubscribers.keys()),
             userSubscribers: Array.from(container.userSubscribers.keys()),
-            type: 'pure-stream' // No data storage
+            type: container.view ? 'view' : 'pure-stream', // No data storage
+            ...this.getViewInfo(container)
+        };
+    }
+
+    /**
+     * View details for stream info, empty for regular streams
+     */
+    getViewInfo(container) {
+        if (!container.view) {
+            return {};
+        }
+        return {
+            dependencies: container.view.dependencies,
+            active: Boolean(container.view.release)
         };
     }
 
@@ -373,7 +490,8 @@ export class StreamManager {
                 totalSubscriberCount: container.flowSubscribers.size + container.userSubscribers.size,
                 flowSubscribers: Array.from(container.flowSubscribers.keys()),
                 userSubscribers: Array.from(container.userSubscribers.keys()),
-                type: 'pure-stream'
+                type: container.view ? 'view' : 'pure-stream',
+                ...this.getViewInfo(container)
             };
         }
         return info;
@@ -385,6 +503,10 @@ export class StreamManager {
     deleteAllStreams() {
         const streamNames = Array.from(this.streams.keys());
         for (const name of streamNames) {
+            // Views may already be gone with the streams they were defined on
+            if (!this.streams.has(name)) {
+                continue;
+            }
             try {
                 this.deleteStream(name);
             } catch (error) {
@@ -9,6 +9,21 @@
  * - Callbacks can extract any computed value from items
  */
 
+import { parseDatetime } from '../utils/datetime-utils.js';
+
+/**
+ * Value-based windows work on numbers; datetime strings are windowed by their
+ * epoch milliseconds so sizes can be durations, e.g. tumbling_window_by(5m, timestamp)
+ * @param {any} value - Extracted window value
+ * @returns {any} Number for datetime strings, otherwise the value unchanged
+ */
+function toWindowValue(value) {
+    if (typeof value === 'string') {
+        return parseDatetime(value) ?? value;
+    }
+    return value;
+}
+
 /**
  * Creates a tumbling window (non-overlapping windows)
  * @param {number} size - Window size (count or value units)
@@ -57,8 +72,9 @@ export function tumbling_window(size, valueExpr = null) {
                         throw new Error('valueExpr must be a string (field name) or function');
                     }
                     
+                    value = toWindowValue(value);
                     if (typeof value !== 'number') {
-                        throw new Error('Value expression must return a number');
+                        throw new Error('Value expression must return a number or datetime');
                     }
                     
                     const windowId = Math.floor(value / size) * size;
@@ -94,7 +110,7 @@ export function tumbling_window_by(size, valueCallback) {
         
         createWindowFunc() {
             return (item) => {
-                const value = valueCallback(item);
+                const value = toWindowValue(valueCallback(item));
                 const windowStart = Math.floor(value / size) * size;
                 return [{
                     _id: windowStart,
@@ -169,8 +185,9 @@ export function hopping_window(size, hop, valueExpr = null) {
                         throw new Error('valueExpr must be a string (field name) or function');
                     }
                     
+                    value = toWindowValue(value);
                     if (typeof value !== 'number') {
-                        throw new Error('Value expression must return a number');
+                        throw new Error('Value expression must return a number or datetime');
                     }
                     
                     const windows = [];
@@ -216,7 +233,7 @@ export function hopping_window_by(size, hop, valueCallback) {
         
         createWindowFunc() {
             return (item) => {
-                const value = valueCallback(item);
+                const value = toWindowValue(valueCallback(item));
                 const windows = [];
                 
                 // Find all windows this value belongs to
@@ -292,8 +309,9 @@ export function sliding_window(size, valueExpr = null) {
                         throw new Error('valueExpr must be a string (field name) or function');
                     }
                     
+                    value = toWindowValue(value);
                     if (typeof value !== 'number') {
-                        throw new Error('Value expression must return a number');
+                        throw new Error('Value expression must return a number or datetime');
                     }
                     
                     const windowEnd = value + 1;
@@ -329,7 +347,7 @@ export function sliding_window_by(size, valueCallback) {
         
         createWindowFunc() {
             return (item) => {
-                const value = valueCallback(item);
+                const value = toWindowValue(valueCallback(item));
                 const windowStart = value - size + 1;
                 return [{
                     _id: value,
@@ -383,8 +401,9 @@ export function session_window(timeout, valueCallback) {
                     throw new Error('valueCallback must be a string field name or function');
                 }
                 
+                value = toWindowValue(value);
                 if (typeof value !== 'number') {
-                    throw new Error('Value expression must return a number');
+                    throw new Error('Value expression must return a number or datetime');
                 }
                 
                 if (lastValue === null || (value - lastValue) > timeout) {
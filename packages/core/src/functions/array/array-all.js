@@ -0,0 +1,35 @@
+/**
+ * array_all(arr, x => ...) - Check if a lambda is true for every element
+ */
+
+import { ScalarFunction } from '../core/scalar-function.js';
+import { config } from '../core/function-config.js';
+
+export class ArrayAllFunction extends ScalarFunction {
+    constructor() {
+        super('array_all');
+    }
+    
+    /**
+     * @param {Array} args - [arr, lambda]
+     * @returns {boolean|null} true for an empty array, or null if invalid
+     */
+    _execute(args) {
+        if (args.length !== 2) {
+            config.logFunctionWarning('array_all', `Expected 2 arguments, got ${args.length}`, args);
+            return null;
+        }
+        
+        const [arr, lambda] = args;
+        if (!Array.isArray(arr)) {
+            config.logFunctionWarning('array_all', `Expected array, got ${typeof arr}`, arr);
+            return null;
+        }
+        if (typeof lambda !== 'function') {
+            config.logFunctionWarning('array_all', 'Expected lambda such as x => x * 2 as second argument');
+            return null;
+        }
+        
+        return arr.every(element => lambda(element) === true);
+    }
+}
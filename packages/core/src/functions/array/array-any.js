@@ -0,0 +1,35 @@
+/**
+ * array_any(arr, x => ...) - Check if a lambda is true for at least one element
+ */
+
+import { ScalarFunction } from '../core/scalar-function.js';
+import { config } from '../core/function-config.js';
+
+export class ArrayAnyFunction extends ScalarFunction {
+    constructor() {
+        super('array_any');
+    }
+    
+    /**
+     * @param {Array} args - [arr, lambda]
+     * @returns {boolean|null} false for an empty array, or null if invalid
+     */
+    _execute(args) {
+        if (args.length !== 2) {
+            config.logFunctionWarning('array_any', `Expected 2 arguments, got ${args.length}`, args);
+            return null;
+        }
+        
+        const [arr, lambda] = args;
+        if (!Array.isArray(arr)) {
+            config.logFunctionWarning('array_any', `Expected array, got ${typeof arr}`, arr);
+            return null;
+        }
+        if (typeof lambda !== 'function') {
+            config.logFunctionWarning('array_any', 'Expected lambda such as x => x * 2 as second argument');
+            return null;
+        }
+        
+        return arr.some(element => lambda(element) === true);
+    }
+}
@@ -0,0 +1,31 @@
+/**
+ * array_concat(a, b, ...) - Join arrays into one
+ */
+
+import { ScalarFunction } from '../core/scalar-function.js';
+import { config } from '../core/function-config.js';
+
+export class ArrayConcatFunction extends ScalarFunction {
+    constructor() {
+        super('array_concat');
+    }
+    
+    /**
+     * @param {Array} args - Arrays to join
+     * @returns {Array|null} Elements of all arrays in order, or null if an argument is not an array
+     */
+    _execute(args) {
+        if (args.length === 0) {
+            config.logFunctionWarning('array_concat', 'Expected at least 1 argument, got 0');
+            return null;
+        }
+        
+        const invalid = args.find(arr => !Array.isArray(arr));
+        if (invalid !== undefined) {
+            config.logFunctionWarning('array_concat', 'Expected array arguments', invalid);
+            return null;
+        }
+        
+        return [].concat(...args);
+    }
+}
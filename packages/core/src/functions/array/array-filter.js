@@ -0,0 +1,35 @@
+/**
+ * array_filter(arr, x => ...) - Elements for which a lambda is true
+ */
+
+import { ScalarFunction } from '../core/scalar-function.js';
+import { config } from '../core/function-config.js';
+
+export class ArrayFilterFunction extends ScalarFunction {
+    constructor() {
+        super('array_filter');
+    }
+    
+    /**
+     * @param {Array} args - [arr, lambda]
+     * @returns {Array|null} Matching elements, or null if invalid
+     */
+    _execute(args) {
+        if (args.length !== 2) {
+            config.logFunctionWarning('array_filter', `Expected 2 arguments, got ${args.length}`, args);
+            return null;
+        }
+        
+        const [arr, lambda] = args;
+        if (!Array.isArray(arr)) {
+            config.logFunctionWarning('array_filter', `Expected array, got ${typeof arr}`, arr);
+            return null;
+        }
+        if (typeof lambda !== 'function') {
+            config.logFunctionWarning('array_filter', 'Expected lambda such as x => x * 2 as second argument');
+            return null;
+        }
+        
+        return arr.filter(element => lambda(element) === true);
+    }
+}
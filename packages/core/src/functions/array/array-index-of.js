@@ -0,0 +1,33 @@
+/**
+ * array_index_of(arr, value) - Zero-based index of the first element equal to value
+ */
+
+import { ScalarFunction } from '../core/scalar-function.js';
+import { config } from '../core/function-config.js';
+import { valuesEqual } from './array-utils.js';
+
+export class ArrayIndexOfFunction extends ScalarFunction {
+    constructor() {
+        super('array_index_of');
+    }
+    
+    /**
+     * Objects and arrays are compared by content
+     * @param {Array} args - [arr, value]
+     * @returns {number|null} Index of value, -1 if not found, or null if arr is not an array
+     */
+    _execute(args) {
+        if (args.length !== 2) {
+            config.logFunctionWarning('array_index_of', `Expected 2 arguments, got ${args.length}`, args);
+            return null;
+        }
+        
+        const [arr, value] = args;
+        if (!Array.isArray(arr)) {
+            config.logFunctionWarning('array_index_of', `Expected array, got ${typeof arr}`, arr);
+            return null;
+        }
+        
+        return arr.findIndex(element => valuesEqual(element, value));
+    }
+}
@@ -0,0 +1,31 @@
+/**
+ * array_length(arr) - Number of elements in an array
+ */
+
+import { ScalarFunction } from '../core/scalar-function.js';
+import { config } from '../core/function-config.js';
+
+export class ArrayLengthFunction extends ScalarFunction {
+    constructor() {
+        super('array_length');
+    }
+    
+    /**
+     * @param {Array} args - [arr]
+     * @returns {number|null} Number of elements, or null if arr is not an array
+     */
+    _execute(args) {
+        if (args.length !== 1) {
+            config.logFunctionWarning('array_length', `Expected 1 argument, got ${args.length}`, args);
+            return null;
+        }
+        
+        const arr = args[0];
+        if (!Array.isArray(arr)) {
+            config.logFunctionWarning('array_length', `Expected array, got ${typeof arr}`, arr);
+            return null;
+        }
+        
+        return arr.length;
+    }
+}
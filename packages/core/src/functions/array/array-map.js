@@ -0,0 +1,35 @@
+/**
+ * array_map(arr, x => ...) - Apply a lambda to every element
+ */
+
+import { ScalarFunction } from '../core/scalar-function.js';
+import { config } from '../core/function-config.js';
+
+export class ArrayMapFunction extends ScalarFunction {
+    constructor() {
+        super('array_map');
+    }
+    
+    /**
+     * @param {Array} args - [arr, lambda]
+     * @returns {Array|null} Results of the lambda, or null if invalid
+     */
+    _execute(args) {
+        if (args.length !== 2) {
+            config.logFunctionWarning('array_map', `Expected 2 arguments, got ${args.length}`, args);
+            return null;
+        }
+        
+        const [arr, lambda] = args;
+        if (!Array.isArray(arr)) {
+            config.logFunctionWarning('array_map', `Expected array, got ${typeof arr}`, arr);
+            return null;
+        }
+        if (typeof lambda !== 'function') {
+            config.logFunctionWarning('array_map', 'Expected lambda such as x => x * 2 as second argument');
+            return null;
+        }
+        
+        return arr.map(element => lambda(element));
+    }
+}
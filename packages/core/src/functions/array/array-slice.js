@@ -0,0 +1,38 @@
+/**
+ * array_slice(arr, start, end?) - Elements from start to end, both inclusive
+ */
+
+import { ScalarFunction } from '../core/scalar-function.js';
+import { config } from '../core/function-config.js';
+
+export class ArraySliceFunction extends ScalarFunction {
+    constructor() {
+        super('array_slice');
+    }
+    
+    /**
+     * Negative indices count from the end, -1 is the last element; without end the slice runs to the end
+     * @param {Array} args - [arr, start, end?]
+     * @returns {Array|null} The slice, or null if invalid
+     */
+    _execute(args) {
+        if (args.length < 2 || args.length > 3) {
+            config.logFunctionWarning('array_slice', `Expected 2 or 3 arguments, got ${args.length}`, args);
+            return null;
+        }
+        
+        const [arr, start, end = -1] = args;
+        if (!Array.isArray(arr)) {
+            config.logFunctionWarning('array_slice', `Expected array, got ${typeof arr}`, arr);
+            return null;
+        }
+        if (!Number.isInteger(start) || !Number.isInteger(end)) {
+            config.logFunctionWarning('array_slice', 'Expected integer start and end', args.slice(1));
+            return null;
+        }
+        
+        const from = start < 0 ? Math.max(0, arr.length + start) : start;
+        const to = end < 0 ? arr.length + end : end;
+        return arr.slice(from, to + 1);
+    }
+}
@@ -0,0 +1,46 @@
+/**
+ * array_sort(arr, order?) - Sorted copy of an array
+ */
+
+import { ScalarFunction } from '../core/scalar-function.js';
+import { config } from '../core/function-config.js';
+import { compareValues } from './array-utils.js';
+
+export class ArraySortFunction extends ScalarFunction {
+    constructor() {
+        super('array_sort');
+    }
+    
+    /**
+     * Numbers sort numerically and strings by character code; missing values sort last in both orders
+     * @param {Array} args - [arr, order?] - order is "asc" (default) or "desc"
+     * @returns {Array|null} Sorted copy, or null if invalid
+     */
+    _execute(args) {
+        if (args.length < 1 || args.length > 2) {
+            config.logFunctionWarning('array_sort', `Expected 1 or 2 arguments, got ${args.length}`, args);
+            return null;
+        }
+        
+        const [arr, order = 'asc'] = args;
+        if (!Array.isArray(arr)) {
+            config.logFunctionWarning('array_sort', `Expected array, got ${typeof arr}`, arr);
+            return null;
+        }
+        const direction = typeof order === 'string' ? order.toLowerCase() : order;
+        if (direction !== 'asc' && direction !== 'desc') {
+            config.logFunctionWarning('array_sort', 'Expected order "asc" or "desc"', order);
+            return null;
+        }
+        
+        const sign = direction === 'asc' ? 1 : -1;
+        return [...arr].sort((a, b) => {
+            const aMissing = a === null || a === undefined;
+            const bMissing = b === null || b === undefined;
+            if (aMissing || bMissing) {
+                return aMissing - bMissing;
+            }
+            return sign * compareValues(a, b);
+        });
+    }
+}
@@ -0,0 +1,43 @@
+/**
+ * array_sum(arr) - Sum of the numbers in an array
+ */
+
+import { ScalarFunction } from '../core/scalar-function.js';
+import { config } from '../core/function-config.js';
+
+export class ArraySumFunction extends ScalarFunction {
+    constructor() {
+        super('array_sum');
+    }
+    
+    /**
+     * Missing elements are skipped, the sum of an empty array is 0
+     * @param {Array} args - [arr]
+     * @returns {number|null} The sum, or null if arr is not an array of numbers
+     */
+    _execute(args) {
+        if (args.length !== 1) {
+            config.logFunctionWarning('array_sum', `Expected 1 argument, got ${args.length}`, args);
+            return null;
+        }
+        
+        const arr = args[0];
+        if (!Array.isArray(arr)) {
+            config.logFunctionWarning('array_sum', `Expected array, got ${typeof arr}`, arr);
+            return null;
+        }
+        
+        let sum = 0;
+        for (const element of arr) {
+            if (element === null || element === undefined) {
+                continue;
+            }
+            if (typeof element !== 'number') {
+                config.logFunctionWarning('array_sum', `Expected number elements, got ${typeof element}`, element);
+                return null;
+            }
+            sum += element;
+        }
+        return sum;
+    }
+}
@@ -0,0 +1,44 @@
+/**
+ * Shared helpers for the array functions
+ */
+
+/**
+ * Check if two values are equal, comparing objects and arrays by content
+ * @param {any} a
+ * @param {any} b
+ * @returns {boolean}
+ */
+export function valuesEqual(a, b) {
+    if (a === b) {
+        return true;
+    }
+    if (typeof a !== 'object' || typeof b !== 'object' || a === null || b === null) {
+        return false;
+    }
+    return JSON.stringify(a) === JSON.stringify(b);
+}
+
+// Sort order of values of different types; missing values sort last
+const TYPE_ORDER = { boolean: 0, number: 1, string: 2, object: 3 };
+
+/**
+ * Ascending sort order: numbers numerically, strings by code unit, other types grouped
+ * @param {any} a
+ * @param {any} b
+ * @returns {number} Negative, zero or positive like Array.prototype.sort comparators
+ */
+export function compareValues(a, b) {
+    const aMissing = a === null || a === undefined;
+    const bMissing = b === null || b === undefined;
+    if (aMissing || bMissing) {
+        return aMissing - bMissing;
+    }
+    if (typeof a !== typeof b) {
+        return TYPE_ORDER[typeof a] - TYPE_ORDER[typeof b];
+    }
+    if (typeof a === 'object') {
+        a = JSON.stringify(a);
+        b = JSON.stringify(b);
+    }
+    return a < b ? -1 : a > b ? 1 : 0;
+}
@@ -0,0 +1,14 @@
+/**
+ * Array functions for JSDB
+ */
+
+export { ArrayLengthFunction } from './array-length.js';
+export { ArrayConcatFunction } from './array-concat.js';
+export { ArraySliceFunction } from './array-slice.js';
+export { ArrayIndexOfFunction } from './array-index-of.js';
+export { ArraySumFunction } from './array-sum.js';
+export { ArraySortFunction } from './array-sort.js';
+export { ArrayMapFunction } from './array-map.js';
+export { ArrayFilterFunction } from './array-filter.js';
+export { ArrayAnyFunction } from './array-any.js';
+export { ArrayAllFunction } from './array-all.js';
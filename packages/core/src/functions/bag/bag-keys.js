@@ -0,0 +1,32 @@
+/**
+ * bag_keys(bag) - Keys of an object
+ */
+
+import { ScalarFunction } from '../core/scalar-function.js';
+import { config } from '../core/function-config.js';
+import { isBag } from './bag-utils.js';
+
+export class BagKeysFunction extends ScalarFunction {
+    constructor() {
+        super('bag_keys');
+    }
+    
+    /**
+     * @param {Array} args - [bag]
+     * @returns {Array|null} Keys in insertion order, or null if bag is not an object
+     */
+    _execute(args) {
+        if (args.length !== 1) {
+            config.logFunctionWarning('bag_keys', `Expected 1 argument, got ${args.length}`, args);
+            return null;
+        }
+        
+        const bag = args[0];
+        if (!isBag(bag)) {
+            config.logFunctionWarning('bag_keys', 'Expected object', bag);
+            return null;
+        }
+        
+        return Object.keys(bag);
+    }
+}
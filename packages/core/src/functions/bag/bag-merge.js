@@ -0,0 +1,43 @@
+/**
+ * bag_merge(a, b, ...) - Combine objects into one
+ */
+
+import { ScalarFunction } from '../core/scalar-function.js';
+import { config } from '../core/function-config.js';
+import { isBag } from './bag-utils.js';
+
+export class BagMergeFunction extends ScalarFunction {
+    constructor() {
+        super('bag_merge');
+    }
+    
+    /**
+     * Keys present in several objects keep the value of the leftmost one;
+     * missing arguments are skipped
+     * @param {Array} args - Objects to merge
+     * @returns {Object|null} Merged object, or null if an argument is not an object
+     */
+    _execute(args) {
+        if (args.length === 0) {
+            config.logFunctionWarning('bag_merge', 'Expected at least 1 argument, got 0');
+            return null;
+        }
+        
+        const result = {};
+        for (const bag of args) {
+            if (bag === null || bag === undefined) {
+                continue;
+            }
+            if (!isBag(bag)) {
+                config.logFunctionWarning('bag_merge', 'Expected object arguments', bag);
+                return null;
+            }
+            for (const [key, value] of Object.entries(bag)) {
+                if (!Object.hasOwn(result, key)) {
+                    result[key] = value;
+                }
+            }
+        }
+        return result;
+    }
+}
@@ -0,0 +1,35 @@
+/**
+ * bag_pack(key1, value1, key2, value2, ...) - Build an object from key-value pairs
+ */
+
+import { ScalarFunction } from '../core/scalar-function.js';
+import { config } from '../core/function-config.js';
+
+export class BagPackFunction extends ScalarFunction {
+    constructor() {
+        super('bag_pack');
+    }
+    
+    /**
+     * Keys can be computed, unlike in object literals
+     * @param {Array} args - Alternating keys and values
+     * @returns {Object|null} The object, or null if invalid
+     */
+    _execute(args) {
+        if (args.length % 2 !== 0) {
+            config.logFunctionWarning('bag_pack', `Expected key-value pairs, got ${args.length} arguments`, args);
+            return null;
+        }
+        
+        const result = {};
+        for (let i = 0; i < args.length; i += 2) {
+            const key = args[i];
+            if (typeof key !== 'string') {
+                config.logFunctionWarning('bag_pack', `Expected string key, got ${typeof key}`, key);
+                return null;
+            }
+            result[key] = args[i + 1];
+        }
+        return result;
+    }
+}
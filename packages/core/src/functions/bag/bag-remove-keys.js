@@ -0,0 +1,37 @@
+/**
+ * bag_remove_keys(bag, keys) - Copy of an object without the given keys
+ */
+
+import { ScalarFunction } from '../core/scalar-function.js';
+import { config } from '../core/function-config.js';
+import { isBag } from './bag-utils.js';
+
+export class BagRemoveKeysFunction extends ScalarFunction {
+    constructor() {
+        super('bag_remove_keys');
+    }
+    
+    /**
+     * @param {Array} args - [bag, keys] - keys is an array of key names
+     * @returns {Object|null} The copy, or null if invalid
+     */
+    _execute(args) {
+        if (args.length !== 2) {
+            config.logFunctionWarning('bag_remove_keys', `Expected 2 arguments, got ${args.length}`, args);
+            return null;
+        }
+        
+        const [bag, keys] = args;
+        if (!isBag(bag)) {
+            config.logFunctionWarning('bag_remove_keys', 'Expected object', bag);
+            return null;
+        }
+        if (!Array.isArray(keys)) {
+            config.logFunctionWarning('bag_remove_keys', 'Expected array of keys', keys);
+            return null;
+        }
+        
+        const removed = new Set(keys);
+        return Object.fromEntries(Object.entries(bag).filter(([key]) => !removed.has(key)));
+    }
+}
@@ -0,0 +1,12 @@
+/**
+ * Shared helpers for the bag (object) functions
+ */
+
+/**
+ * Check if a value is a bag: a plain object, not an array
+ * @param {any} value
+ * @returns {boolean}
+ */
+export function isBag(value) {
+    return typeof value === 'object' && value !== null && !Array.isArray(value);
+}
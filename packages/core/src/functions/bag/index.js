@@ -0,0 +1,8 @@
+/**
+ * Bag (object) functions for JSDB
+ */
+
+export { BagKeysFunction } from './bag-keys.js';
+export { BagMergeFunction } from './bag-merge.js';
+export { BagRemoveKeysFunction } from './bag-remove-keys.js';
+export { BagPackFunction } from './bag-pack.js';
@@ -0,0 +1,27 @@
+/**
+ * Shared helpers for the type conversion functions
+ */
+
+/**
+ * Read a number from a value
+ * Strings must contain only a number, surrounding whitespace is ignored
+ * @param {any} value - Number, numeric string or boolean
+ * @returns {number|null} The number, or null if the value is not numeric
+ */
+export function toNumber(value) {
+    if (typeof value === 'number') {
+        return Number.isFinite(value) ? value : null;
+    }
+    if (typeof value === 'boolean') {
+        return value ? 1 : 0;
+    }
+    if (typeof value === 'string') {
+        const text = value.trim();
+        if (text === '') {
+            return null;
+        }
+        const number = Number(text);
+        return Number.isFinite(number) ? number : null;
+    }
+    return null;
+}
@@ -0,0 +1,45 @@
+/**
+ * gettype(value) - Detailed type name of a value, distinguishing integers from reals
+ */
+
+import { ScalarFunction } from '../core/scalar-function.js';
+import { config } from '../core/function-config.js';
+
+export class GetTypeFunction extends ScalarFunction {
+    constructor() {
+        super('gettype');
+    }
+    
+    /**
+     * Missing fields are "null"
+     * @param {Array} args - [value]
+     * @returns {string|null} One of null, bool, int, long, real, string, array, dictionary
+     */
+    _execute(args) {
+        if (args.length !== 1) {
+            config.logFunctionWarning('gettype', `Expected 1 argument, got ${args.length}`, args);
+            return null;
+        }
+        
+        const value = args[0];
+        if (value === null || value === undefined) {
+            return 'null';
+        }
+        if (Array.isArray(value)) {
+            return 'array';
+        }
+        switch (typeof value) {
+            case 'boolean':
+                return 'bool';
+            case 'number':
+                if (!Number.isInteger(value)) {
+                    return 'real';
+                }
+                return value >= -2147483648 && value <= 2147483647 ? 'int' : 'long';
+            case 'string':
+                return 'string';
+            default:
+                return 'dictionary';
+        }
+    }
+}
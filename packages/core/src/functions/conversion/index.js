@@ -0,0 +1,13 @@
+/**
+ * Type conversion and JSON functions for JSDB
+ */
+
+export { ToIntFunction } from './to-int.js';
+export { ToLongFunction } from './to-long.js';
+export { ToDoubleFunction } from './to-double.js';
+export { ToStringFunction } from './to-string.js';
+export { ToBoolFunction } from './to-bool.js';
+export { ParseJsonFunction } from './parse-json.js';
+export { ToJsonFunction } from './to-json.js';
+export { TypeOfFunction } from './type-of.js';
+export { GetTypeFunction } from './get-type.js';
@@ -0,0 +1,39 @@
+/**
+ * parse_json(text) - Parse JSON text into a value
+ */
+
+import { ScalarFunction } from '../core/scalar-function.js';
+import { config } from '../core/function-config.js';
+
+export class ParseJsonFunction extends ScalarFunction {
+    constructor() {
+        super('parse_json');
+    }
+    
+    /**
+     * Values that are not strings are returned unchanged, so already parsed fields pass through
+     * @param {Array} args - [text]
+     * @returns {any} The parsed value, or null if the text is not valid JSON
+     */
+    _execute(args) {
+        if (args.length !== 1) {
+            config.logFunctionWarning('parse_json', `Expected 1 argument, got ${args.length}`, args);
+            return null;
+        }
+        
+        const text = args[0];
+        if (text === undefined) {
+            return null;
+        }
+        if (typeof text !== 'string') {
+            return text;
+        }
+        
+        try {
+            return JSON.parse(text);
+        } catch (error) {
+            config.logFunctionWarning('parse_json', `Invalid JSON: ${error.message}`, text);
+            return null;
+        }
+    }
+}
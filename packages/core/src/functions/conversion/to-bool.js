@@ -0,0 +1,46 @@
+/**
+ * tobool(value) - Convert to a boolean
+ */
+
+import { ScalarFunction } from '../core/scalar-function.js';
+import { config } from '../core/function-config.js';
+
+const BOOLEAN_TEXT = { true: true, false: false, '1': true, '0': false };
+
+export class ToBoolFunction extends ScalarFunction {
+    constructor() {
+        super('tobool');
+    }
+    
+    /**
+     * Numbers are true unless 0, strings must be true, false, 1 or 0 (case-insensitive)
+     * @param {Array} args - [value]
+     * @returns {boolean|null} The boolean, or null if the value cannot be converted
+     */
+    _execute(args) {
+        if (args.length !== 1) {
+            config.logFunctionWarning('tobool', `Expected 1 argument, got ${args.length}`, args);
+            return null;
+        }
+        
+        const value = args[0];
+        if (value === null || value === undefined) {
+            return null;
+        }
+        if (typeof value === 'boolean') {
+            return value;
+        }
+        if (typeof value === 'number' && !Number.isNaN(value)) {
+            return value !== 0;
+        }
+        if (typeof value === 'string') {
+            const text = value.trim().toLowerCase();
+            if (Object.hasOwn(BOOLEAN_TEXT, text)) {
+                return BOOLEAN_TEXT[text];
+            }
+        }
+        
+        config.logFunctionWarning('tobool', 'Expected boolean, number or true/false/1/0 text', value);
+        return null;
+    }
+}
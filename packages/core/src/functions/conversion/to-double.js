@@ -0,0 +1,36 @@
+/**
+ * todouble(value) - Convert to a floating point number
+ */
+
+import { ScalarFunction } from '../core/scalar-function.js';
+import { config } from '../core/function-config.js';
+import { toNumber } from './conversion-utils.js';
+
+export class ToDoubleFunction extends ScalarFunction {
+    constructor() {
+        super('todouble');
+    }
+    
+    /**
+     * Booleans become 1 or 0
+     * @param {Array} args - [value]
+     * @returns {number|null} The number, or null if the value cannot be converted
+     */
+    _execute(args) {
+        if (args.length !== 1) {
+            config.logFunctionWarning('todouble', `Expected 1 argument, got ${args.length}`, args);
+            return null;
+        }
+        
+        const value = args[0];
+        if (value === null || value === undefined) {
+            return null;
+        }
+        
+        const number = toNumber(value);
+        if (number === null) {
+            config.logFunctionWarning('todouble', 'Expected number, numeric string or boolean', value);
+        }
+        return number;
+    }
+}
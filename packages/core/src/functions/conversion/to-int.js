@@ -0,0 +1,43 @@
+/**
+ * toint(value) - Convert to a 32-bit integer
+ */
+
+import { ScalarFunction } from '../core/scalar-function.js';
+import { config } from '../core/function-config.js';
+import { toNumber } from './conversion-utils.js';
+
+export class ToIntFunction extends ScalarFunction {
+    constructor() {
+        super('toint');
+    }
+    
+    /**
+     * Numbers and numeric strings are truncated toward zero, booleans become 1 or 0
+     * @param {Array} args - [value]
+     * @returns {number|null} The integer, or null if the value cannot be converted
+     */
+    _execute(args) {
+        if (args.length !== 1) {
+            config.logFunctionWarning('toint', `Expected 1 argument, got ${args.length}`, args);
+            return null;
+        }
+        
+        const value = args[0];
+        if (value === null || value === undefined) {
+            return null;
+        }
+        
+        const number = toNumber(value);
+        if (number === null) {
+            config.logFunctionWarning('toint', 'Expected number, numeric string or boolean', value);
+            return null;
+        }
+        
+        const integer = Math.trunc(number);
+        if (integer < -2147483648 || integer > 2147483647) {
+            config.logFunctionWarning('toint', 'Value out of 32-bit integer range', value);
+            return null;
+        }
+        return integer;
+    }
+}
@@ -0,0 +1,29 @@
+/**
+ * tojson(value) - Serialize a value as JSON text
+ */
+
+import { ScalarFunction } from '../core/scalar-function.js';
+import { config } from '../core/function-config.js';
+
+export class ToJsonFunction extends ScalarFunction {
+    constructor() {
+        super('tojson');
+    }
+    
+    /**
+     * @param {Array} args - [value]
+     * @returns {string|null} JSON text, or null for missing values
+     */
+    _execute(args) {
+        if (args.length !== 1) {
+            config.logFunctionWarning('tojson', `Expected 1 argument, got ${args.length}`, args);
+            return null;
+        }
+        
+        const value = args[0];
+        if (value === undefined) {
+            return null;
+        }
+        return JSON.stringify(value);
+    }
+}
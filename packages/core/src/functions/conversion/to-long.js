@@ -0,0 +1,43 @@
+/**
+ * tolong(value) - Convert to a 64-bit integer, limited to the safe integer range of JSON numbers
+ */
+
+import { ScalarFunction } from '../core/scalar-function.js';
+import { config } from '../core/function-config.js';
+import { toNumber } from './conversion-utils.js';
+
+export class ToLongFunction extends ScalarFunction {
+    constructor() {
+        super('tolong');
+    }
+    
+    /**
+     * Numbers and numeric strings are truncated toward zero, booleans become 1 or 0
+     * @param {Array} args - [value]
+     * @returns {number|null} The integer, or null if the value cannot be converted
+     */
+    _execute(args) {
+        if (args.length !== 1) {
+            config.logFunctionWarning('tolong', `Expected 1 argument, got ${args.length}`, args);
+            return null;
+        }
+        
+        const value = args[0];
+        if (value === null || value === undefined) {
+            return null;
+        }
+        
+        const number = toNumber(value);
+        if (number === null) {
+            config.logFunctionWarning('tolong', 'Expected number, numeric string or boolean', value);
+            return null;
+        }
+        
+        const integer = Math.trunc(number);
+        if (!Number.isSafeInteger(integer)) {
+            config.logFunctionWarning('tolong', 'Value out of safe integer range', value);
+            return null;
+        }
+        return integer;
+    }
+}
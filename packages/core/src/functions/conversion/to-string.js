@@ -0,0 +1,30 @@
+/**
+ * tostring(value) - Convert to text
+ */
+
+import { ScalarFunction } from '../core/scalar-function.js';
+import { config } from '../core/function-config.js';
+
+export class ToStringFunction extends ScalarFunction {
+    constructor() {
+        super('tostring');
+    }
+    
+    /**
+     * Objects and arrays become their JSON text
+     * @param {Array} args - [value]
+     * @returns {string|null} The text, or null for missing values
+     */
+    _execute(args) {
+        if (args.length !== 1) {
+            config.logFunctionWarning('tostring', `Expected 1 argument, got ${args.length}`, args);
+            return null;
+        }
+        
+        const value = args[0];
+        if (value === null || value === undefined) {
+            return null;
+        }
+        return typeof value === 'object' ? JSON.stringify(value) : String(value);
+    }
+}
@@ -0,0 +1,33 @@
+/**
+ * typeof(value) - JSON type of a value
+ */
+
+import { ScalarFunction } from '../core/scalar-function.js';
+import { config } from '../core/function-config.js';
+
+export class TypeOfFunction extends ScalarFunction {
+    constructor() {
+        super('typeof');
+    }
+    
+    /**
+     * Missing fields are "null"
+     * @param {Array} args - [value]
+     * @returns {string|null} One of null, boolean, number, string, array, object
+     */
+    _execute(args) {
+        if (args.length !== 1) {
+            config.logFunctionWarning('typeof', `Expected 1 argument, got ${args.length}`, args);
+            return null;
+        }
+        
+        const value = args[0];
+        if (value === null || value === undefined) {
+            return 'null';
+        }
+        if (Array.isArray(value)) {
+            return 'array';
+        }
+        return typeof value;
+    }
+}
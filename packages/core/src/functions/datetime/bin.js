@@ -0,0 +1,39 @@
+/**
+ * bin(value, size) - Round a number or datetime down to a multiple of size
+ */
+
+import { ScalarFunction } from '../core/scalar-function.js';
+import { config } from '../core/function-config.js';
+import { toDatetime } from '../../utils/datetime-utils.js';
+
+export class BinFunction extends ScalarFunction {
+    constructor() {
+        super('bin');
+    }
+    
+    /**
+     * Datetime strings are binned by their epoch milliseconds, e.g. bin(timestamp, 5m)
+     * @param {Array} args - [value, size]
+     * @returns {number|null} Start of the bin, or null if invalid
+     */
+    _execute(args) {
+        if (args.length !== 2) {
+            config.logFunctionWarning('bin', `Expected 2 arguments, got ${args.length}`, args);
+            return null;
+        }
+        
+        const [value, size] = args;
+        if (typeof size !== 'number' || !(size > 0)) {
+            config.logFunctionWarning('bin', 'Expected positive bin size', size);
+            return null;
+        }
+        
+        const number = typeof value === 'number' ? value : toDatetime(value);
+        if (number === null) {
+            config.logFunctionWarning('bin', 'Expected number or datetime', value);
+            return null;
+        }
+        
+        return Math.floor(number / size) * size;
+    }
+}
@@ -0,0 +1,63 @@
+/**
+ * datetime_part(part, dt) - Number for one part of a datetime in UTC
+ */
+
+import { ScalarFunction } from '../core/scalar-function.js';
+import { config } from '../core/function-config.js';
+import { toDatetime } from '../../utils/datetime-utils.js';
+
+const PARTS = {
+    year: date => date.getUTCFullYear(),
+    quarter: date => Math.floor(date.getUTCMonth() / 3) + 1,
+    month: date => date.getUTCMonth() + 1,
+    week_of_year: isoWeek,
+    day: date => date.getUTCDate(),
+    dayofyear: date => Math.floor((date - Date.UTC(date.getUTCFullYear(), 0, 1)) / 86400000) + 1,
+    dayofweek: date => date.getUTCDay(),
+    hour: date => date.getUTCHours(),
+    minute: date => date.getUTCMinutes(),
+    second: date => date.getUTCSeconds(),
+    millisecond: date => date.getUTCMilliseconds()
+};
+
+export class DatetimePartFunction extends ScalarFunction {
+    constructor() {
+        super('datetime_part');
+    }
+    
+    /**
+     * Parts: year, quarter, month, week_of_year (ISO 8601), day, dayofyear,
+     * dayofweek (0 = Sunday), hour, minute, second, millisecond
+     * @param {Array} args - [part, dt]
+     * @returns {number|null} The part, or null if invalid
+     */
+    _execute(args) {
+        if (args.length !== 2) {
+            config.logFunctionWarning('datetime_part', `Expected 2 arguments, got ${args.length}`, args);
+            return null;
+        }
+        
+        const [part, value] = args;
+        const getPart = typeof part === 'string' ? PARTS[part.toLowerCase()] : undefined;
+        if (!getPart) {
+            config.logFunctionWarning('datetime_part', `Unknown part, expected one of ${Object.keys(PARTS).join(', ')}`, part);
+            return null;
+        }
+        
+        const datetime = toDatetime(value);
+        if (datetime === null) {
+            config.logFunctionWarning('datetime_part', 'Expected datetime', value);
+            return null;
+        }
+        
+        return getPart(new Date(datetime));
+    }
+}
+
+// ISO 8601 weeks start on Monday, week 1 contains the first Thursday of the year
+function isoWeek(date) {
+    const thursday = new Date(Date.UTC(date.getUTCFullYear(), date.getUTCMonth(), date.getUTCDate()));
+    thursday.setUTCDate(thursday.getUTCDate() + 4 - (thursday.getUTCDay() || 7));
+    const yearStart = Date.UTC(thursday.getUTCFullYear(), 0, 1);
+    return Math.ceil(((thursday - yearStart) / 86400000 + 1) / 7);
+}
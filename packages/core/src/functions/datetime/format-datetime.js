@@ -0,0 +1,69 @@
+/**
+ * format_datetime(dt, format?) - Format a datetime as text in UTC
+ */
+
+import { ScalarFunction } from '../core/scalar-function.js';
+import { config } from '../core/function-config.js';
+import { toDatetime } from '../../utils/datetime-utils.js';
+
+// Longest specifiers first so yyyy is not read as two yy
+const SPECIFIERS = /yyyy|yy|MM|M|dd|d|HH|H|hh|h|mm|m|ss|s|fff|ff|f|tt/g;
+
+export class FormatDatetimeFunction extends ScalarFunction {
+    constructor() {
+        super('format_datetime');
+    }
+    
+    /**
+     * Specifiers: yyyy yy MM M dd d HH H hh h mm m ss s fff ff f tt, other characters are copied
+     * Without a format the ISO 8601 text is returned
+     * @param {Array} args - [dt, format?]
+     * @returns {string|null} Formatted datetime, or null if invalid
+     */
+    _execute(args) {
+        if (args.length < 1 || args.length > 2) {
+            config.logFunctionWarning('format_datetime', `Expected 1 or 2 arguments, got ${args.length}`, args);
+            return null;
+        }
+        
+        const [value, format] = args;
+        const datetime = toDatetime(value);
+        if (datetime === null) {
+            config.logFunctionWarning('format_datetime', 'Expected datetime', value);
+            return null;
+        }
+        
+        const date = new Date(datetime);
+        if (format === undefined) {
+            return date.toISOString();
+        }
+        if (typeof format !== 'string') {
+            config.logFunctionWarning('format_datetime', `Expected string format, got ${typeof format}`, format);
+            return null;
+        }
+        
+        const hours = date.getUTCHours();
+        const millis = String(date.getUTCMilliseconds()).padStart(3, '0');
+        const parts = {
+            yyyy: String(date.getUTCFullYear()).padStart(4, '0'),
+            yy: String(date.getUTCFullYear() % 100).padStart(2, '0'),
+            MM: String(date.getUTCMonth() + 1).padStart(2, '0'),
+            M: String(date.getUTCMonth() + 1),
+            dd: String(date.getUTCDate()).padStart(2, '0'),
+            d: String(date.getUTCDate()),
+            HH: String(hours).padStart(2, '0'),
+            H: String(hours),
+            hh: String(hours % 12 || 12).padStart(2, '0'),
+            h: String(hours % 12 || 12),
+            mm: String(date.getUTCMinutes()).padStart(2, '0'),
+            m: String(date.getUTCMinutes()),
+            ss: String(date.getUTCSeconds()).padStart(2, '0'),
+            s: String(date.getUTCSeconds()),
+            fff: millis,
+            ff: millis.slice(0, 2),
+            f: millis.slice(0, 1),
+            tt: hours < 12 ? 'AM' : 'PM'
+        };
+        return format.replace(SPECIFIERS, specifier => parts[specifier]);
+    }
+}
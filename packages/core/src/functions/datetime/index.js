@@ -0,0 +1,11 @@
+/**
+ * Datetime functions for JSDB
+ */
+
+export { NowFunction } from './now.js';
+export { ToDatetimeFunction } from './to-datetime.js';
+export { FormatDatetimeFunction } from './format-datetime.js';
+export { DatetimePartFunction } from './datetime-part.js';
+export { StartOfDayFunction } from './start-of-day.js';
+export { StartOfWeekFunction } from './start-of-week.js';
+export { BinFunction } from './bin.js';
@@ -0,0 +1,31 @@
+/**
+ * now(offset?) - Current time as a datetime
+ */
+
+import { ScalarFunction } from '../core/scalar-function.js';
+import { config } from '../core/function-config.js';
+
+export class NowFunction extends ScalarFunction {
+    constructor() {
+        super('now');
+    }
+    
+    /**
+     * @param {Array} args - [offset?] - duration added to the current time, e.g. now(-1h)
+     * @returns {number|null} Epoch milliseconds, or null if invalid
+     */
+    _execute(args) {
+        if (args.length > 1) {
+            config.logFunctionWarning('now', `Expected 0 or 1 arguments, got ${args.length}`, args);
+            return null;
+        }
+        
+        const [offset = 0] = args;
+        if (typeof offset !== 'number') {
+            config.logFunctionWarning('now', `Expected duration offset, got ${typeof offset}`, offset);
+            return null;
+        }
+        
+        return Date.now() + offset;
+    }
+}
@@ -0,0 +1,38 @@
+/**
+ * startofday(dt, offset?) - Midnight UTC of the day of a datetime
+ */
+
+import { ScalarFunction } from '../core/scalar-function.js';
+import { config } from '../core/function-config.js';
+import { toDatetime } from '../../utils/datetime-utils.js';
+
+export class StartOfDayFunction extends ScalarFunction {
+    constructor() {
+        super('startofday');
+    }
+    
+    /**
+     * @param {Array} args - [dt, offset?] - offset moves the result by whole days
+     * @returns {number|null} Epoch milliseconds, or null if invalid
+     */
+    _execute(args) {
+        if (args.length < 1 || args.length > 2) {
+            config.logFunctionWarning('startofday', `Expected 1 or 2 arguments, got ${args.length}`, args);
+            return null;
+        }
+        
+        const [value, offset = 0] = args;
+        const datetime = toDatetime(value);
+        if (datetime === null) {
+            config.logFunctionWarning('startofday', 'Expected datetime', value);
+            return null;
+        }
+        if (!Number.isInteger(offset)) {
+            config.logFunctionWarning('startofday', 'Expected integer offset', offset);
+            return null;
+        }
+        
+        const date = new Date(datetime);
+        return Date.UTC(date.getUTCFullYear(), date.getUTCMonth(), date.getUTCDate() + offset);
+    }
+}
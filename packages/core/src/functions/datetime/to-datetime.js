@@ -0,0 +1,39 @@
+/**
+ * todatetime(value) - Convert an ISO 8601 string or epoch milliseconds to a datetime
+ */
+
+import { ScalarFunction } from '../core/scalar-function.js';
+import { config } from '../core/function-config.js';
+import { toDatetime } from '../../utils/datetime-utils.js';
+
+export class ToDatetimeFunction extends ScalarFunction {
+    /**
+     * @param {string} name - Also registered as datetime() for values that are not literals
+     */
+    constructor(name = 'todatetime') {
+        super(name);
+    }
+    
+    /**
+     * Strings without a zone are UTC
+     * @param {Array} args - [value]
+     * @returns {number|null} Epoch milliseconds, or null if invalid
+     */
+    _execute(args) {
+        if (args.length !== 1) {
+            config.logFunctionWarning(this.name, `Expected 1 argument, got ${args.length}`, args);
+            return null;
+        }
+        
+        const value = args[0];
+        if (value === null || value === undefined) {
+            return null;
+        }
+        
+        const datetime = toDatetime(value);
+        if (datetime === null) {
+            config.logFunctionWarning(this.name, 'Expected ISO 8601 string or epoch milliseconds', value);
+        }
+        return datetime;
+    }
+}
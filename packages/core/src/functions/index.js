@@ -9,6 +9,32 @@ export { Config, config } from './core/function-config.js';
 // Math functions
 export { ExpFunction, PiFunction } from './math/index.js';
 
+// String functions
+export {
+    StrlenFunction, SubstringFunction, ToLowerFunction, ToUpperFunction, TrimFunction, SplitFunction, StrcatFunction,
+    ReplaceFunction, ReplaceRegexFunction, IndexOfFunction, PadLeftFunction, PadRightFunction, FormatFunction, ExtractFunction
+} from './string/index.js';
+
+// Datetime functions
+export {
+    NowFunction, ToDatetimeFunction, FormatDatetimeFunction, DatetimePartFunction, StartOfDayFunction, StartOfWeekFunction, BinFunction
+} from './datetime/index.js';
+
+// Conversion functions
+export {
+    ToIntFunction, ToLongFunction, ToDoubleFunction, ToStringFunction, ToBoolFunction,
+    ParseJsonFunction, ToJsonFunction, TypeOfFunction, GetTypeFunction
+} from './conversion/index.js';
+
+// Array functions
+export {
+    ArrayLengthFunction, ArrayConcatFunction, ArraySliceFunction, ArrayIndexOfFunction, ArraySumFunction, ArraySortFunction,
+    ArrayMapFunction, ArrayFilterFunction, ArrayAnyFunction, ArrayAllFunction
+} from './array/index.js';
+
+// Bag functions
+export { BagKeysFunction, BagMergeFunction, BagRemoveKeysFunction, BagPackFunction } from './bag/index.js';
+
 // Arithmetic functions
 export { Add } from './arithmetic/add.js';
 export { Sub } from './arithmetic/sub.js';
@@ -29,6 +55,12 @@ export { Ge } from './comparison/ge.js';
 export { Min } from './comparison/min.js';
 export { Max } from './comparison/max.js';
 
+// Predicate functions
+export { InList, Between, Has, Contains, StartsWith, EndsWith, EqualsCi, MatchesRegex } from './predicates/index.js';
+
+// Null handling functions
+export { Coalesce, IsNull, IsNotNull, IsEmpty } from './null-handling/index.js';
+
 // Logical functions
 export { And } from './logical/and.js';
 export { Or } from './logical/or.js';
@@ -36,6 +68,22 @@ export { Not } from './logical/not.js';
 
 // Import functions for registration
 import { ExpFunction, PiFunction } from './math/index.js';
+import {
+    StrlenFunction, SubstringFunction, ToLowerFunction, ToUpperFunction, TrimFunction, SplitFunction, StrcatFunction,
+    ReplaceFunction, ReplaceRegexFunction, IndexOfFunction, PadLeftFunction, PadRightFunction, FormatFunction, ExtractFunction
+} from './string/index.js';
+import {
+    NowFunction, ToDatetimeFunction, FormatDatetimeFunction, DatetimePartFunction, StartOfDayFunction, StartOfWeekFunction, BinFunction
+} from './datetime/index.js';
+import {
+    ToIntFunction, ToLongFunction, ToDoubleFunction, ToStringFunction, ToBoolFunction,
+    ParseJsonFunction, ToJsonFunction, TypeOfFunction, GetTypeFunction
+} from './conversion/index.js';
+import {
+    ArrayLengthFunction, ArrayConcatFunction, ArraySliceFunction, ArrayIndexOfFunction, ArraySumFunction, ArraySortFunction,
+    ArrayMapFunction, ArrayFilterFunction, ArrayAnyFunction, ArrayAllFunction
+} from './array/index.js';
+import { BagKeysFunction, BagMergeFunction, BagRemoveKeysFunction, BagPackFunction } from './bag/index.js';
 import { Add } from './arithmetic/add.js';
 import { Sub } from './arithmetic/sub.js';
 import { Mul } from './arithmetic/mul.js';
@@ -52,6 +100,8 @@ import { Gt } from './comparison/gt.js';
 import { Ge } from './comparison/ge.js';
 import { Min } from './comparison/min.js';
 import { Max } from './comparison/max.js';
+import { InList, Between, Has, Contains, StartsWith, EndsWith, EqualsCi, MatchesRegex } from './predicates/index.js';
+import { Coalesce, IsNull, IsNotNull, IsEmpty } from './null-handling/index.js';
 import { And } from './logical/and.js';
 import { Or } from './logical/or.js';
 import { Not } from './logical/not.js';
@@ -65,6 +115,61 @@ export function registerFunctions(registry) {
     registry.registerFunction(new ExpFunction());
     registry.registerFunction(new PiFunction());
     
+    // Register string functions
+    registry.registerFunction(new StrlenFunction());
+    registry.registerFunction(new SubstringFunction());
+    registry.registerFunction(new ToLowerFunction());
+    registry.registerFunction(new ToUpperFunction());
+    registry.registerFunction(new TrimFunction());
+    registry.registerFunction(new SplitFunction());
+    registry.registerFunction(new StrcatFunction());
+    registry.registerFunction(new ReplaceFunction());
+    registry.registerFunction(new ReplaceRegexFunction());
+    registry.registerFunction(new IndexOfFunction());
+    registry.registerFunction(new PadLeftFunction());
+    registry.registerFunction(new PadRightFunction());
+    registry.registerFunction(new FormatFunction());
+    registry.registerFunction(new ExtractFunction());
+    
+    // Register datetime functions
+    registry.registerFunction(new NowFunction());
+    registry.registerFunction(new ToDatetimeFunction());
+    registry.registerFunction(new ToDatetimeFunction('datetime'));
+    registry.registerFunction(new FormatDatetimeFunction());
+    registry.registerFunction(new DatetimePartFunction());
+    registry.registerFunction(new StartOfDayFunction());
+    registry.registerFunction(new StartOfWeekFunction());
+    registry.registerFunction(new BinFunction());
+    
+    // Register conversion functions
+    registry.registerFunction(new ToIntFunction());
+    registry.registerFunction(new ToLongFunction());
+    registry.registerFunction(new ToDoubleFunction());
+    registry.registerFunction(new ToStringFunction());
+    registry.registerFunction(new ToBoolFunction());
+    registry.registerFunction(new ParseJsonFunction());
+    registry.registerFunction(new ToJsonFunction());
+    registry.registerFunction(new TypeOfFunction());
+    registry.registerFunction(new GetTypeFunction());
+    
+    // Register array functions
+    registry.registerFunction(new ArrayLengthFunction());
+    registry.registerFunction(new ArrayConcatFunction());
+    registry.registerFunction(new ArraySliceFunction());
+    registry.registerFunction(new ArrayIndexOfFunction());
+    registry.registerFunction(new ArraySumFunction());
+    registry.registerFunction(new ArraySortFunction());
+    registry.registerFunction(new ArrayMapFunction());
+    registry.registerFunction(new ArrayFilterFunction());
+    registry.registerFunction(new ArrayAnyFunction());
+    registry.registerFunction(new ArrayAllFunction());
+    
+    // Register bag functions
+    registry.registerFunction(new BagKeysFunction());
+    registry.registerFunction(new BagMergeFunction());
+    registry.registerFunction(new BagRemoveKeysFunction());
+    registry.registerFunction(new BagPackFunction());
+    
     // Register arithmetic functions
     registry.registerFunction(new Add());
     registry.registerFunction(new Sub());
@@ -85,6 +190,22 @@ export function registerFunctions(registry) {
     registry.registerFunction(new Min());
     registry.registerFunction(new Max());
     
+    // Register predicate functions
+    registry.registerFunction(new InList());
+    registry.registerFunction(new Between());
+    registry.registerFunction(new Has());
+    registry.registerFunction(new Contains());
+    registry.registerFunction(new StartsWith());
+    registry.registerFunction(new EndsWith());
+    registry.registerFunction(new EqualsCi());
+    registry.registerFunction(new MatchesRegex());
+    
+    // Register null handling functions
+    registry.registerFunction(new Coalesce());
+    registry.registerFunction(new IsNull());
+    registry.registerFunction(new IsNotNull());
+    registry.registerFunction(new IsEmpty());
+    
     // Register logical functions
     registry.registerFunction(new And());
     registry.registerFunction(new Or());
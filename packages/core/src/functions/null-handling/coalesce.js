@@ -0,0 +1,20 @@
+import { ScalarFunction } from '../core/scalar-function.js';
+
+/**
+ * First argument that is not null or missing: coalesce(a, b, c, ...)
+ * Same as a ?? b ?? c
+ */
+export class Coalesce extends ScalarFunction {
+    constructor() {
+        super('coalesce');
+    }
+
+    _execute(args) {
+        for (const value of args) {
+            if (value !== null && value !== undefined) {
+                return value;
+            }
+        }
+        return null;
+    }
+}
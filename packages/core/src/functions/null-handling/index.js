@@ -0,0 +1,8 @@
+/**
+ * Null handling functions for JSDB
+ */
+
+export { Coalesce } from './coalesce.js';
+export { IsNull } from './is-null.js';
+export { IsNotNull } from './is-not-null.js';
+export { IsEmpty } from './is-empty.js';
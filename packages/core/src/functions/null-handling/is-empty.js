@@ -0,0 +1,18 @@
+import { ScalarFunction } from '../core/scalar-function.js';
+
+/**
+ * Empty check: isempty(a)
+ * True for null, missing fields and the empty string
+ */
+export class IsEmpty extends ScalarFunction {
+    constructor() {
+        super('isempty');
+    }
+
+    _execute(args) {
+        if (args.length !== 1) {
+            throw new Error('isempty function requires exactly 1 argument');
+        }
+        return args[0] === null || args[0] === undefined || args[0] === '';
+    }
+}
@@ -0,0 +1,18 @@
+import { ScalarFunction } from '../core/scalar-function.js';
+
+/**
+ * Not-null check: isnotnull(a)
+ * Missing fields count as null
+ */
+export class IsNotNull extends ScalarFunction {
+    constructor() {
+        super('isnotnull');
+    }
+
+    _execute(args) {
+        if (args.length !== 1) {
+            throw new Error('isnotnull function requires exactly 1 argument');
+        }
+        return args[0] !== null && args[0] !== undefined;
+    }
+}
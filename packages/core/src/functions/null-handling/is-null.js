@@ -0,0 +1,18 @@
+import { ScalarFunction } from '../core/scalar-function.js';
+
+/**
+ * Null check: isnull(a)
+ * Missing fields count as null
+ */
+export class IsNull extends ScalarFunction {
+    constructor() {
+        super('isnull');
+    }
+
+    _execute(args) {
+        if (args.length !== 1) {
+            throw new Error('isnull function requires exactly 1 argument');
+        }
+        return args[0] === null || args[0] === undefined;
+    }
+}
@@ -0,0 +1,22 @@
+import { ScalarFunction } from '../core/scalar-function.js';
+
+/**
+ * Inclusive range check: value between (lower .. upper)
+ * Missing values are never in range
+ */
+export class Between extends ScalarFunction {
+    constructor() {
+        super('between');
+    }
+
+    _execute(args) {
+        if (args.length !== 3) {
+            throw new Error('between function requires exactly 3 arguments');
+        }
+        const [value, lower, upper] = args;
+        if (value === null || value === undefined) {
+            return false;
+        }
+        return value >= lower && value <= upper;
+    }
+}
@@ -0,0 +1,18 @@
+import { ScalarFunction } from '../core/scalar-function.js';
+import { toSearchText } from './predicate-utils.js';
+
+/**
+ * Case-insensitive substring match: text contains "part"
+ */
+export class Contains extends ScalarFunction {
+    constructor() {
+        super('contains');
+    }
+
+    _execute(args) {
+        if (args.length !== 2) {
+            throw new Error('contains function requires exactly 2 arguments');
+        }
+        return toSearchText(args[0]).includes(toSearchText(args[1]));
+    }
+}
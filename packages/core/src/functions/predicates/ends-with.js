@@ -0,0 +1,18 @@
+import { ScalarFunction } from '../core/scalar-function.js';
+import { toSearchText } from './predicate-utils.js';
+
+/**
+ * Case-insensitive suffix match: text endswith "suffix"
+ */
+export class EndsWith extends ScalarFunction {
+    constructor() {
+        super('endswith');
+    }
+
+    _execute(args) {
+        if (args.length !== 2) {
+            throw new Error('endswith function requires exactly 2 arguments');
+        }
+        return toSearchText(args[0]).endsWith(toSearchText(args[1]));
+    }
+}
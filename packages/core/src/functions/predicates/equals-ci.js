@@ -0,0 +1,22 @@
+import { ScalarFunction } from '../core/scalar-function.js';
+import { toSearchText } from './predicate-utils.js';
+
+/**
+ * Case-insensitive equality: a =~ b
+ */
+export class EqualsCi extends ScalarFunction {
+    constructor() {
+        super('equals_ci');
+    }
+
+    _execute(args) {
+        if (args.length !== 2) {
+            throw new Error('equals_ci function requires exactly 2 arguments');
+        }
+        const [left, right] = args;
+        if (left === null || left === undefined || right === null || right === undefined) {
+            return (left === null || left === undefined) && (right === null || right === undefined);
+        }
+        return toSearchText(left) === toSearchText(right);
+    }
+}
@@ -0,0 +1,32 @@
+import { ScalarFunction } from '../core/scalar-function.js';
+import { toSearchText, isTermCharacter } from './predicate-utils.js';
+
+/**
+ * Case-insensitive term match: text has "term"
+ * Unlike contains, the match must not be part of a longer word
+ */
+export class Has extends ScalarFunction {
+    constructor() {
+        super('has');
+    }
+
+    _execute(args) {
+        if (args.length !== 2) {
+            throw new Error('has function requires exactly 2 arguments');
+        }
+        const text = toSearchText(args[0]);
+        const term = toSearchText(args[1]);
+        if (!term) {
+            return true;
+        }
+
+        for (let index = text.indexOf(term); index !== -1; index = text.indexOf(term, index + 1)) {
+            const before = isTermCharacter(term[0]) && isTermCharacter(text[index - 1]);
+            const after = isTermCharacter(term[term.length - 1]) && isTermCharacter(text[index + term.length]);
+            if (!before && !after) {
+                return true;
+            }
+        }
+        return false;
+    }
+}
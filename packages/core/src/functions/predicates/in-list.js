@@ -0,0 +1,41 @@
+import { ScalarFunction } from '../core/scalar-function.js';
+
+// Constant lists cached per function instance; the oldest is dropped beyond this
+const MAX_CACHED_LISTS = 256;
+
+/**
+ * List membership: value in (a, b, c)
+ * Array elements of the list are matched individually, so a lookup holding an
+ * array can be used as the list. Lists made only of literals are passed as their
+ * JSON text and turned into a Set once.
+ */
+export class InList extends ScalarFunction {
+    constructor() {
+        super('in_list');
+        this.constantSets = new Map(); // JSON text -> Set
+    }
+
+    _execute(args) {
+        if (args.length !== 2) {
+            throw new Error('in_list function requires exactly 2 arguments');
+        }
+        const [value, list] = args;
+
+        if (typeof list === 'string') {
+            let set = this.constantSets.get(list);
+            if (!set) {
+                set = new Set(JSON.parse(list).flat());
+                if (this.constantSets.size >= MAX_CACHED_LISTS) {
+                    this.constantSets.delete(this.constantSets.keys().next().value);
+                }
+                this.constantSets.set(list, set);
+            }
+            return set.has(value);
+        }
+
+        if (!Array.isArray(list)) {
+            throw new Error('in_list function requires a list');
+        }
+        return list.some(item => Array.isArray(item) ? item.includes(value) : item === value);
+    }
+}
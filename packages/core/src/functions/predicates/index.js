@@ -0,0 +1,13 @@
+/**
+ * Predicate functions for JSDB
+ * Back the in, between, has, contains, startswith, endswith, =~ and matches regex operators
+ */
+
+export { InList } from './in-list.js';
+export { Between } from './between.js';
+export { Has } from './has.js';
+export { Contains } from './contains.js';
+export { StartsWith } from './starts-with.js';
+export { EndsWith } from './ends-with.js';
+export { EqualsCi } from './equals-ci.js';
+export { MatchesRegex } from './matches-regex.js';
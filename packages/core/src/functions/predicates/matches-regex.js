@@ -0,0 +1,29 @@
+import { ScalarFunction } from '../core/scalar-function.js';
+import { compilePattern } from '../string/string-utils.js';
+
+/**
+ * Regular expression match: text matches regex "pattern"
+ * Patterns are compiled once and reused; invalid patterns are logged and yield null
+ */
+export class MatchesRegex extends ScalarFunction {
+    constructor() {
+        super('matches_regex');
+        this.patterns = new Map();
+    }
+
+    _execute(args) {
+        if (args.length !== 2) {
+            throw new Error('matches_regex function requires exactly 2 arguments');
+        }
+        const [value, pattern] = args;
+        if (value === null || value === undefined) {
+            return false;
+        }
+
+        const regex = compilePattern('matches_regex', this.patterns, pattern);
+        if (!regex) {
+            return null;
+        }
+        return regex.test(typeof value === 'object' ? JSON.stringify(value) : String(value));
+    }
+}
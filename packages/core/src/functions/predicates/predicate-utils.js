@@ -0,0 +1,26 @@
+/**
+ * Shared helpers for the predicate functions behind in, between, has, contains, ...
+ */
+
+/**
+ * Text used by the case-insensitive string predicates
+ * Missing values search as the empty string, objects and arrays as their JSON text
+ * @param {any} value - Value to search in or for
+ * @returns {string} Lower-case text
+ */
+export function toSearchText(value) {
+    if (value === null || value === undefined) {
+        return '';
+    }
+    const text = typeof value === 'object' ? JSON.stringify(value) : String(value);
+    return text.toLowerCase();
+}
+
+/**
+ * Check if a character is part of a term (letters and digits)
+ * @param {string} char - Single character or undefined at the ends of a string
+ * @returns {boolean}
+ */
+export function isTermCharacter(char) {
+    return char !== undefined && /[\p{L}\p{N}]/u.test(char);
+}
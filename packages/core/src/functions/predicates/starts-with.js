@@ -0,0 +1,18 @@
+import { ScalarFunction } from '../core/scalar-function.js';
+import { toSearchText } from './predicate-utils.js';
+
+/**
+ * Case-insensitive prefix match: text startswith "prefix"
+ */
+export class StartsWith extends ScalarFunction {
+    constructor() {
+        super('startswith');
+    }
+
+    _execute(args) {
+        if (args.length !== 2) {
+            throw new Error('startswith function requires exactly 2 arguments');
+        }
+        return toSearchText(args[0]).startsWith(toSearchText(args[1]));
+    }
+}
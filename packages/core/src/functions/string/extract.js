@@ -0,0 +1,43 @@
+/**
+ * extract(pattern, group, s) - Capture group of the first regular expression match
+ */
+
+import { ScalarFunction } from '../core/scalar-function.js';
+import { config } from '../core/function-config.js';
+import { compilePattern } from './string-utils.js';
+
+export class ExtractFunction extends ScalarFunction {
+    constructor() {
+        super('extract');
+        this.patterns = new Map();
+    }
+    
+    /**
+     * Group 0 is the whole match
+     * @param {Array} args - [pattern, group, s]
+     * @returns {string|null} The captured text, or null if there is no match or the input is invalid
+     */
+    _execute(args) {
+        if (args.length !== 3) {
+            config.logFunctionWarning('extract', `Expected 3 arguments, got ${args.length}`, args);
+            return null;
+        }
+        
+        const [pattern, group, s] = args;
+        if (!Number.isInteger(group) || group < 0) {
+            config.logFunctionWarning('extract', 'Expected non-negative integer group', group);
+            return null;
+        }
+        if (typeof s !== 'string') {
+            config.logFunctionWarning('extract', `Expected string, got ${typeof s}`, s);
+            return null;
+        }
+        
+        const regex = compilePattern('extract', this.patterns, pattern);
+        if (!regex) {
+            return null;
+        }
+        const match = regex.exec(s);
+        return match ? match[group] ?? null : null;
+    }
+}
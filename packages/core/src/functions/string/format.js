@@ -0,0 +1,46 @@
+/**
+ * format(template, arg0, arg1, ...) - Fill {0}, {1}, ... placeholders in a template
+ */
+
+import { ScalarFunction } from '../core/scalar-function.js';
+import { config } from '../core/function-config.js';
+
+export class FormatFunction extends ScalarFunction {
+    constructor() {
+        super('format');
+    }
+    
+    /**
+     * Missing values format as the empty string, objects and arrays as their JSON text
+     * Use {{ and }} for literal braces
+     * @param {Array} args - [template, ...values]
+     * @returns {string|null} Formatted string, or null if invalid
+     */
+    _execute(args) {
+        if (args.length === 0) {
+            config.logFunctionWarning('format', 'Expected at least 1 argument, got 0');
+            return null;
+        }
+        
+        const [template, ...values] = args;
+        if (typeof template !== 'string') {
+            config.logFunctionWarning('format', `Expected string template, got ${typeof template}`, template);
+            return null;
+        }
+        
+        return template.replace(/\{\{|\}\}|\{(\d+)\}/g, (token, index) => {
+            if (index === undefined) {
+                return token[0];
+            }
+            if (Number(index) >= values.length) {
+                config.logFunctionWarning('format', `No argument for placeholder ${token}`, template);
+                return '';
+            }
+            const value = values[Number(index)];
+            if (value === null || value === undefined) {
+                return '';
+            }
+            return typeof value === 'object' ? JSON.stringify(value) : String(value);
+        });
+    }
+}
@@ -0,0 +1,35 @@
+/**
+ * indexof(s, lookup, start?) - Zero-based index of the first occurrence of lookup
+ */
+
+import { ScalarFunction } from '../core/scalar-function.js';
+import { config } from '../core/function-config.js';
+
+export class IndexOfFunction extends ScalarFunction {
+    constructor() {
+        super('indexof');
+    }
+    
+    /**
+     * @param {Array} args - [s, lookup, start?]
+     * @returns {number|null} Index of lookup, -1 if not found, or null if invalid
+     */
+    _execute(args) {
+        if (args.length < 2 || args.length > 3) {
+            config.logFunctionWarning('indexof', `Expected 2 or 3 arguments, got ${args.length}`, args);
+            return null;
+        }
+        
+        const [s, lookup, start = 0] = args;
+        if (typeof s !== 'string' || typeof lookup !== 'string') {
+            config.logFunctionWarning('indexof', 'Expected string arguments', args);
+            return null;
+        }
+        if (!Number.isInteger(start) || start < 0) {
+            config.logFunctionWarning('indexof', 'Expected non-negative integer start index', start);
+            return null;
+        }
+        
+        return s.indexOf(lookup, start);
+    }
+}
@@ -0,0 +1,18 @@
+/**
+ * String functions for JSDB
+ */
+
+export { StrlenFunction } from './strlen.js';
+export { SubstringFunction } from './substring.js';
+export { ToLowerFunction } from './to-lower.js';
+export { ToUpperFunction } from './to-upper.js';
+export { TrimFunction } from './trim.js';
+export { SplitFunction } from './split.js';
+export { StrcatFunction } from './strcat.js';
+export { ReplaceFunction } from './replace.js';
+export { ReplaceRegexFunction } from './replace-regex.js';
+export { IndexOfFunction } from './index-of.js';
+export { PadLeftFunction } from './pad-left.js';
+export { PadRightFunction } from './pad-right.js';
+export { FormatFunction } from './format.js';
+export { ExtractFunction } from './extract.js';
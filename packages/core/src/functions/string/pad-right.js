@@ -0,0 +1,40 @@
+/**
+ * pad_right(s, length, char?) - Pad a string on the right to a minimum length
+ */
+
+import { ScalarFunction } from '../core/scalar-function.js';
+import { config } from '../core/function-config.js';
+
+export class PadRightFunction extends ScalarFunction {
+    constructor() {
+        super('pad_right');
+    }
+    
+    /**
+     * Numbers are padded as their decimal text, the default pad character is a space
+     * @param {Array} args - [s, length, char?]
+     * @returns {string|null} Padded string, or null if invalid
+     */
+    _execute(args) {
+        if (args.length < 2 || args.length > 3) {
+            config.logFunctionWarning('pad_right', `Expected 2 or 3 arguments, got ${args.length}`, args);
+            return null;
+        }
+        
+        const [s, length, char = ' '] = args;
+        if (typeof s !== 'string' && typeof s !== 'number') {
+            config.logFunctionWarning('pad_right', `Expected string or number, got ${typeof s}`, s);
+            return null;
+        }
+        if (!Number.isInteger(length) || length < 0) {
+            config.logFunctionWarning('pad_right', 'Expected non-negative integer length', length);
+            return null;
+        }
+        if (typeof char !== 'string' || char === '') {
+            config.logFunctionWarning('pad_right', 'Expected non-empty pad string', char);
+            return null;
+        }
+        
+        return String(s).padEnd(length, char);
+    }
+}
@@ -0,0 +1,38 @@
+/**
+ * replace_regex(s, pattern, rewrite) - Replace every match of a regular expression
+ */
+
+import { ScalarFunction } from '../core/scalar-function.js';
+import { config } from '../core/function-config.js';
+import { compilePattern } from './string-utils.js';
+
+export class ReplaceRegexFunction extends ScalarFunction {
+    constructor() {
+        super('replace_regex');
+        this.patterns = new Map();
+    }
+    
+    /**
+     * The rewrite can refer to capture groups as $1, $2, ...
+     * @param {Array} args - [s, pattern, rewrite]
+     * @returns {string|null} s with all matches replaced, or null if invalid
+     */
+    _execute(args) {
+        if (args.length !== 3) {
+            config.logFunctionWarning('replace_regex', `Expected 3 arguments, got ${args.length}`, args);
+            return null;
+        }
+        
+        const [s, pattern, rewrite] = args;
+        if (typeof s !== 'string' || typeof rewrite !== 'string') {
+            config.logFunctionWarning('replace_regex', 'Expected string source and rewrite', args);
+            return null;
+        }
+        
+        const regex = compilePattern('replace_regex', this.patterns, pattern, 'g');
+        if (!regex) {
+            return null;
+        }
+        return s.replace(regex, rewrite);
+    }
+}
@@ -0,0 +1,34 @@
+/**
+ * replace(s, lookup, rewrite) - Replace every occurrence of a plain string
+ */
+
+import { ScalarFunction } from '../core/scalar-function.js';
+import { config } from '../core/function-config.js';
+
+export class ReplaceFunction extends ScalarFunction {
+    constructor() {
+        super('replace');
+    }
+    
+    /**
+     * @param {Array} args - [s, lookup, rewrite]
+     * @returns {string|null} s with all occurrences of lookup replaced, or null if invalid
+     */
+    _execute(args) {
+        if (args.length !== 3) {
+            config.logFunctionWarning('replace', `Expected 3 arguments, got ${args.length}`, args);
+            return null;
+        }
+        
+        const [s, lookup, rewrite] = args;
+        if (typeof s !== 'string' || typeof lookup !== 'string' || typeof rewrite !== 'string') {
+            config.logFunctionWarning('replace', 'Expected string arguments', args);
+            return null;
+        }
+        if (lookup === '') {
+            return s;
+        }
+        
+        return s.split(lookup).join(rewrite);
+    }
+}
@@ -0,0 +1,43 @@
+/**
+ * split(s, delimiter, index?) - Split a string into an array of parts
+ */
+
+import { ScalarFunction } from '../core/scalar-function.js';
+import { config } from '../core/function-config.js';
+
+export class SplitFunction extends ScalarFunction {
+    constructor() {
+        super('split');
+    }
+    
+    /**
+     * @param {Array} args - [s, delimiter, index?] - with index only that part is returned
+     * @returns {Array|string|null} Parts of s, the part at index, or null if invalid
+     */
+    _execute(args) {
+        if (args.length < 2 || args.length > 3) {
+            config.logFunctionWarning('split', `Expected 2 or 3 arguments, got ${args.length}`, args);
+            return null;
+        }
+        
+        const [s, delimiter, index] = args;
+        if (typeof s !== 'string') {
+            config.logFunctionWarning('split', `Expected string, got ${typeof s}`, s);
+            return null;
+        }
+        if (typeof delimiter !== 'string' || delimiter === '') {
+            config.logFunctionWarning('split', 'Expected non-empty string delimiter', delimiter);
+            return null;
+        }
+        
+        const parts = s.split(delimiter);
+        if (index === undefined) {
+            return parts;
+        }
+        if (!Number.isInteger(index)) {
+            config.logFunctionWarning('split', 'Expected integer index', index);
+            return null;
+        }
+        return parts[index] ?? null;
+    }
+}
@@ -0,0 +1,33 @@
+/**
+ * strcat(a, b, ...) - Concatenate values into one string
+ */
+
+import { ScalarFunction } from '../core/scalar-function.js';
+import { config } from '../core/function-config.js';
+
+export class StrcatFunction extends ScalarFunction {
+    constructor() {
+        super('strcat');
+    }
+    
+    /**
+     * Missing values add nothing, objects and arrays add their JSON text
+     * @param {Array} args - Values to concatenate
+     * @returns {string|null} Concatenated string, or null if invalid
+     */
+    _execute(args) {
+        if (args.length === 0) {
+            config.logFunctionWarning('strcat', 'Expected at least 1 argument, got 0');
+            return null;
+        }
+        
+        return args.map(toText).join('');
+    }
+}
+
+function toText(value) {
+    if (value === null || value === undefined) {
+        return '';
+    }
+    return typeof value === 'object' ? JSON.stringify(value) : String(value);
+}
@@ -0,0 +1,41 @@
+/**
+ * Shared helpers for the regular expression string functions
+ */
+
+import { config } from '../core/function-config.js';
+
+// Patterns cached per function instance; the oldest is dropped when patterns vary per document
+const MAX_CACHED_PATTERNS = 256;
+
+/**
+ * Compile a pattern once per function instance and flags
+ * Invalid patterns are logged and yield null
+ * @param {string} functionName - Function name for warnings
+ * @param {Map} cache - Per-function cache of compiled patterns
+ * @param {any} pattern - Regular expression source
+ * @param {string} flags - RegExp flags
+ * @returns {RegExp|null} Compiled pattern, or null if invalid
+ */
+export function compilePattern(functionName, cache, pattern, flags = '') {
+    if (typeof pattern !== 'string') {
+        config.logFunctionWarning(functionName, `Expected string pattern, got ${typeof pattern}`, pattern);
+        return null;
+    }
+    
+    const key = `${flags}/${pattern}`;
+    if (cache.has(key)) {
+        return cache.get(key);
+    }
+    
+    let regex = null;
+    try {
+        regex = new RegExp(pattern, flags);
+    } catch (error) {
+        config.logFunctionWarning(functionName, `Invalid pattern: ${error.message}`, pattern);
+    }
+    if (cache.size >= MAX_CACHED_PATTERNS) {
+        cache.delete(cache.keys().next().value);
+    }
+    cache.set(key, regex);
+    return regex;
+}
@@ -0,0 +1,31 @@
+/**
+ * strlen(s) - Number of characters in a string
+ */
+
+import { ScalarFunction } from '../core/scalar-function.js';
+import { config } from '../core/function-config.js';
+
+export class StrlenFunction extends ScalarFunction {
+    constructor() {
+        super('strlen');
+    }
+    
+    /**
+     * @param {Array} args - [s]
+     * @returns {number|null} Length of s, or null if invalid
+     */
+    _execute(args) {
+        if (args.length !== 1) {
+            config.logFunctionWarning('strlen', `Expected 1 argument, got ${args.length}`, args);
+            return null;
+        }
+        
+        const s = args[0];
+        if (typeof s !== 'string') {
+            config.logFunctionWarning('strlen', `Expected string, got ${typeof s}`, s);
+            return null;
+        }
+        
+        return s.length;
+    }
+}
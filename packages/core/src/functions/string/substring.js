@@ -0,0 +1,40 @@
+/**
+ * substring(s, start, length?) - Part of a string starting at a zero-based index
+ */
+
+import { ScalarFunction } from '../core/scalar-function.js';
+import { config } from '../core/function-config.js';
+
+export class SubstringFunction extends ScalarFunction {
+    constructor() {
+        super('substring');
+    }
+    
+    /**
+     * @param {Array} args - [s, start, length?] - without length the rest of s is returned
+     * @returns {string|null} The substring, or null if invalid
+     */
+    _execute(args) {
+        if (args.length < 2 || args.length > 3) {
+            config.logFunctionWarning('substring', `Expected 2 or 3 arguments, got ${args.length}`, args);
+            return null;
+        }
+        
+        const [s, start, length] = args;
+        if (typeof s !== 'string') {
+            config.logFunctionWarning('substring', `Expected string, got ${typeof s}`, s);
+            return null;
+        }
+        if (!Number.isInteger(start)) {
+            config.logFunctionWarning('substring', 'Expected integer start index', start);
+            return null;
+        }
+        if (length !== undefined && (!Number.isInteger(length) || length < 0)) {
+            config.logFunctionWarning('substring', 'Expected non-negative integer length', length);
+            return null;
+        }
+        
+        const from = Math.max(0, start);
+        return length === undefined ? s.slice(from) : s.slice(from, from + length);
+    }
+}
@@ -0,0 +1,31 @@
+/**
+ * tolower(s) - Lower-case copy of a string
+ */
+
+import { ScalarFunction } from '../core/scalar-function.js';
+import { config } from '../core/function-config.js';
+
+export class ToLowerFunction extends ScalarFunction {
+    constructor() {
+        super('tolower');
+    }
+    
+    /**
+     * @param {Array} args - [s]
+     * @returns {string|null} Converted string, or null if invalid
+     */
+    _execute(args) {
+        if (args.length !== 1) {
+            config.logFunctionWarning('tolower', `Expected 1 argument, got ${args.length}`, args);
+            return null;
+        }
+        
+        const s = args[0];
+        if (typeof s !== 'string') {
+            config.logFunctionWarning('tolower', `Expected string, got ${typeof s}`, s);
+            return null;
+        }
+        
+        return s.toLowerCase();
+    }
+}
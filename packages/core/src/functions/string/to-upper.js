@@ -0,0 +1,31 @@
+/**
+ * toupper(s) - Upper-case copy of a string
+ */
+
+import { ScalarFunction } from '../core/scalar-function.js';
+import { config } from '../core/function-config.js';
+
+export class ToUpperFunction extends ScalarFunction {
+    constructor() {
+        super('toupper');
+    }
+    
+    /**
+     * @param {Array} args - [s]
+     * @returns {string|null} Converted string, or null if invalid
+     */
+    _execute(args) {
+        if (args.length !== 1) {
+            config.logFunctionWarning('toupper', `Expected 1 argument, got ${args.length}`, args);
+            return null;
+        }
+        
+        const s = args[0];
+        if (typeof s !== 'string') {
+            config.logFunctionWarning('toupper', `Expected string, got ${typeof s}`, s);
+            return null;
+        }
+        
+        return s.toUpperCase();
+    }
+}
@@ -0,0 +1,31 @@
+/**
+ * trim(s) - String without leading and trailing whitespace
+ */
+
+import { ScalarFunction } from '../core/scalar-function.js';
+import { config } from '../core/function-config.js';
+
+export class TrimFunction extends ScalarFunction {
+    constructor() {
+        super('trim');
+    }
+    
+    /**
+     * @param {Array} args - [s]
+     * @returns {string|null} Trimmed string, or null if invalid
+     */
+    _execute(args) {
+        if (args.length !== 1) {
+            config.logFunctionWarning('trim', `Expected 1 argument, got ${args.length}`, args);
+            return null;
+        }
+        
+        const s = args[0];
+        if (typeof s !== 'string') {
+            config.logFunctionWarning('trim', `Expected string, got ${typeof s}`, s);
+            return null;
+        }
+        
+        return s.trim();
+    }
+}
@@ -11,11 +11,20 @@ export { Operator } from './core/operator.js';
 export { Stream } from './core/stream.js';
 export { ScanOperator } from './operators/scan.js';
 export { Filter } from './operators/filter.js';
+export { Fork } from './operators/fork.js';
+export { Distinct } from './operators/distinct.js';
 export { Map } from './operators/map.js';
 export { Sorter } from './operators/sorter.js';
+export { Join } from './operators/join.js';
+export { Lookup } from './operators/lookup.js';
+export { MvExpand } from './operators/mv-expand.js';
+export { Parse } from './operators/parse.js';
+export { Sample } from './operators/sample.js';
+export { Throttle } from './operators/throttle.js';
 
 // Summarize functionality
 export { SummarizeOperator, createSummarizeOperator } from './operators/summarize.js';
+export { Top } from './operators/top.js';
 export { AggregationObject } from './aggregations/core/aggregation-object.js';
 export { 
     tumbling_window, hopping_window, sliding_window, count_window,
@@ -0,0 +1,82 @@
+import { Operator } from '../core/operator.js';
+
+/**
+ * Distinct operator - drops documents whose key was already seen
+ * Usage: | distinct by event_id within 10m
+ *
+ * Keys are remembered from their first occurrence for the retention window
+ * (`within`), measured in arrival time. Without a window keys are kept until
+ * the key set reaches its size limit, at which point the oldest keys are
+ * forgotten first. Documents with a null key are never deduplicated.
+ *
+ * Counters for passed and dropped documents are reported by getStats(),
+ * which the query engine includes in `info flow <name>`.
+ */
+export class Distinct extends Operator {
+    constructor(keyExtractor, options = {}) {
+        super();
+        this.keyExtractor = keyExtractor;
+        this.windowMs = options.windowMs ?? null;
+        this.maxKeys = options.maxKeys ?? 100000;
+
+        // Runtime state
+        this.seen = new Map(); // serialized key -> first seen time, in insertion order
+        this.passed = 0;
+        this.dropped = 0;
+    }
+
+    async process(doc) {
+        const key = this.keyExtractor(doc);
+        if (key === null || key === undefined) {
+            this.passed++;
+            this.emit(doc);
+            return;
+        }
+
+        const now = Date.now();
+        this.evictExpired(now);
+
+        const serializedKey = this.serializeKey(key);
+        if (this.seen.has(serializedKey)) {
+            this.dropped++;
+            return;
+        }
+
+        this.seen.set(serializedKey, now);
+        if (this.seen.size > this.maxKeys) {
+            this.seen.delete(this.seen.keys().next().value);
+        }
+
+        this.passed++;
+        this.emit(doc);
+    }
+
+    /**
+     * Forget keys that are older than the retention window
+     * Keys are stored in arrival order, so expired keys are always at the front
+     */
+    evictExpired(now) {
+        if (this.windowMs === null) {
+            return;
+        }
+
+        for (const [key, time] of this.seen) {
+            if (now - time < this.windowMs) {
+                break;
+            }
+            this.seen.delete(key);
+        }
+    }
+
+    serializeKey(key) {
+        return typeof key === 'object' ? JSON.stringify(key) : `${typeof key}:${key}`;
+    }
+
+    getStats() {
+        return {
+            keys: this.seen.size,
+            passed: this.passed,
+            dropped: this.dropped
+        };
+    }
+}
@@ -0,0 +1,34 @@
+import { Operator } from '../core/operator.js';
+import { Stream } from '../core/stream.js';
+
+/**
+ * Fork operator - sends every document through several branch pipelines
+ * Usage: | fork ( where level == "error" | insert_into(errors) ), ( summarize { total: count() } | write_to_file("totals.ndjson") )
+ *
+ * Each branch is a pipeline of its own, built by a function that receives an
+ * empty Stream and pipes the branch operators into it. Documents are pushed
+ * into every branch and then passed on unchanged, so steps after the fork
+ * (`tee` is an alias) see the same input as the branches.
+ *
+ * Flushing the fork flushes every branch, so windows and other buffered state
+ * inside the branches are released when the flow is flushed.
+ */
+export class Fork extends Operator {
+    constructor(branchBuilders) {
+        super();
+        this.branches = branchBuilders.map(build => build(new Stream()));
+    }
+
+    async process(doc) {
+        for (const branch of this.branches) {
+            branch.push(doc);
+        }
+        this.emit(doc);
+    }
+
+    async flush() {
+        for (const branch of this.branches) {
+            await branch.flushAll();
+        }
+    }
+}
@@ -1,10 +1,19 @@
+export { Distinct } from './distinct.js';
 export { Filter } from './filter.js';
+export { Fork } from './fork.js';
 export { InsertInto } from './insert-into.js';
+export { Join } from './join.js';
+export { Lookup } from './lookup.js';
 export { Map } from './map.js';
+export { MvExpand } from './mv-expand.js';
+export { Parse } from './parse.js';
+export { Sample } from './sample.js';
 export { ScanOperator } from './scan.js';
 export { Select } from './select.js';
 export { Sorter } from './sorter.js';
 export { SummarizeOperator, createSummarizeOperator } from './summarize.js';
+export { Throttle } from './throttle.js';
+export { Top } from './top.js';
 export { WriteToFile } from './write-to-file.js';
 export { AssertOrSaveExpected } from './assert-or-save-expected.js';
 
@@ -13,6 +22,30 @@ import { AggregationExpression } from '../aggregations/core/aggregation-expressi
 
 export const count = (...args) => new AggregationExpression('count', args);
 export const sum = (...args) => new AggregationExpression('sum', args);
+export const avg = (...args) => new AggregationExpression('avg', args);
+export const min = (...args) => new AggregationExpression('min', args);
+export const max = (...args) => new AggregationExpression('max', args);
+export const variance = (...args) => new AggregationExpression('variance', args);
+export const variancep = (...args) => new AggregationExpression('variancep', args);
+export const stddev = (...args) => new AggregationExpression('stddev', args);
+export const stdevp = (...args) => new AggregationExpression('stdevp', args);
+export const percentile = (...args) => new AggregationExpression('percentile', args);
+export const percentiles = (...args) => new AggregationExpression('percentiles', args);
+export const dcount = (...args) => new AggregationExpression('dcount', args);
+export const count_distinct = (...args) => new AggregationExpression('count_distinct', args);
+export const make_list = (...args) => new AggregationExpression('make_list', args);
+export const make_set = (...args) => new AggregationExpression('make_set', args);
+export const make_bag = (...args) => new AggregationExpression('make_bag', args);
+export const arg_max = (...args) => new AggregationExpression('arg_max', args);
+export const arg_min = (...args) => new AggregationExpression('arg_min', args);
+export const first = (...args) => new AggregationExpression('first', args);
+export const last = (...args) => new AggregationExpression('last', args);
+export const any = (...args) => new AggregationExpression('any', args);
+export const countif = (...args) => new AggregationExpression('countif', args);
+export const sumif = (...args) => new AggregationExpression('sumif', args);
+export const avgif = (...args) => new AggregationExpression('avgif', args);
+export const minif = (...args) => new AggregationExpression('minif', args);
+export const maxif = (...args) => new AggregationExpression('maxif', args);
 
 // Re-export window functions
 export { 
@@ -31,13 +64,23 @@ export {
  */
 export function registerOperators(registry) {
     // Register browser-safe stream operators
+    registry.registerOperator('distinct', Distinct);
     registry.registerOperator('filter', Filter);
+    registry.registerOperator('fork', Fork);
+    registry.registerOperator('tee', Fork); // Alias
     registry.registerOperator('insertinto', InsertInto);
     registry.registerOperator('insert_into', InsertInto); // Alias
+    registry.registerOperator('join', Join);
+    registry.registerOperator('lookup', Lookup);
     registry.registerOperator('map', Map);
+    registry.registerOperator('mv_expand', MvExpand);
+    registry.registerOperator('parse', Parse);
+    registry.registerOperator('sample', Sample);
     registry.registerOperator('scan', ScanOperator);
     registry.registerOperator('select', Select);
     registry.registerOperator('sorter', Sorter);
     registry.registerOperator('sort', Sorter); // Alias
     registry.registerOperator('summarize', SummarizeOperator);
+    registry.registerOperator('throttle', Throttle);
+    registry.registerOperator('top', Top);
 } 
\ No newline at end of file
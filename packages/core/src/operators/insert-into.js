@@ -3,8 +3,9 @@
  * Usage: | insert_into(insertCallback)
  */
 export class InsertInto {
-    constructor(insertCallback) {
+    constructor(insertCallback, streamName = null) {
         this.insertCallback = insertCallback;
+        this.streamName = streamName; // Target stream, reported as the sink of the query
         this.downstream = null;
         this.stream = null;
     }
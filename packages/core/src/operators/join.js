@@ -0,0 +1,263 @@
+import { Operator } from '../core/operator.js';
+import { mergeDocuments } from '../utils/merge-documents.js';
+import { BoundedHeap } from '../utils/bounded-heap.js';
+
+const JOIN_KINDS = ['inner', 'leftouter'];
+
+/**
+ * Windowed stream-to-stream join
+ * Usage: | join kind=inner (payments) on order_id within 5m using timestamp
+ *
+ * The operator sits in the flow pipeline and receives the flow's own documents
+ * (the left side). Documents of the other stream (the right side) are fed in
+ * through createRightInput(), which the query engine subscribes to that stream.
+ *
+ * Both sides are kept in bounded per-key buffers. Entries expire when they fall
+ * out of the join window, either by event time (`within 5m`) or by the number
+ * of entries kept per key (`within 100`). All buffered entries also sit in one
+ * eviction queue ordered by event time (arrival order for count windows), so
+ * expiring only looks at the oldest entries, and the total number of entries and
+ * keys is capped by evicting the oldest entry.
+ *
+ * Documents whose time expression does not yield a time are skipped and
+ * reported through onInvalidTime, which the query engine connects to the _log stream.
+ *
+ * Kinds:
+ * - inner: emits one merged document per matching left/right pair
+ * - leftouter: also emits left documents that expire without any match
+ *
+ * Merged documents keep all left fields. Right fields with the same name but a
+ * different value are added with a "1" suffix (e.g. amount -> amount1).
+ */
+export class Join extends Operator {
+    constructor(rightSourceName, keyExtractor, options = {}) {
+        super();
+        this.rightSourceName = rightSourceName;
+        this.keyExtractor = keyExtractor;
+        this.kind = options.kind || 'inner';
+        this.windowMs = options.windowMs ?? null;
+        this.windowCount = options.windowCount ?? null;
+        this.timeExtractor = options.timeExtractor || null;
+        this.maxBufferSize = options.maxBufferSize ?? 1000; // Per key and side, bounds time-based windows
+        this.maxTotalEntries = options.maxTotalEntries ?? 100000; // Across all keys and both sides
+        this.maxKeys = options.maxKeys ?? 10000; // Across both sides
+        this.onInvalidTime = null; // (doc, side) => void
+
+        if (!JOIN_KINDS.includes(this.kind)) {
+            throw new Error(`Unsupported join kind '${this.kind}'. Supported kinds: ${JOIN_KINDS.join(', ')}`);
+        }
+        if (this.windowMs === null && this.windowCount === null) {
+            throw new Error('Join requires a window: within <duration> or within <count>');
+        }
+
+        // Runtime state
+        this.leftBuffers = new Map();  // key -> [{ doc, time, matched, side, groupKey, order, evicted }]
+        this.rightBuffers = new Map(); // key -> [{ doc, time, matched, side, groupKey, order, evicted }]
+        this.watermark = -Infinity;    // Highest event time seen on either side
+        this.bufferedCount = 0;
+        this.seq = 0;
+        this.queue = this.createQueue();
+    }
+
+    /**
+     * Eviction queue with the oldest entry at the root; entries evicted through
+     * their per-key buffer stay in it, flagged, until they reach the root
+     */
+    createQueue() {
+        // The heap keeps its worst item at the root, so later entries rank first
+        return new BoundedHeap(Infinity, (a, b) => b.order - a.order);
+    }
+
+    async process(doc) {
+        this.insert('left', doc);
+    }
+
+    async processRight(doc) {
+        this.insert('right', doc);
+    }
+
+    /**
+     * Create the operator that receives documents from the right-hand stream
+     */
+    createRightInput() {
+        return new JoinRightInput(this);
+    }
+
+    insert(side, doc) {
+        const key = this.keyExtractor(doc);
+
+        // Documents without a key can never match
+        if (key === null || key === undefined) {
+            if (side === 'left' && this.kind === 'leftouter') {
+                this.emit(doc);
+            }
+            return;
+        }
+
+        const time = this.getEventTime(doc);
+        if (time === null) {
+            this.onInvalidTime?.(doc, side);
+            return;
+        }
+
+        const groupKey = this.serializeKey(key);
+        const seq = this.seq++;
+        const entry = {
+            doc, time, matched: false, side, groupKey,
+            order: this.windowMs !== null ? time : seq,
+            evicted: false
+        };
+
+        if (this.windowMs !== null) {
+            this.watermark = Math.max(this.watermark, entry.time);
+            this.evictExpired();
+        }
+
+        // Match against the buffered entries of the other side
+        const otherBuffer = (side === 'left' ? this.rightBuffers : this.leftBuffers).get(groupKey) || [];
+        for (const other of otherBuffer) {
+            if (this.windowMs !== null && Math.abs(entry.time - other.time) > this.windowMs) {
+                continue;
+            }
+            entry.matched = true;
+            other.matched = true;
+            this.emit(side === 'left' ? mergeDocuments(doc, other.doc) : mergeDocuments(other.doc, doc));
+        }
+
+        // Late entries are already outside the window
+        if (this.windowMs !== null && entry.time < this.watermark - this.windowMs) {
+            this.expire(side, entry);
+            return;
+        }
+
+        const buffers = side === 'left' ? this.leftBuffers : this.rightBuffers;
+        let buffer = buffers.get(groupKey);
+        if (!buffer) {
+            buffer = [];
+            buffers.set(groupKey, buffer);
+        }
+        buffer.push(entry);
+        this.queue.push(entry);
+        this.bufferedCount++;
+
+        const limit = this.windowCount !== null ? this.windowCount : this.maxBufferSize;
+        while (buffer.length > limit) {
+            this.evict(buffer[0]);
+        }
+        while (this.bufferedCount > this.maxTotalEntries ||
+            this.leftBuffers.size + this.rightBuffers.size > this.maxKeys) {
+            this.evict(this.popOldest());
+        }
+
+        // Drop the flagged entries once they make up most of the queue
+        if (this.queue.size > 2 * this.bufferedCount + 1024) {
+            const queue = this.createQueue();
+            for (const entry of this.queue.toSortedArray()) {
+                if (!entry.evicted) {
+                    queue.push(entry);
+                }
+            }
+            this.queue = queue;
+        }
+    }
+
+    /**
+     * Drop all entries that fell out of the time window
+     */
+    evictExpired() {
+        const cutoff = this.watermark - this.windowMs;
+        while (this.queue.size > 0 && (this.queue.peek().evicted || this.queue.peek().time < cutoff)) {
+            const entry = this.queue.pop();
+            if (!entry.evicted) {
+                this.evict(entry);
+            }
+        }
+    }
+
+    /**
+     * Remove and return the oldest entry still buffered
+     */
+    popOldest() {
+        let entry = this.queue.pop();
+        while (entry.evicted) {
+            entry = this.queue.pop();
+        }
+        return entry;
+    }
+
+    /**
+     * Remove an entry from its per-key buffer and expire it
+     */
+    evict(entry) {
+        const buffers = entry.side === 'left' ? this.leftBuffers : this.rightBuffers;
+        const buffer = buffers.get(entry.groupKey);
+        // Entries mostly leave in arrival order, so they are usually at the head
+        if (buffer[0] === entry) {
+            buffer.shift();
+        } else {
+            buffer.splice(buffer.indexOf(entry), 1);
+        }
+        if (buffer.length === 0) {
+            buffers.delete(entry.groupKey);
+        }
+
+        entry.evicted = true;
+        this.bufferedCount--;
+        this.expire(entry.side, entry);
+    }
+
+    expire(side, entry) {
+        if (side === 'left' && this.kind === 'leftouter' && !entry.matched) {
+            this.emit(entry.doc);
+        }
+    }
+
+    /**
+     * @returns {number|null} Event time in milliseconds, or null if the time expression yields no time
+     */
+    getEventTime(doc) {
+        if (!this.timeExtractor) {
+            return Date.now();
+        }
+
+        const value = this.timeExtractor(doc);
+        const time = value instanceof Date ? value.getTime()
+            : typeof value === 'string' ? Date.parse(value)
+            : value;
+
+        return typeof time === 'number' && !isNaN(time) ? time : null;
+    }
+
+    serializeKey(key) {
+        return typeof key === 'object' ? JSON.stringify(key) : `${typeof key}:${key}`;
+    }
+
+    async flush() {
+        // End of input: unmatched left entries of an outer join are final
+        for (const buffer of this.leftBuffers.values()) {
+            for (const entry of buffer) {
+                this.expire('left', entry);
+            }
+        }
+
+        this.leftBuffers.clear();
+        this.rightBuffers.clear();
+        this.watermark = -Infinity;
+        this.bufferedCount = 0;
+        this.queue = this.createQueue();
+    }
+}
+
+/**
+ * Entry point for the right-hand stream of a join
+ */
+class JoinRightInput extends Operator {
+    constructor(join) {
+        super();
+        this.join = join;
+    }
+
+    async process(doc) {
+        await this.join.processRight(doc);
+    }
+}
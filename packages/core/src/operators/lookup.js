@@ -0,0 +1,118 @@
+import { Operator } from '../core/operator.js';
+import { mergeDocuments } from '../utils/merge-documents.js';
+
+const LOOKUP_KINDS = ['inner', 'leftouter'];
+
+/**
+ * Lookup operator - enriches documents with the matching row of a lookup table
+ * Usage: | lookup kind=leftouter prefix="site_" devices on device_id
+ *
+ * A lookup created with `create lookup` is treated as a keyed table:
+ * - object lookups are keyed by their property names: { "d1": { site: "A" } }
+ * - array lookups are keyed by the `on` field of each row: [{ device_id: "d1", site: "A" }]
+ * Keys are compared as strings. For array lookups the first row with a key wins.
+ *
+ * Object rows are merged field by field, scalar rows are stored under the
+ * lookup name. Merged fields can be renamed with `prefix` or nested under a
+ * `namespace` field instead.
+ *
+ * Kinds:
+ * - leftouter (default): documents without a matching row pass through unchanged
+ * - inner: documents without a matching row are dropped
+ */
+export class Lookup extends Operator {
+    constructor(lookupName, tableProvider, keyExtractor, rowKeyField, options = {}) {
+        super();
+        this.lookupName = lookupName;
+        this.tableProvider = tableProvider; // Resolved per document so replaced lookups take effect
+        this.keyExtractor = keyExtractor;
+        this.rowKeyField = rowKeyField;
+        this.kind = options.kind || 'leftouter';
+        this.prefix = options.prefix || '';
+        this.namespace = options.namespace || null;
+
+        if (!LOOKUP_KINDS.includes(this.kind)) {
+            throw new Error(`Unsupported lookup kind '${this.kind}'. Supported kinds: ${LOOKUP_KINDS.join(', ')}`);
+        }
+
+        // Index cache, rebuilt whenever the lookup value changes
+        this.indexedTable = undefined;
+        this.index = new Map(); // key -> row
+    }
+
+    async process(doc) {
+        const row = this.findRow(this.keyExtractor(doc));
+
+        if (row === undefined) {
+            if (this.kind === 'leftouter') {
+                this.emit(doc);
+            }
+            return;
+        }
+
+        this.emit(this.enrich(doc, row));
+    }
+
+    findRow(key) {
+        if (key === null || key === undefined) {
+            return undefined;
+        }
+
+        const table = this.tableProvider();
+        if (table !== this.indexedTable) {
+            this.buildIndex(table);
+        }
+        return this.index.get(String(key));
+    }
+
+    buildIndex(table) {
+        this.index = new Map();
+        this.indexedTable = table;
+
+        if (table === null || table === undefined) {
+            // Deleted lookup behaves like an empty table
+            return;
+        }
+
+        if (Array.isArray(table)) {
+            for (const row of table) {
+                if (!row || typeof row !== 'object') continue;
+                const key = row[this.rowKeyField];
+                if (key === null || key === undefined) continue;
+                if (!this.index.has(String(key))) {
+                    this.index.set(String(key), row);
+                }
+            }
+        } else if (typeof table === 'object') {
+            for (const [key, row] of Object.entries(table)) {
+                this.index.set(key, row);
+            }
+        } else {
+            throw new Error(`Lookup '${this.lookupName}' is not a table. Use an object or an array of objects`);
+        }
+    }
+
+    enrich(doc, row) {
+        let fields;
+        if (row !== null && typeof row === 'object' && !Array.isArray(row)) {
+            fields = { ...row };
+            if (Array.isArray(this.indexedTable)) {
+                // The key is already part of the document
+                delete fields[this.rowKeyField];
+            }
+        } else {
+            fields = { [this.lookupName]: row };
+        }
+
+        if (this.prefix) {
+            fields = Object.fromEntries(
+                Object.entries(fields).map(([field, value]) => [`${this.prefix}${field}`, value])
+            );
+        }
+
+        if (this.namespace) {
+            return { ...doc, [this.namespace]: fields };
+        }
+        return mergeDocuments(doc, fields);
+    }
+}
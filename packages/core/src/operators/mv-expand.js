@@ -0,0 +1,41 @@
+import { Operator } from '../core/operator.js';
+
+/**
+ * MvExpand operator - emits one document per element of an array
+ * Usage: | mv_expand with_itemindex=idx reading = readings limit 100
+ *
+ * Each output document is a copy of the input with the target field set to
+ * one element. Values that are not arrays are treated as a single element,
+ * documents with an empty array or a null value produce no output.
+ *
+ * Options:
+ * - indexField: field that receives the zero-based element index
+ * - limit: maximum number of elements expanded per document
+ */
+export class MvExpand extends Operator {
+    constructor(targetField, arrayExtractor, options = {}) {
+        super();
+        this.targetField = targetField;
+        this.arrayExtractor = arrayExtractor;
+        this.indexField = options.indexField || null;
+        this.limit = options.limit ?? Infinity;
+    }
+
+    async process(doc) {
+        const value = this.arrayExtractor(doc);
+        if (value === null || value === undefined) {
+            return;
+        }
+
+        const elements = Array.isArray(value) ? value : [value];
+        const count = Math.min(elements.length, this.limit);
+
+        for (let index = 0; index < count; index++) {
+            const expanded = { ...doc, [this.targetField]: elements[index] };
+            if (this.indexField) {
+                expanded[this.indexField] = index;
+            }
+            this.emit(expanded);
+        }
+    }
+}
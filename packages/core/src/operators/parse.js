@@ -0,0 +1,126 @@
+import { Operator } from '../core/operator.js';
+
+const PARSE_KINDS = ['simple', 'regex'];
+const FAILURE_MODES = ['keep', 'drop'];
+
+// Column types: the pattern a value must match and how it is converted
+const COLUMN_TYPES = {
+    string: { pattern: '.*?', coerce: value => value },
+    int: { pattern: '-?\\d+', coerce: value => parseInt(value, 10) },
+    long: { pattern: '-?\\d+', coerce: value => parseInt(value, 10) },
+    real: { pattern: '-?\\d+(?:\\.\\d+)?(?:[eE][-+]?\\d+)?', coerce: value => parseFloat(value) },
+    double: { pattern: '-?\\d+(?:\\.\\d+)?(?:[eE][-+]?\\d+)?', coerce: value => parseFloat(value) },
+    bool: { pattern: 'true|false', coerce: value => value === 'true' },
+    dynamic: { pattern: '.*?', coerce: value => JSON.parse(value) }
+};
+
+/**
+ * Parse operator - extracts fields from a text value with a pattern
+ * Usage: | parse message with "user=" user:string " latency=" ms:long *
+ *        | parse kind=regex message with "user=(?<user>\\w+)"
+ *
+ * The pattern is a sequence of:
+ * - string constants that must appear in the text
+ * - columns (`name` or `name:type`) that capture the text in between
+ * - `*` wildcards that skip text
+ *
+ * In simple mode (default) string constants match literally and the pattern is
+ * matched from the start of the text; a trailing string column captures the rest.
+ * In regex mode string constants are regular expressions, searched anywhere in
+ * the text, and their named groups become columns as well.
+ *
+ * Typed columns only match values of their type and are converted: int, long,
+ * real, double, bool, dynamic (JSON) or string.
+ *
+ * Extracted fields are merged into the document. Documents whose value is not
+ * a string or does not match are passed through unchanged (onFailure: 'keep',
+ * default) or dropped (onFailure: 'drop').
+ */
+export class Parse extends Operator {
+    constructor(sourceExtractor, patternItems, options = {}) {
+        super();
+        this.sourceExtractor = sourceExtractor;
+        this.kind = options.kind || 'simple';
+        this.onFailure = options.onFailure || 'keep';
+
+        if (!PARSE_KINDS.includes(this.kind)) {
+            throw new Error(`Unsupported parse kind '${this.kind}'. Supported kinds: ${PARSE_KINDS.join(', ')}`);
+        }
+        if (!FAILURE_MODES.includes(this.onFailure)) {
+            throw new Error(`Unsupported parse onfailure '${this.onFailure}'. Supported values: ${FAILURE_MODES.join(', ')}`);
+        }
+
+        this.columnTypes = new Map(); // column -> type
+        this.regex = this.compile(patternItems, options.flags || '');
+    }
+
+    compile(patternItems, flags) {
+        const parts = [];
+
+        patternItems.forEach((item, index) => {
+            if (item.wildcard) {
+                parts.push('.*?');
+            } else if (item.column) {
+                const type = item.type || 'string';
+                if (!COLUMN_TYPES[type]) {
+                    throw new Error(`Unsupported parse column type '${type}'. Supported types: ${Object.keys(COLUMN_TYPES).join(', ')}`);
+                }
+                if (this.columnTypes.has(item.column)) {
+                    throw new Error(`Duplicate parse column '${item.column}'`);
+                }
+                this.columnTypes.set(item.column, type);
+
+                // A trailing string column captures the rest of the text
+                const isLast = index === patternItems.length - 1;
+                const pattern = isLast && type === 'string' && this.kind === 'simple' ? '.*' : COLUMN_TYPES[type].pattern;
+                parts.push(`(?<${item.column}>${pattern})`);
+            } else {
+                parts.push(this.kind === 'regex' ? item.text : escapeRegex(item.text));
+            }
+        });
+
+        const source = this.kind === 'simple' ? `^${parts.join('')}` : parts.join('');
+        try {
+            return new RegExp(source, flags);
+        } catch (error) {
+            throw new Error(`Invalid parse pattern: ${error.message}`);
+        }
+    }
+
+    async process(doc) {
+        const value = this.sourceExtractor(doc);
+        const match = typeof value === 'string' ? this.regex.exec(value) : null;
+
+        if (!match) {
+            if (this.onFailure === 'keep') {
+                this.emit(doc);
+            }
+            return;
+        }
+
+        // A pattern without columns has no groups: nothing to extract
+        const fields = {};
+        for (const [column, raw] of Object.entries(match.groups || {})) {
+            fields[column] = this.coerce(column, raw);
+        }
+        this.emit({ ...doc, ...fields });
+    }
+
+    coerce(column, raw) {
+        if (raw === undefined) {
+            return null; // Optional group that did not participate
+        }
+
+        const type = this.columnTypes.get(column) || 'string';
+        try {
+            const value = COLUMN_TYPES[type].coerce(raw);
+            return typeof value === 'number' && isNaN(value) ? null : value;
+        } catch (error) {
+            return null;
+        }
+    }
+}
+
+function escapeRegex(text) {
+    return text.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+}
@@ -0,0 +1,53 @@
+import { Operator } from '../core/operator.js';
+
+/**
+ * Sample operator - passes a fraction of the documents
+ * Usage: | sample 0.05       (each document passes with probability 5%)
+ *        | sample every 10   (the 1st, 11th, 21st, ... document passes)
+ *
+ * Counters for passed and dropped documents are reported by getStats(),
+ * which the query engine includes in `info flow <name>`.
+ */
+export class Sample extends Operator {
+    constructor(options = {}) {
+        super();
+        this.rate = options.rate ?? null;
+        this.every = options.every ?? null;
+
+        if ((this.rate === null) === (this.every === null)) {
+            throw new Error('sample requires either a rate or an interval');
+        }
+        if (this.rate !== null && !(this.rate > 0 && this.rate <= 1)) {
+            throw new Error(`sample rate must be between 0 and 1, got ${this.rate}`);
+        }
+        if (this.every !== null && !(Number.isInteger(this.every) && this.every > 0)) {
+            throw new Error(`sample every must be a positive integer, got ${this.every}`);
+        }
+
+        // Runtime state
+        this.seen = 0;
+        this.passed = 0;
+        this.dropped = 0;
+    }
+
+    async process(doc) {
+        const selected = this.every !== null
+            ? this.seen % this.every === 0
+            : Math.random() < this.rate;
+        this.seen++;
+
+        if (selected) {
+            this.passed++;
+            this.emit(doc);
+        } else {
+            this.dropped++;
+        }
+    }
+
+    getStats() {
+        return {
+            passed: this.passed,
+            dropped: this.dropped
+        };
+    }
+}
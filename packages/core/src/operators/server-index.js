@@ -33,7 +33,7 @@ export { WriteToFile, AssertOrSaveExpected };
 
 // Re-export all browser operators
 export {
-  Filter, InsertInto, Map, ScanOperator, Select, Sorter, SummarizeOperator, createSummarizeOperator,
+  Distinct, Filter, Fork, InsertInto, Join, Lookup, Map, MvExpand, Parse, Sample, ScanOperator, Select, Sorter, SummarizeOperator, createSummarizeOperator, Throttle, Top,
   count, sum,
   hopping_window, tumbling_window, sliding_window, count_window, session_window,
   hopping_window_by, tumbling_window_by, sliding_window_by,
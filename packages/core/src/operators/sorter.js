@@ -1,5 +1,18 @@
 import { Operator } from '../core/operator.js';
 
+/**
+ * Sorter operator - reorders documents by a key within a bounded buffer
+ * Usage: | reorder by ts max_delay 5s max_buffer 10000
+ *
+ * Documents are buffered and released in key order once they are older than
+ * half the maximum delay or the buffer runs full. Releasing a document moves
+ * the watermark to its key; everything buffered with a smaller key is released
+ * first, so the output is always ordered. Documents arriving with a key below
+ * the watermark are too late to be placed and are dropped; they are reported
+ * through onLateDrop, which the query engine connects to the _log stream.
+ *
+ * Documents with a null key cannot be ordered and pass through immediately.
+ */
 export class Sorter extends Operator {
     constructor(keyExtractor, maxBufferSize = 100, maxAgeMs = 5000) {
         super();
@@ -7,10 +20,13 @@ export class Sorter extends Operator {
         this.maxBufferSize = maxBufferSize;
         this.maxAgeMs = maxAgeMs;
         this.watermark = -Infinity;
+        this.onLateDrop = null; // (doc, key, watermark) => void
+        this.dropped = 0;
         
         // Two sorted structures for fast access
         this.byValue = [];    // Sorted by extracted value (for emission order)
         this.byTime = [];     // Sorted by insertion time (for age-based eviction)
+        this.released = new Set(); // IDs released from byValue but still queued in byTime
         this.entryId = 0;     // Unique ID for linking entries between structures
     }
     
@@ -18,8 +34,17 @@ export class Sorter extends Operator {
         const key = this.keyExtractor(doc);
         const now = Date.now();
         
+        if (key === null || key === undefined) {
+            this.emit(doc);
+            return;
+        }
+        
         // Discard if too late (smaller than watermark)
         if (key < this.watermark) {
+            this.dropped++;
+            if (this.onLateDrop) {
+                this.onLateDrop(doc, key, this.watermark);
+            }
             return;
         }
         
@@ -39,7 +64,7 @@ export class Sorter extends Operator {
         this.insertByTime(entry);
         
         // Evict oldest if buffer too large
-        while (this.byTime.length >= this.maxBufferSize) {
+        while (this.byValue.length >= this.maxBufferSize) {
             this.evictOldest();
         }
         
@@ -48,12 +73,18 @@ export class Sorter extends Operator {
     }
     
     insertByValue(entry) {
-        let insertIndex = 0;
-        while (insertIndex < this.byValue.length && 
-               this.byValue[insertIndex].key <= entry.key) {
-            insertIndex++;
+        // Binary search for the first entry with a greater key (keeps arrival order for equal keys)
+        let low = 0;
+        let high = this.byValue.length;
+        while (low < high) {
+            const mid = (low + high) >> 1;
+            if (this.byValue[mid].key <= entry.key) {
+                low = mid + 1;
+            } else {
+                high = mid;
+            }
         }
-        this.byValue.splice(insertIndex, 0, entry);
+        this.byValue.splice(low, 0, entry);
     }
     
     insertByTime(entry) {
@@ -61,38 +92,40 @@ export class Sorter extends Operator {
         this.byTime.push(entry);
     }
     
-    removeFromValue(entryId) {
-        const index = this.byValue.findIndex(e => e.id === entryId);
-        if (index !== -1) {
-            this.byValue.splice(index, 1);
+    /**
+     * Emit all buffered entries up to a key in key order and advance the watermark
+     * Released entries stay in byTime until they reach its head, so releasing is not
+     * a search per entry
+     */
+    releaseUpTo(key) {
+        while (this.byValue.length > 0 && this.byValue[0].key <= key) {
+            const entry = this.byValue.shift();
+            this.released.add(entry.id);
+            this.emit(entry.doc);
         }
+        this.watermark = Math.max(this.watermark, key);
+        this.dropReleased();
     }
     
-    removeFromTime(entryId) {
-        const index = this.byTime.findIndex(e => e.id === entryId);
-        if (index !== -1) {
-            this.byTime.splice(index, 1);
+    dropReleased() {
+        while (this.byTime.length > 0 && this.released.has(this.byTime[0].id)) {
+            this.released.delete(this.byTime.shift().id);
         }
     }
     
     evictOldest() {
         if (this.byTime.length === 0) return;
         
-        const oldest = this.byTime.shift();
-        this.removeFromValue(oldest.id);
-        this.watermark = Math.max(this.watermark, oldest.key);
-        this.emit(oldest.doc);
+        // Release the oldest entry together with all smaller keys so output stays ordered
+        this.releaseUpTo(this.byTime[0].key);
     }
     
     evictExpired(now) {
         const cutoff = now - this.maxAgeMs;
         
-        // Remove all expired entries from time-sorted array
+        // Release until no expired entry is left in the time-sorted array
         while (this.byTime.length > 0 && this.byTime[0].timestamp < cutoff) {
-            const expired = this.byTime.shift();
-            this.removeFromValue(expired.id);
-            this.watermark = Math.max(this.watermark, expired.key);
-            this.emit(expired.doc);
+            this.evictOldest();
         }
     }
     
@@ -103,12 +136,26 @@ export class Sorter extends Operator {
             const age = now - oldest.timestamp;
             
             // Emit if moderately old or if buffer is getting full
-            if (age > this.maxAgeMs / 2 || this.byTime.length >= this.maxBufferSize * 0.8) {
+            if (age > this.maxAgeMs / 2 || this.byValue.length >= this.maxBufferSize * 0.8) {
                 this.evictOldest();
             } else {
                 break;
             }
         }
     }
+    
+    async flush() {
+        // End of input: everything buffered is released in order
+        if (this.byValue.length > 0) {
+            this.releaseUpTo(this.byValue[this.byValue.length - 1].key);
+        }
+    }
+    
+    getStats() {
+        return {
+            buffered: this.byValue.length,
+            dropped: this.dropped
+        };
+    }
 
 }
@@ -1,20 +1,32 @@
 import { Operator } from '../core/operator.js';
 import { AggregationObject } from '../aggregations/core/aggregation-object.js';
+import { selectTop } from './top.js';
 
 /**
  * Summarize operator that supports multiple modes:
  * 1. No window, no emit: summarize {key: count(), total: sum("field") } by groupByCallback
  * 2. Window mode: summarize {key: count(), total: sum("field") } by groupByCallback over variableName = hopping_window(...)
  * 3. Emit mode: summarize {key: count(), total: sum("field") } by groupByCallback emit every 1000
+ *
+ * Hopping windows overlap, so a document belongs to several windows. When every aggregation
+ * of the spec can merge, documents are aggregated once into panes instead: a pane holds a run
+ * of consecutive documents that belong to the same set of windows, and a closing window merges
+ * the partial results of its panes in arrival order. Otherwise every window aggregates its
+ * documents itself.
+ *
+ * Any mode can rank its results with a top specification, e.g.
+ * summarize {total: sum(bytes)} by host over w = tumbling_window(1m) top 5 by total
+ * which emits only the 5 best groups each time results are emitted (per window in window mode).
  */
 export class SummarizeOperator extends Operator {
-    constructor(aggregationSpec, groupByCallback = null, windowSpec = null, emitSpec = null, windowVariableName = 'window') {
+    constructor(aggregationSpec, groupByCallback = null, windowSpec = null, emitSpec = null, windowVariableName = 'window', topSpec = null) {
         super();
         this.aggregationSpec = aggregationSpec;
         this.groupByCallback = groupByCallback;
         this.windowSpec = windowSpec;
         this.emitSpec = emitSpec;
         this.windowVariableName = windowVariableName; // User-defined variable name for window
+        this.topSpec = topSpec; // { count, rankExtractor, descending } applied to emitted groups
         
         // Validate that window and emit are mutually exclusive
         if (this.windowSpec && this.emitSpec) {
@@ -23,6 +35,9 @@ export class SummarizeOperator extends Operator {
         
         // Runtime state
         this.activeWindows = new Map(); // windowId -> { windowInfo, groups }
+        this.panes = new Set(); // { key, windowIds, groups }, in arrival order
+        this.newestPane = null;
+        this.usePanes = undefined; // Decided with the first document, see canUsePanes()
         this.windowFunc = null;
         this.emitFunc = null;
         this.noWindowGroups = new Map(); // For no-window mode: groupKey -> { aggregation, groupValue }
@@ -63,8 +78,9 @@ export class SummarizeOperator extends Operator {
      * Serialize group key with deep equality support for complex objects
      */
     serializeGroupKey(value) {
+        // Missing keys and null keys form one group
         if (value === null || value === undefined) {
-            return JSON.stringify(value);
+            return 'null';
         }
         
         if (typeof value === 'object') {
@@ -152,12 +168,120 @@ export class SummarizeOperator extends Operator {
             await this.closeWindow(windowId);
         }
         
+        if (windowArray.length > 0 && this.usePanes === undefined) {
+            this.usePanes = this.canUsePanes(windowArray[0]);
+        }
+        
+        if (this.usePanes) {
+            this.processDocumentForPane(doc, windowArray);
+            return;
+        }
+        
         // Process document for each window it belongs to
         for (const windowInfo of windowArray) {
             await this.processDocumentForWindow(doc, windowInfo);
         }
     }
     
+    /**
+     * Panes pay off for overlapping windows, and need every aggregation of the spec to merge
+     */
+    canUsePanes(windowInfo) {
+        if (this.windowSpec._windowType !== 'hopping') {
+            return false;
+        }
+        const probe = new AggregationObject(this.aggregationSpec, { [this.windowVariableName]: windowInfo });
+        return probe.canMerge();
+    }
+    
+    /**
+     * Aggregate a document once, into the pane of the windows it belongs to
+     */
+    processDocumentForPane(doc, windowArray) {
+        if (windowArray.length === 0) {
+            return;
+        }
+        
+        for (const windowInfo of windowArray) {
+            if (!this.activeWindows.has(windowInfo._id)) {
+                this.activeWindows.set(windowInfo._id, { windowInfo, groups: new Map() });
+            }
+        }
+        
+        // A document for other windows than the one before starts a new pane, even if an
+        // older pane has the same windows, so merging panes in order keeps arrival order
+        const windowIds = windowArray.map(windowInfo => windowInfo._id);
+        const paneKey = JSON.stringify(windowIds);
+        let pane = this.newestPane;
+        if (!pane || pane.key !== paneKey || !this.panes.has(pane)) {
+            pane = { key: paneKey, windowIds, groups: new Map() };
+            this.panes.add(pane);
+            this.newestPane = pane;
+        }
+        
+        const groupValue = this.groupByCallback ? this.groupByCallback(doc, {}) : '__default__';
+        const groupKey = this.serializeGroupKey(groupValue);
+        if (!pane.groups.has(groupKey)) {
+            // Pane results are only merged, the context just has to give the spec its shape
+            const context = { [this.windowVariableName]: windowArray[0] };
+            pane.groups.set(groupKey, {
+                aggregation: new AggregationObject(this.aggregationSpec, context),
+                groupValue
+            });
+        }
+        
+        pane.groups.get(groupKey).aggregation.push(doc);
+    }
+    
+    /**
+     * Combine the panes of a window into its groups, in pane order so groups keep
+     * the order in which they first appeared
+     */
+    mergePanes(windowId, windowData) {
+        const groups = new Map();
+        for (const pane of this.panes) {
+            if (!pane.windowIds.includes(windowId)) {
+                continue;
+            }
+            
+            for (const [groupKey, paneGroup] of pane.groups) {
+                if (!groups.has(groupKey)) {
+                    const context = { [this.windowVariableName]: windowData.windowInfo };
+                    groups.set(groupKey, {
+                        aggregation: new AggregationObject(this.aggregationSpec, context),
+                        groupValue: paneGroup.groupValue
+                    });
+                }
+                groups.get(groupKey).aggregation.merge(paneGroup.aggregation);
+            }
+        }
+        return groups;
+    }
+    
+    /**
+     * Detach a closed window from its panes and drop the panes no open window needs anymore
+     * A late document can open a window with the same ID again, it must not see these panes
+     */
+    releasePanes(windowId) {
+        for (const pane of this.panes) {
+            if (!pane.windowIds.includes(windowId)) {
+                continue;
+            }
+            pane.windowIds = pane.windowIds.filter(id => id !== windowId);
+            pane.key = JSON.stringify(pane.windowIds);
+            if (pane.windowIds.length === 0) {
+                this.panes.delete(pane);
+            }
+        }
+    }
+    
+    /**
+     * Groups of a window, merged from its panes in pane mode
+     */
+    getWindowGroups(windowId, windowData) {
+        return this.usePanes ? this.mergePanes(windowId, windowData) : windowData.groups;
+    }
+    
     /**
      * Process document with emit functions
      */
@@ -219,8 +343,18 @@ export class SummarizeOperator extends Operator {
      * Emit current state for emit mode
      */
     async emitCurrentState() {
-        for (const [groupKey, groupData] of this.noWindowGroups.entries()) {
-            const result = groupData.aggregation.getResult();
+        this.emitGroupResults(this.noWindowGroups);
+    }
+
+    /**
+     * Emit the results of a set of groups, keeping only the top ranked groups if requested
+     */
+    emitGroupResults(groups) {
+        let results = Array.from(groups.values(), groupData => groupData.aggregation.getResult());
+        if (this.topSpec) {
+            results = selectTop(results, this.topSpec);
+        }
+        for (const result of results) {
             this.emit(result);
         }
     }
@@ -278,16 +412,14 @@ export class SummarizeOperator extends Operator {
         }
         
         // Emit results for this window
-        for (const [groupKey, groupData] of windowData.groups.entries()) {
-            const result = groupData.aggregation.getResult();
-            
-            // Window information is available through the context variable if user wants it
-            
-            this.emit(result);
-        }
+        // Window information is available through the context variable if user wants it
+        this.emitGroupResults(this.getWindowGroups(windowId, windowData));
         
         // Remove the window from active windows
         this.activeWindows.delete(windowId);
+        if (this.usePanes) {
+            this.releasePanes(windowId);
+        }
     }
     
     /**
@@ -295,13 +427,7 @@ export class SummarizeOperator extends Operator {
      */
     async emitAllWindowResults() {
         for (const [windowId, windowData] of this.activeWindows.entries()) {
-            for (const [groupKey, groupData] of windowData.groups.entries()) {
-                const result = groupData.aggregation.getResult();
-                
-                // Window information is available through the context variable if user wants it
-                
-                this.emit(result);
-            }
+            this.emitGroupResults(this.getWindowGroups(windowId, windowData));
         }
     }
     
@@ -310,6 +436,8 @@ export class SummarizeOperator extends Operator {
      */
     resetAllWindows() {
         this.activeWindows.clear();
+        this.panes.clear();
+        this.newestPane = null;
         // Don't recreate the window function as it maintains its own state counter
     }
     
@@ -337,17 +465,13 @@ export class SummarizeOperator extends Operator {
      * Emit results for no-window mode
      */
     async emitNoWindowResults() {
-        for (const [groupKey, groupData] of this.noWindowGroups.entries()) {
-            const result = groupData.aggregation.getResult();
-            
-            this.emit(result);
-        }
+        this.emitGroupResults(this.noWindowGroups);
     }
 }
 
 /**
  * Factory function to create summarize operators with a more convenient API
  */
-export function createSummarizeOperator(aggregationSpec, groupByCallback = null, windowSpec = null, emitSpec = null, windowVariableName = 'window') {
-    return new SummarizeOperator(aggregationSpec, groupByCallback, windowSpec, emitSpec, windowVariableName);
+export function createSummarizeOperator(aggregationSpec, groupByCallback = null, windowSpec = null, emitSpec = null, windowVariableName = 'window', topSpec = null) {
+    return new SummarizeOperator(aggregationSpec, groupByCallback, windowSpec, emitSpec, windowVariableName, topSpec);
 } 
\ No newline at end of file
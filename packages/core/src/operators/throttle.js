@@ -0,0 +1,143 @@
+import { Operator } from '../core/operator.js';
+
+const THROTTLE_MODES = ['drop', 'latest'];
+
+/**
+ * Throttle operator - limits the rate of documents, optionally per key
+ * Usage: | throttle 100 per 1s by user
+ *        | throttle mode=latest 1 per 5s by device
+ *
+ * Each key gets a fixed window that starts with its first document. Up to
+ * `limit` documents pass per window; the rest are handled by the mode:
+ * - drop (default): excess documents are dropped
+ * - latest: the most recent excess document is held and emitted once the
+ *   window has ended, replacing any document held before it
+ *
+ * Ended windows are checked whenever a document arrives. A window that holds
+ * a document also gets a timer for its end, so the document is released even
+ * when no other document follows; flushing the stream releases held documents
+ * immediately and stops their timers.
+ *
+ * Counters for passed and dropped documents are reported by getStats(),
+ * which the query engine includes in `info flow <name>`.
+ */
+export class Throttle extends Operator {
+    constructor(limit, periodMs, keyExtractor = null, options = {}) {
+        super();
+        this.limit = limit;
+        this.periodMs = periodMs;
+        this.keyExtractor = keyExtractor;
+        this.mode = options.mode || 'drop';
+
+        if (!THROTTLE_MODES.includes(this.mode)) {
+            throw new Error(`Unsupported throttle mode '${this.mode}'. Supported modes: ${THROTTLE_MODES.join(', ')}`);
+        }
+
+        // Runtime state
+        this.windows = new Map(); // serialized key -> { start, count, held, timer }, in window start order
+        this.passed = 0;
+        this.dropped = 0;
+    }
+
+    async process(doc) {
+        const now = Date.now();
+        this.releaseExpired(now);
+
+        const key = this.keyExtractor ? this.serializeKey(this.keyExtractor(doc)) : '';
+        let window = this.windows.get(key);
+        if (!window) {
+            window = this.startWindow(key, now);
+        }
+
+        if (window.count < this.limit) {
+            window.count++;
+            this.passed++;
+            this.emit(doc);
+            return;
+        }
+
+        if (this.mode === 'latest') {
+            if (window.held) {
+                this.dropped++; // Replaced by a newer document
+            }
+            window.held = doc;
+            this.scheduleRelease(window);
+        } else {
+            this.dropped++;
+        }
+    }
+
+    startWindow(key, now) {
+        const window = { start: now, count: 0, held: null, timer: null };
+        this.windows.delete(key);
+        this.windows.set(key, window);
+        return window;
+    }
+
+    /**
+     * Close ended windows, emitting held documents into a fresh window
+     * Windows are stored in start order, so ended windows are always at the front
+     */
+    releaseExpired(now) {
+        for (const [key, window] of this.windows) {
+            if (now - window.start < this.periodMs) {
+                break;
+            }
+
+            this.windows.delete(key);
+            this.clearRelease(window);
+            if (window.held) {
+                this.startWindow(key, now).count = 1;
+                this.passed++;
+                this.emit(window.held);
+            }
+        }
+    }
+
+    /**
+     * Release the held document of a window when the window ends
+     */
+    scheduleRelease(window) {
+        if (window.timer) {
+            return;
+        }
+
+        const end = window.start + this.periodMs;
+        // The end time is passed on, so a timer firing a little early still closes its window
+        window.timer = setTimeout(() => this.releaseExpired(Math.max(Date.now(), end)), end - Date.now());
+        window.timer.unref?.();
+    }
+
+    clearRelease(window) {
+        clearTimeout(window.timer);
+        window.timer = null;
+    }
+
+    serializeKey(key) {
+        return typeof key === 'object' && key !== null ? JSON.stringify(key) : `${typeof key}:${key}`;
+    }
+
+    async flush() {
+        for (const window of this.windows.values()) {
+            this.clearRelease(window);
+            if (window.held) {
+                this.passed++;
+                this.emit(window.held);
+                window.held = null;
+            }
+        }
+    }
+
+    getStats() {
+        let held = 0;
+        for (const window of this.windows.values()) {
+            if (window.held) held++;
+        }
+
+        return {
+            passed: this.passed,
+            dropped: this.dropped,
+            held
+        };
+    }
+}
@@ -0,0 +1,89 @@
+import { Operator } from '../core/operator.js';
+import { BoundedHeap } from '../utils/bounded-heap.js';
+
+/**
+ * Top operator - keeps the N highest (or lowest) ranked documents
+ * Usage: | top 10 by count desc
+ *        | top 10 by count desc every 1m
+ *
+ * Documents are ranked in a bounded heap, so memory stays at N documents no
+ * matter how many arrive. The ranked documents are emitted best first, after
+ * which ranking starts over:
+ * - with a period, once the period has passed since the first document ranked
+ * - always when the stream is flushed
+ *
+ * Without a period nothing is emitted before a flush, so on a live stream
+ * rank the output of a windowed summarize or give a period.
+ *
+ * Documents with a null rank are ranked last in both directions.
+ */
+export class Top extends Operator {
+    constructor(count, rankExtractor, options = {}) {
+        super();
+        this.count = count;
+        this.rankExtractor = rankExtractor;
+        this.descending = options.descending ?? true;
+        this.periodMs = options.periodMs ?? null;
+        this.heap = createRankHeap(count, this.descending);
+        this.timer = null;
+    }
+
+    async process(doc) {
+        this.heap.push({ doc, rank: this.rankExtractor(doc) });
+
+        if (this.periodMs && !this.timer) {
+            this.timer = setTimeout(() => this.emitRanked(), this.periodMs);
+            this.timer.unref?.();
+        }
+    }
+
+    emitRanked() {
+        clearTimeout(this.timer);
+        this.timer = null;
+
+        const ranked = this.heap.toSortedArray();
+        this.heap.clear();
+        for (const { doc } of ranked) {
+            this.emit(doc);
+        }
+    }
+
+    async flush() {
+        this.emitRanked();
+    }
+}
+
+/**
+ * Select the top ranked items of a finished collection
+ * Used by summarize to rank the groups of a window when it closes
+ *
+ * @param {Array} items - Items to rank
+ * @param {Object} topSpec - { count, rankExtractor, descending }
+ * @returns {Array} At most `count` items, best first
+ */
+export function selectTop(items, { count, rankExtractor, descending = true }) {
+    const heap = createRankHeap(count, descending);
+    for (const item of items) {
+        heap.push({ doc: item, rank: rankExtractor(item) });
+    }
+    return heap.toSortedArray().map(({ doc }) => doc);
+}
+
+/**
+ * Heap of { doc, rank } entries, ranks are extracted once per document
+ */
+function createRankHeap(count, descending) {
+    const direction = descending ? -1 : 1;
+    return new BoundedHeap(count, ({ rank: rankA }, { rank: rankB }) => {
+        // Nulls go last regardless of direction
+        const missingA = rankA === null || rankA === undefined;
+        const missingB = rankB === null || rankB === undefined;
+        if (missingA || missingB) {
+            return missingA === missingB ? 0 : missingA ? 1 : -1;
+        }
+
+        if (rankA < rankB) return -direction;
+        if (rankA > rankB) return direction;
+        return 0;
+    });
+}
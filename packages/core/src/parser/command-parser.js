@@ -43,7 +43,7 @@ export class CommandParser {
                     return await this.handleListCommand(args, sm, queryEngine);
                 
                 case 'info':
-                    return await this.handleInfoCommand(args, sm);
+                    return await this.handleInfoCommand(args, sm, queryEngine);
                 
                 case 'subscribe':
                     return await this.handleSubscribeCommand(args, sm);
@@ -211,7 +211,7 @@ export class CommandParser {
      */
     static async handleDeleteCommand(args, sm, queryEngine = null) {
         if (args.length !== 2) {
-            throw new Error('Usage: delete stream <name> OR delete flow <name> OR delete lookup <name>');
+            throw new Error('Usage: delete stream <name> OR delete flow <name> OR delete lookup <name> OR delete view <name>');
         }
 
         const subcommand = args[0].toLowerCase();
@@ -264,8 +264,20 @@ export class CommandParser {
             } else {
                 throw new Error(`Lookup '${name}' does not exist`);
             }
+        } else if (subcommand === 'view') {
+            if (!queryEngine) {
+                throw new Error('Query engine not available');
+            }
+            await queryEngine.handleDeleteView({ viewName: name });
+
+            return {
+                type: 'command',
+                success: true,
+                result: { viewName: name },
+                message: `View '${name}' deleted successfully`
+            };
         } else {
-            throw new Error('Usage: delete stream <name> OR delete flow <name> OR delete lookup <name>');
+            throw new Error('Usage: delete stream <name> OR delete flow <name> OR delete lookup <name> OR delete view <name>');
         }
     }
 
@@ -369,7 +381,8 @@ export class CommandParser {
                 flowsOutput += ':\n';
                 flows.forEach((flow, index) => {
                     const ttlInfo = flow.ttlSeconds ? ` (TTL: ${flow.ttlSeconds}s remaining)` : '';
-                    flowsOutput += `${index + 1}. ${flow.flowName}: ${flow.sourceName} -> ${flow.sinks?.map(s => s.name).join(', ')}${ttlInfo}`;
+                    const sources = flow.sourceNames?.length ? flow.sourceNames.join(', ') : flow.sourceName;
+                    flowsOutput += `${index + 1}. ${flow.flowName}: ${sources} -> ${flow.sinks?.map(s => s.name).join(', ')}${ttlInfo}`;
                     if (index < flows.length - 1) flowsOutput += '\n';
                 });
             }
@@ -435,9 +448,9 @@ export class CommandParser {
     }
 
     /**
-     * Handle info <name> or info
+     * Handle info <name>, info flow <name> or info
      */
-    static async handleInfoCommand(args, sm) {
+    static async handleInfoCommand(args, sm, queryEngine) {
         if (args.length === 0) {
             // Show info for all streams
             const info = sm.getAllStreamInfo();
@@ -468,9 +481,31 @@ export class CommandParser {
                 result: { info },
                 message: `Stream '${streamName}' info retrieved`
             };
+        } else if (args.length === 2 && args[0].toLowerCase() === 'flow') {
+            // Show info for a flow, including operator statistics
+            const flowName = args[1];
+
+            // Use passed queryEngine or try to import global one
+            let qe = queryEngine;
+            if (!qe) {
+                const { queryEngine: globalQueryEngine } = await import('../core/query-engine.js');
+                qe = globalQueryEngine;
+            }
+
+            const info = qe ? qe.getFlowInfo(flowName) : null;
+            if (!info) {
+                throw new Error(`Flow '${flowName}' not found`);
+            }
+
+            return {
+                type: 'command',
+                success: true,
+                result: { info },
+                message: `Flow '${flowName}' info retrieved`
+            };
         }
 
-        throw new Error('Usage: info [stream_name]');
+        throw new Error('Usage: info [stream_name] OR info flow <flow_name>');
     }
 
     /**
@@ -639,7 +674,15 @@ export class CommandParser {
     static isCommand(line) {
         const trimmed = line.trim();
         // Commands start with these keywords (but exclude flow creation)
-        return /^(create\s+(?:or\s+replace\s+|if\s+not\s+exists\s+)?(?:stream|lookup)|insert\s+into|delete\s+(?:stream|flow|lookup)|flush|list|info|subscribe|unsubscribe)\b/.test(trimmed);
+        return /^(create\s+(?:or\s+replace\s+|if\s+not\s+exists\s+)?(?:stream|lookup)|insert\s+into|delete\s+(?:stream|flow|lookup|view)|flush|list|info|subscribe|unsubscribe)\b/.test(trimmed);
+    }
+
+    /**
+     * Check if a line is a view definition
+     */
+    static isView(line) {
+        const trimmed = line.trim();
+        return /^create\s+(?:or\s+replace\s+|if\s+not\s+exists\s+)?view\b/.test(trimmed);
     }
 
     /**
@@ -1,8 +1,8 @@
 // Core grammar rules - unified program structure for all statement types
 import { 
     Dot, Pipe, Semicolon, Identifier, Create, Or, Replace, If, Not, Exists, 
-    Stream, Flow, Lookup, Delete, Insert, Into, Flush, List, Info, Subscribe, Unsubscribe,
-    Ttl, LeftParen, RightParen, As, Assign,
+    Stream, Flow, View, Lookup, Delete, Insert, Into, Flush, List, Info, Subscribe, Unsubscribe,
+    Ttl, Let, LeftParen, RightParen, As, Assign, Comma, Multiply, Union,
     // Import all keywords for use as identifiers
     Where, Select, Scan, Summarize, InsertInto, WriteToFile, AssertOrSaveExpected,
     By, Over, Step, Iff, Emit, Every, When, On, Change, Group, Update, Using,
@@ -51,6 +51,7 @@ export function defineCoreCrules() {
             { ALT: () => this.SUBRULE(this.infoStatement) },
             { ALT: () => this.SUBRULE(this.subscribeStatement) },
             { ALT: () => this.SUBRULE(this.unsubscribeStatement) },
+            { ALT: () => this.SUBRULE(this.letStatement) },
             
             // Pipeline queries
             { ALT: () => this.SUBRULE(this.pipelineQuery) }
@@ -95,6 +96,13 @@ export function defineCoreCrules() {
                 this.CONSUME(As);
                 this.SUBRULE(this.pipelineQuery, { LABEL: "flowQuery" });
             }},
+            // Create view
+            { ALT: () => {
+                this.CONSUME(View);
+                this.CONSUME4(Identifier, { LABEL: "viewName" });
+                this.CONSUME2(As);
+                this.SUBRULE2(this.pipelineQuery, { LABEL: "viewQuery" });
+            }},
             // Create lookup
             { ALT: () => {
                 this.CONSUME(Lookup);
@@ -119,6 +127,10 @@ export function defineCoreCrules() {
             { ALT: () => {
                 this.CONSUME(Lookup);
                 this.CONSUME3(Identifier, { LABEL: "lookupName" });
+            }},
+            { ALT: () => {
+                this.CONSUME(View);
+                this.CONSUME4(Identifier, { LABEL: "viewName" });
             }}
         ]);
     });
@@ -150,7 +162,13 @@ export function defineCoreCrules() {
     this.infoStatement = this.RULE("infoStatement", () => {
         this.CONSUME(Info);
         this.OPTION(() => {
-            this.CONSUME(Identifier, { LABEL: "streamName" });
+            this.OR([
+                { ALT: () => {
+                    this.CONSUME(Flow);
+                    this.CONSUME(Identifier, { LABEL: "flowName" });
+                }},
+                { ALT: () => this.CONSUME2(Identifier, { LABEL: "streamName" }) }
+            ]);
         });
     });
 
@@ -164,6 +182,29 @@ export function defineCoreCrules() {
         this.SUBRULE(this.expression, { LABEL: "subscriptionId" });
     });
 
+    // =============================================================================
+    // LET BINDINGS
+    // =============================================================================
+
+    // let hot = sensors | where temp > threshold
+    // let threshold = 80
+    this.letStatement = this.RULE("letStatement", () => {
+        this.CONSUME(Let);
+        this.CONSUME(Identifier, { LABEL: "bindingName" });
+        this.CONSUME(Assign);
+        this.OR({
+            // A source followed by operations is a sub-query, anything else a scalar expression
+            IGNORE_AMBIGUITIES: true,
+            DEF: [
+                {
+                    GATE: () => this.LA(1).tokenType === Union || this.LA(2).tokenType === Pipe,
+                    ALT: () => this.SUBRULE(this.pipelineQuery, { LABEL: "bindingQuery" })
+                },
+                { ALT: () => this.SUBRULE(this.expression, { LABEL: "bindingValue" }) }
+            ]
+        });
+    });
+
     // =============================================================================
     // PIPELINE QUERIES
     // =============================================================================
@@ -179,6 +220,7 @@ export function defineCoreCrules() {
     // Source (data source name) - Accept identifiers + non-problematic keywords that stay as keywords
     this.source = this.RULE("source", () => {
         this.OR([
+            { ALT: () => this.SUBRULE(this.unionSource) },
             { ALT: () => this.CONSUME(Identifier, { LABEL: "sourceName" }) },
             // Non-problematic keywords that don't create ambiguity
             { ALT: () => this.CONSUME(Where, { LABEL: "sourceName" }) },
@@ -191,6 +233,32 @@ export function defineCoreCrules() {
         ]);
     });
 
+    // Union of several streams: union [withsource[=field]] (a, b, prefix_*)
+    this.unionSource = this.RULE("unionSource", () => {
+        this.CONSUME(Union);
+        this.OPTION(() => {
+            this.CONSUME(Identifier, { LABEL: "withSourceKeyword" });
+            this.OPTION2(() => {
+                this.CONSUME(Assign);
+                this.CONSUME2(Identifier, { LABEL: "sourceField" });
+            });
+        });
+        this.CONSUME(LeftParen);
+        this.AT_LEAST_ONE_SEP({
+            SEP: Comma,
+            DEF: () => this.SUBRULE(this.unionStreamPattern)
+        });
+        this.CONSUME(RightParen);
+    });
+
+    // Stream name, optionally ending in a wildcard: sensors_*
+    this.unionStreamPattern = this.RULE("unionStreamPattern", () => {
+        this.CONSUME(Identifier, { LABEL: "streamName" });
+        this.OPTION(() => {
+            this.CONSUME(Multiply, { LABEL: "wildcard" });
+        });
+    });
+
     // Pipeline operations
     this.operation = this.RULE("operation", () => {
         this.OR([
@@ -198,6 +266,16 @@ export function defineCoreCrules() {
             { ALT: () => this.SUBRULE(this.selectClause) },
             { ALT: () => this.SUBRULE(this.scanClause) },
             { ALT: () => this.SUBRULE(this.summarizeClause) },
+            { ALT: () => this.SUBRULE(this.joinClause) },
+            { ALT: () => this.SUBRULE(this.lookupClause) },
+            { ALT: () => this.SUBRULE(this.mvExpandClause) },
+            { ALT: () => this.SUBRULE(this.distinctClause) },
+            { ALT: () => this.SUBRULE(this.topClause) },
+            { ALT: () => this.SUBRULE(this.reorderClause) },
+            { ALT: () => this.SUBRULE(this.parseClause) },
+            { ALT: () => this.SUBRULE(this.throttleClause) },
+            { ALT: () => this.SUBRULE(this.sampleClause) },
+            { ALT: () => this.SUBRULE(this.forkClause) },
             { ALT: () => this.SUBRULE(this.insertIntoClause) },
             { ALT: () => this.SUBRULE(this.writeToFileClause) },
             { ALT: () => this.SUBRULE(this.assertOrSaveExpectedClause) }
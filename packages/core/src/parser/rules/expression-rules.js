@@ -1,10 +1,12 @@
 // Expression grammar rules - clean, single-syntax approach
 import { 
     LogicalOr, LogicalAnd, Equals, NotEquals, LessThan, GreaterThan, 
-    LessEquals, GreaterEquals, Plus, Minus, Multiply, Divide,
-    LeftParen, RightParen, LeftBracket, RightBracket, Dot,
+    LessEquals, GreaterEquals, EqualsTilde, NotTilde, Plus, Minus, Multiply, Divide,
+    LeftParen, RightParen, LeftBracket, RightBracket, Dot, Comma, Range,
+    In, NotIn, Between, NotBetween, Has, NotHas, Contains, NotContains,
+    StartsWith, NotStartsWith, EndsWith, NotEndsWith, Matches, Regex,
     StringLiteral, DurationLiteral, NumberLiteral, BooleanLiteral, NullLiteral, Identifier,
-    QuestionMark, Colon,
+    QuestionMark, NullCoalesce, OptionalChain, Colon,
     // Import all keywords for use as identifiers
     Where, Select, Scan, Summarize, InsertInto, WriteToFile, AssertOrSaveExpected,
     By, Over, Step, Iff, Emit, Every, When, On, Change, Group, Update, Using,
@@ -13,6 +15,7 @@ import {
     Create, Or, Replace, If, Not, Exists, Stream, Flow, Delete, Insert, Into,
     Flush, List, Info, Subscribe, Unsubscribe, Ttl, As
 } from '../tokens/token-registry.js';
+import { consumeFieldName } from '../utils/keyword-identifier-utils.js';
 
 export function defineExpressionRules() {
     // =============================================================================
@@ -24,12 +27,21 @@ export function defineExpressionRules() {
     });
 
     this.ternaryExpression = this.RULE("ternaryExpression", () => {
-        this.SUBRULE(this.orExpression);
+        this.SUBRULE(this.coalesceExpression);
         this.OPTION(() => {
             this.CONSUME(QuestionMark);
-            this.SUBRULE2(this.orExpression, { LABEL: "trueExpression" });
+            this.SUBRULE2(this.coalesceExpression, { LABEL: "trueExpression" });
             this.CONSUME(Colon);
-            this.SUBRULE3(this.orExpression, { LABEL: "falseExpression" });
+            this.SUBRULE3(this.coalesceExpression, { LABEL: "falseExpression" });
+        });
+    });
+
+    // a ?? b ?? c - binds looser than || like in JavaScript
+    this.coalesceExpression = this.RULE("coalesceExpression", () => {
+        this.SUBRULE(this.orExpression);
+        this.MANY(() => {
+            this.CONSUME(NullCoalesce);
+            this.SUBRULE2(this.orExpression);
         });
     });
 
@@ -50,24 +62,75 @@ export function defineExpressionRules() {
     });
 
     // =============================================================================
-    // COMPARISON EXPRESSIONS (==, !=, <, >, <=, >=)
+    // COMPARISON EXPRESSIONS (==, !=, <, >, <=, >=, =~, has, in, between, ...)
     // =============================================================================
     
     this.comparisonExpression = this.RULE("comparisonExpression", () => {
         this.SUBRULE(this.arithmeticExpression);
         this.OPTION(() => {
             this.OR([
-                { ALT: () => this.CONSUME(Equals) },
-                { ALT: () => this.CONSUME(NotEquals) },
-                { ALT: () => this.CONSUME(LessThan) },
-                { ALT: () => this.CONSUME(GreaterThan) },
-                { ALT: () => this.CONSUME(LessEquals) },
-                { ALT: () => this.CONSUME(GreaterEquals) }
+                { ALT: () => {
+                    this.OR2([
+                        { ALT: () => this.CONSUME(Equals) },
+                        { ALT: () => this.CONSUME(NotEquals) },
+                        { ALT: () => this.CONSUME(LessThan) },
+                        { ALT: () => this.CONSUME(GreaterThan) },
+                        { ALT: () => this.CONSUME(LessEquals) },
+                        { ALT: () => this.CONSUME(GreaterEquals) },
+                        { ALT: () => this.CONSUME(EqualsTilde) },
+                        { ALT: () => this.CONSUME(NotTilde) },
+                        { ALT: () => this.CONSUME(Has) },
+                        { ALT: () => this.CONSUME(NotHas) },
+                        { ALT: () => this.CONSUME(Contains) },
+                        { ALT: () => this.CONSUME(NotContains) },
+                        { ALT: () => this.CONSUME(StartsWith) },
+                        { ALT: () => this.CONSUME(NotStartsWith) },
+                        { ALT: () => this.CONSUME(EndsWith) },
+                        { ALT: () => this.CONSUME(NotEndsWith) }
+                    ]);
+                    this.SUBRULE2(this.arithmeticExpression);
+                }},
+                { ALT: () => this.SUBRULE(this.inPredicate) },
+                { ALT: () => this.SUBRULE(this.betweenPredicate) },
+                { ALT: () => this.SUBRULE(this.regexPredicate) }
             ]);
-            this.SUBRULE2(this.arithmeticExpression);
         });
     });
 
+    // in ("a", "b", ...) / !in (...)
+    this.inPredicate = this.RULE("inPredicate", () => {
+        this.OR([
+            { ALT: () => this.CONSUME(In) },
+            { ALT: () => this.CONSUME(NotIn) }
+        ]);
+        this.CONSUME(LeftParen);
+        this.AT_LEAST_ONE_SEP({
+            SEP: Comma,
+            DEF: () => this.SUBRULE(this.expression, { LABEL: "listItem" })
+        });
+        this.CONSUME(RightParen);
+    });
+
+    // between (lower .. upper) / !between (...)
+    this.betweenPredicate = this.RULE("betweenPredicate", () => {
+        this.OR([
+            { ALT: () => this.CONSUME(Between) },
+            { ALT: () => this.CONSUME(NotBetween) }
+        ]);
+        this.CONSUME(LeftParen);
+        this.SUBRULE(this.expression, { LABEL: "lower" });
+        this.CONSUME(Range);
+        this.SUBRULE2(this.expression, { LABEL: "upper" });
+        this.CONSUME(RightParen);
+    });
+
+    // matches regex "pattern"
+    this.regexPredicate = this.RULE("regexPredicate", () => {
+        this.CONSUME(Matches);
+        this.CONSUME(Regex);
+        this.SUBRULE(this.arithmeticExpression, { LABEL: "pattern" });
+    });
+
     // =============================================================================
     // ARITHMETIC EXPRESSIONS (+, -, *, /)
     // =============================================================================
@@ -111,7 +174,19 @@ export function defineExpressionRules() {
                 // Property access: expr.property
                 { ALT: () => {
                     this.CONSUME(Dot);
-                    this.CONSUME(Identifier, { LABEL: "property" });
+                    consumeFieldName.call(this, 3, "property");
+                }},
+                // Null-safe access: expr?.property, expr?.[key]
+                { ALT: () => {
+                    this.CONSUME(OptionalChain);
+                    this.OR2([
+                        { ALT: () => consumeFieldName.call(this, 4, "optionalProperty") },
+                        { ALT: () => {
+                            this.CONSUME2(LeftBracket);
+                            this.SUBRULE2(this.expression, { LABEL: "optionalIndex" });
+                            this.CONSUME2(RightBracket);
+                        }}
+                    ]);
                 }}
             ]);
         });
@@ -154,11 +229,11 @@ export function defineExpressionRules() {
     // =============================================================================
     
     this.stepVariable = this.RULE("stepVariable", () => {
-        // Now elegant: any identifier works! Context-sensitive lexer handles keyword conversion
-        this.CONSUME(Identifier, { LABEL: "stepOrVariable" });
+        // Any identifier works, and so do contextual keywords naming a field
+        consumeFieldName.call(this, 1, "stepOrVariable");
         this.OPTION(() => {
             this.CONSUME(Dot);
-            this.CONSUME2(Identifier, { LABEL: "variableName" });
+            consumeFieldName.call(this, 2, "variableName");
         });
     });
 }
\ No newline at end of file
@@ -2,15 +2,17 @@
 import { 
     LeftBrace, RightBrace, LeftBracket, RightBracket, LeftParen, RightParen,
     Comma, Colon, Spread, Identifier, StringLiteral, Minus, Multiply,
-    Iff, Emit, Assign,
+    Iff, Case, Switch, Emit, Assign, Arrow,
     // Import all keywords for use as property keys
-    Where, Select, Scan, Summarize, InsertInto, WriteToFile, AssertOrSaveExpected,
-    By, Over, Step, Every, When, On, Change, Group, Update, Using,
+    Union, Where, Select, Scan, Summarize, InsertInto, WriteToFile, AssertOrSaveExpected, Join, MvExpand, Distinct, Top, Reorder, Order, Parse, Throttle, Sample, Fork, Tee,
+    By, Over, Step, Within, WithItemIndex, With, Limit, Per, Asc, Desc, MaxDelay, MaxBuffer, Every, When, On, Change, Group, Update, Using,
+    In, Between, Has, Contains, StartsWith, EndsWith, Matches, Regex,
     HoppingWindow, TumblingWindow, SlidingWindow, CountWindow,
     HoppingWindowBy, TumblingWindowBy, SlidingWindowBy, SessionWindow,
-    Create, Or, Replace, If, Not, Exists, Stream, Flow, Delete, Insert, Into,
-    Flush, List, Info, Subscribe, Unsubscribe, Ttl, As
+    Create, Or, Replace, If, Not, Exists, Stream, Flow, View, Delete, Insert, Into,
+    Flush, List, Info, Subscribe, Unsubscribe, Ttl, Let, As
 } from '../tokens/token-registry.js';
+import { consumeFieldName } from '../utils/keyword-identifier-utils.js';
 
 export function defineLiteralRules() {
     // =============================================================================
@@ -48,7 +50,7 @@ export function defineLiteralRules() {
             // Exclusion syntax: -field
             { ALT: () => {
                 this.CONSUME(Minus);
-                this.CONSUME(Identifier, { LABEL: "excludedProperty" });
+                consumeFieldName.call(this, 2, "excludedProperty");
             }},
             // Key-value pair: key: value
             { ALT: () => {
@@ -58,7 +60,7 @@ export function defineLiteralRules() {
             }},
             // Shorthand: just identifier (becomes key: key)
             { ALT: () => {
-                this.CONSUME2(Identifier, { LABEL: "shorthandProperty" });
+                consumeFieldName.call(this, 1, "shorthandProperty");
             }}
         ]);
     });
@@ -84,7 +86,40 @@ export function defineLiteralRules() {
             { ALT: () => this.CONSUME(Change) },
             { ALT: () => this.CONSUME(Group) },
             { ALT: () => this.CONSUME(Update) },
-            { ALT: () => this.CONSUME(Using) }
+            { ALT: () => this.CONSUME(Using) },
+            { ALT: () => this.CONSUME(Join) },
+            { ALT: () => this.CONSUME(Within) },
+            { ALT: () => this.CONSUME(Union) },
+            { ALT: () => this.CONSUME(MvExpand) },
+            { ALT: () => this.CONSUME(WithItemIndex) },
+            { ALT: () => this.CONSUME(Limit) },
+            { ALT: () => this.CONSUME(Distinct) },
+            { ALT: () => this.CONSUME(Top) },
+            { ALT: () => this.CONSUME(Asc) },
+            { ALT: () => this.CONSUME(Desc) },
+            { ALT: () => this.CONSUME(Reorder) },
+            { ALT: () => this.CONSUME(Order) },
+            { ALT: () => this.CONSUME(MaxDelay) },
+            { ALT: () => this.CONSUME(MaxBuffer) },
+            { ALT: () => this.CONSUME(Parse) },
+            { ALT: () => this.CONSUME(With) },
+            { ALT: () => this.CONSUME(Throttle) },
+            { ALT: () => this.CONSUME(Sample) },
+            { ALT: () => this.CONSUME(Per) },
+            { ALT: () => this.CONSUME(Fork) },
+            { ALT: () => this.CONSUME(Tee) },
+            { ALT: () => this.CONSUME(In) },
+            { ALT: () => this.CONSUME(Between) },
+            { ALT: () => this.CONSUME(Has) },
+            { ALT: () => this.CONSUME(Contains) },
+            { ALT: () => this.CONSUME(StartsWith) },
+            { ALT: () => this.CONSUME(EndsWith) },
+            { ALT: () => this.CONSUME(Matches) },
+            { ALT: () => this.CONSUME(Regex) },
+            { ALT: () => this.CONSUME(Case) },
+            { ALT: () => this.CONSUME(Switch) },
+            { ALT: () => this.CONSUME(View) },
+            { ALT: () => this.CONSUME(Let) }
         ]);
     });
 
@@ -115,6 +150,8 @@ export function defineLiteralRules() {
     this.functionCall = this.RULE("functionCall", () => {
         this.OR([
             { ALT: () => this.SUBRULE(this.iffFunction) },
+            { ALT: () => this.SUBRULE(this.caseFunction) },
+            { ALT: () => this.SUBRULE(this.switchFunction) },
             { ALT: () => this.SUBRULE(this.emitFunction) },
             { ALT: () => this.SUBRULE(this.scalarFunction) }
         ]);
@@ -132,6 +169,50 @@ export function defineLiteralRules() {
         this.CONSUME(RightParen);
     });
 
+    // CASE function: case(condition1, value1, condition2, value2, ..., else_value)
+    // The argument count is checked by the visitor
+    this.caseFunction = this.RULE("caseFunction", () => {
+        this.CONSUME(Case);
+        this.CONSUME(LeftParen);
+        this.SUBRULE(this.expression, { LABEL: "caseArgument" });
+        this.MANY(() => {
+            this.CONSUME(Comma);
+            this.SUBRULE2(this.expression, { LABEL: "caseArgument" });
+        });
+        this.CONSUME(RightParen);
+    });
+
+    // SWITCH function: switch(subject) { "a" => 1, "b" => 2, _ => 0 }
+    this.switchFunction = this.RULE("switchFunction", () => {
+        this.CONSUME(Switch);
+        this.CONSUME(LeftParen);
+        this.SUBRULE(this.expression, { LABEL: "subject" });
+        this.CONSUME(RightParen);
+        this.CONSUME(LeftBrace);
+        this.SUBRULE(this.switchArm);
+        this.MANY(() => {
+            this.CONSUME(Comma);
+            this.SUBRULE2(this.switchArm);
+        });
+        this.CONSUME(RightBrace);
+    });
+
+    this.switchArm = this.RULE("switchArm", () => {
+        this.OR({
+            // A lone _ before => is the default arm, anything else a value to compare against
+            IGNORE_AMBIGUITIES: true,
+            DEF: [
+                {
+                    GATE: () => this.LA(1).image === '_' && this.LA(2).tokenType === Arrow,
+                    ALT: () => this.CONSUME(Identifier, { LABEL: "defaultArm" })
+                },
+                { ALT: () => this.SUBRULE(this.expression, { LABEL: "pattern" }) }
+            ]
+        });
+        this.CONSUME(Arrow);
+        this.SUBRULE2(this.expression, { LABEL: "value" });
+    });
+
     // EMIT function: emit(value)
     this.emitFunction = this.RULE("emitFunction", () => {
         this.CONSUME(Emit);
@@ -143,8 +224,12 @@ export function defineLiteralRules() {
     });
 
     // Scalar function: functionName(args...)
+    // replace is also a statement keyword (create or replace)
     this.scalarFunction = this.RULE("scalarFunction", () => {
-        this.CONSUME(Identifier, { LABEL: "functionName" });
+        this.OR([
+            { ALT: () => this.CONSUME(Identifier, { LABEL: "functionName" }) },
+            { ALT: () => this.CONSUME(Replace, { LABEL: "functionName" }) }
+        ]);
         this.CONSUME(LeftParen);
         this.OPTION(() => {
             this.SUBRULE(this.argumentList);
@@ -152,14 +237,30 @@ export function defineLiteralRules() {
         this.CONSUME(RightParen);
     });
 
+    // Arguments can be lambdas for the higher-order array functions: array_map(values, x => x * 2)
+    // * stands for the whole row, e.g. arg_max(temp, *)
     this.argumentList = this.RULE("argumentList", () => {
-        this.SUBRULE(this.expression);
+        this.OR([
+            { ALT: () => this.SUBRULE(this.lambdaExpression) },
+            { ALT: () => this.CONSUME(Multiply, { LABEL: "rowArgument" }) },
+            { ALT: () => this.SUBRULE(this.expression) }
+        ]);
         this.MANY(() => {
             this.CONSUME(Comma);
-            this.SUBRULE2(this.expression);
+            this.OR2([
+                { ALT: () => this.SUBRULE2(this.lambdaExpression) },
+                { ALT: () => this.CONSUME2(Multiply, { LABEL: "rowArgument" }) },
+                { ALT: () => this.SUBRULE2(this.expression) }
+            ]);
         });
     });
 
+    this.lambdaExpression = this.RULE("lambdaExpression", () => {
+        this.CONSUME(Identifier, { LABEL: "parameter" });
+        this.CONSUME(Arrow);
+        this.SUBRULE(this.expression, { LABEL: "body" });
+    });
+
     // =============================================================================
     // WINDOW FUNCTIONS (for summarize operations)
     // =============================================================================
@@ -1,11 +1,12 @@
 // Query operation rules - WHERE, SELECT, PROJECT, SUMMARIZE, etc.
 import { 
-    Where, Select, Scan, Summarize, InsertInto, WriteToFile, AssertOrSaveExpected,
-    By, Over, Step, Emit, Every, When, On, Change, Group, Update, Using,
-    Assign, Arrow, Comma, Colon, Semicolon,
+    Where, Select, Scan, Summarize, InsertInto, WriteToFile, AssertOrSaveExpected, Join, Lookup, MvExpand, Distinct, Top, Reorder, Order, Parse, Throttle, Sample, Fork, Tee,
+    By, Over, Step, Within, WithItemIndex, With, Limit, Per, Asc, Desc, MaxDelay, MaxBuffer, Emit, Every, When, On, Change, Group, Update, Using, Regex,
+    Assign, Arrow, Equals, Comma, Colon, Semicolon, Pipe,
     LeftParen, RightParen, LeftBrace, RightBrace,
-    Spread, Multiply, Minus, Identifier
+    Spread, Multiply, Minus, Identifier, StringLiteral, DurationLiteral, NumberLiteral
 } from '../tokens/token-registry.js';
+import { consumeFieldName } from '../utils/keyword-identifier-utils.js';
 
 export function defineQueryOperationRules() {
     // =============================================================================
@@ -47,7 +48,7 @@ export function defineQueryOperationRules() {
                     // Exclusion: -fieldName
                     { ALT: () => {
                         this.CONSUME(Minus, { LABEL: "exclusion" });
-                        this.CONSUME(Identifier, { LABEL: "excludeField" });
+                        consumeFieldName.call(this, 1, "excludeField");
                     }},
                     // Regular property
                     { ALT: () => this.SUBRULE(this.selectProperty) }
@@ -68,7 +69,7 @@ export function defineQueryOperationRules() {
             }},
             // Shorthand property: identifier
             { ALT: () => {
-                this.CONSUME(Identifier, { LABEL: "shorthandProperty" });
+                consumeFieldName.call(this, 1, "shorthandProperty");
             }}
         ]);
     });
@@ -97,6 +98,15 @@ export function defineQueryOperationRules() {
                 }}
             ]);
         });
+        // Rank the emitted groups: top 5 by total [per window]
+        this.OPTION3(() => {
+            this.CONSUME(Top);
+            this.SUBRULE(this.topSpecification);
+            this.OPTION4(() => {
+                this.CONSUME(Per);
+                this.CONSUME(Identifier, { LABEL: "topScope" });
+            });
+        });
     });
 
     this.aggregationObject = this.RULE("aggregationObject", () => {
@@ -130,7 +140,7 @@ export function defineQueryOperationRules() {
             // Exclusion: -fieldName
             { ALT: () => {
                 this.CONSUME(Minus, { LABEL: "exclusion" });
-                this.CONSUME(Identifier, { LABEL: "excludeField" });
+                consumeFieldName.call(this, 3, "excludeField");
             }},
             // Key-value pair: key: aggregationFunction()
             { ALT: () => {
@@ -140,7 +150,7 @@ export function defineQueryOperationRules() {
             }},
             // Shorthand: just identifier
             { ALT: () => {
-                this.CONSUME2(Identifier, { LABEL: "shorthandProperty" });
+                consumeFieldName.call(this, 1, "shorthandProperty");
             }}
         ]);
     });
@@ -273,6 +283,267 @@ export function defineQueryOperationRules() {
         this.SUBRULE(this.functionCall);
     });
 
+    // =============================================================================
+    // JOIN CLAUSE
+    // =============================================================================
+
+    // join [kind=inner|leftouter] (other_stream) on key within 5m [using timestamp]
+    this.joinClause = this.RULE("joinClause", () => {
+        this.CONSUME(Join);
+        this.OPTION(() => {
+            this.CONSUME(Identifier, { LABEL: "kindKeyword" });
+            this.CONSUME(Assign);
+            this.CONSUME2(Identifier, { LABEL: "joinKind" });
+        });
+        this.CONSUME(LeftParen);
+        this.CONSUME3(Identifier, { LABEL: "rightStream" });
+        this.CONSUME(RightParen);
+        this.CONSUME(On);
+        this.SUBRULE(this.expression, { LABEL: "keyExpression" });
+        this.CONSUME(Within);
+        this.OR([
+            { ALT: () => this.CONSUME(DurationLiteral, { LABEL: "windowDuration" }) },
+            { ALT: () => this.CONSUME(NumberLiteral, { LABEL: "windowCount" }) }
+        ]);
+        this.OPTION2(() => {
+            this.CONSUME(Using);
+            this.SUBRULE2(this.expression, { LABEL: "timeExpression" });
+        });
+    });
+
+    // =============================================================================
+    // LOOKUP CLAUSE
+    // =============================================================================
+
+    // lookup [kind=inner|leftouter] [prefix="site_"] [namespace="site"] devices on device_id [== id]
+    this.lookupClause = this.RULE("lookupClause", () => {
+        this.CONSUME(Lookup);
+        this.MANY(() => {
+            this.SUBRULE(this.lookupOption);
+        });
+        this.CONSUME(Identifier, { LABEL: "lookupName" });
+        this.CONSUME(On);
+        this.CONSUME2(Identifier, { LABEL: "keyField" });
+        this.OPTION(() => {
+            this.CONSUME(Equals);
+            this.CONSUME3(Identifier, { LABEL: "rowKeyField" });
+        });
+    });
+
+    this.lookupOption = this.RULE("lookupOption", () => {
+        this.CONSUME(Identifier, { LABEL: "optionName" });
+        this.CONSUME(Assign);
+        this.OR([
+            { ALT: () => this.CONSUME2(Identifier, { LABEL: "optionValue" }) },
+            { ALT: () => this.CONSUME(StringLiteral, { LABEL: "optionValue" }) }
+        ]);
+    });
+
+    // =============================================================================
+    // MV_EXPAND CLAUSE
+    // =============================================================================
+
+    // mv_expand [with_itemindex=idx] readings [limit 100]
+    // mv_expand [with_itemindex=idx] reading = payload.readings [limit 100]
+    this.mvExpandClause = this.RULE("mvExpandClause", () => {
+        this.CONSUME(MvExpand);
+        this.OPTION(() => {
+            this.CONSUME(WithItemIndex);
+            this.CONSUME(Assign);
+            this.CONSUME(Identifier, { LABEL: "indexField" });
+        });
+        this.OR([
+            { ALT: () => {
+                this.CONSUME2(Identifier, { LABEL: "targetField" });
+                this.CONSUME2(Assign);
+                this.SUBRULE(this.expression, { LABEL: "arrayExpression" });
+            }},
+            { ALT: () => this.CONSUME3(Identifier, { LABEL: "arrayField" }) }
+        ]);
+        this.OPTION2(() => {
+            this.CONSUME(Limit);
+            this.CONSUME(NumberLiteral, { LABEL: "limit" });
+        });
+    });
+
+    // =============================================================================
+    // DISTINCT CLAUSE
+    // =============================================================================
+
+    // distinct by event_id [, source] [within 10m]
+    this.distinctClause = this.RULE("distinctClause", () => {
+        this.CONSUME(Distinct);
+        this.CONSUME(By);
+        this.AT_LEAST_ONE_SEP({
+            SEP: Comma,
+            DEF: () => this.SUBRULE(this.expression, { LABEL: "keyExpression" })
+        });
+        this.OPTION(() => {
+            this.CONSUME(Within);
+            this.CONSUME(DurationLiteral, { LABEL: "windowDuration" });
+        });
+    });
+
+    // =============================================================================
+    // TOP CLAUSE
+    // =============================================================================
+
+    // top 10 by count [asc|desc] [every 1m]
+    this.topClause = this.RULE("topClause", () => {
+        this.CONSUME(Top);
+        this.SUBRULE(this.topSpecification);
+        this.OPTION(() => {
+            this.CONSUME(Every);
+            this.CONSUME(DurationLiteral, { LABEL: "period" });
+        });
+    });
+
+    // Shared by the top operator and summarize ... top
+    this.topSpecification = this.RULE("topSpecification", () => {
+        this.CONSUME(NumberLiteral, { LABEL: "count" });
+        this.CONSUME(By);
+        this.SUBRULE(this.expression, { LABEL: "rankExpression" });
+        this.OPTION(() => {
+            this.OR([
+                { ALT: () => this.CONSUME(Asc, { LABEL: "direction" }) },
+                { ALT: () => this.CONSUME(Desc, { LABEL: "direction" }) }
+            ]);
+        });
+    });
+
+    // =============================================================================
+    // REORDER CLAUSE
+    // =============================================================================
+
+    // reorder by ts [max_delay 5s] [max_buffer 10000]
+    // order by ts [max_delay 5s] [max_buffer 10000]
+    this.reorderClause = this.RULE("reorderClause", () => {
+        this.OR([
+            { ALT: () => this.CONSUME(Reorder) },
+            { ALT: () => this.CONSUME(Order) }
+        ]);
+        this.CONSUME(By);
+        this.SUBRULE(this.expression, { LABEL: "keyExpression" });
+        this.OPTION(() => {
+            this.CONSUME(MaxDelay);
+            this.CONSUME(DurationLiteral, { LABEL: "maxDelay" });
+        });
+        this.OPTION2(() => {
+            this.CONSUME(MaxBuffer);
+            this.CONSUME(NumberLiteral, { LABEL: "maxBuffer" });
+        });
+    });
+
+    // =============================================================================
+    // PARSE CLAUSE
+    // =============================================================================
+
+    // parse [kind=simple|regex] [flags="i"] [onfailure=keep|drop] message with "user=" user:string " ms=" ms:long *
+    this.parseClause = this.RULE("parseClause", () => {
+        this.CONSUME(Parse);
+        this.MANY(() => {
+            this.SUBRULE(this.parseOption);
+        });
+        this.SUBRULE(this.expression, { LABEL: "sourceExpression" });
+        this.CONSUME(With);
+        this.AT_LEAST_ONE(() => {
+            this.SUBRULE(this.parsePatternItem);
+        });
+    });
+
+    this.parseOption = this.RULE("parseOption", () => {
+        this.CONSUME(Identifier, { LABEL: "optionName" });
+        this.CONSUME(Assign);
+        this.OR([
+            { ALT: () => this.CONSUME2(Identifier, { LABEL: "optionValue" }) },
+            // kind=regex
+            { ALT: () => this.CONSUME(Regex, { LABEL: "optionValue" }) },
+            { ALT: () => this.CONSUME(StringLiteral, { LABEL: "optionValue" }) }
+        ]);
+    });
+
+    // "constant" | column[:type] | *
+    this.parsePatternItem = this.RULE("parsePatternItem", () => {
+        this.OR([
+            { ALT: () => this.CONSUME(StringLiteral, { LABEL: "text" }) },
+            { ALT: () => this.CONSUME(Multiply, { LABEL: "wildcard" }) },
+            { ALT: () => {
+                this.CONSUME(Identifier, { LABEL: "column" });
+                this.OPTION(() => {
+                    this.CONSUME(Colon);
+                    this.CONSUME2(Identifier, { LABEL: "columnType" });
+                });
+            }}
+        ]);
+    });
+
+    // =============================================================================
+    // THROTTLE AND SAMPLE CLAUSES
+    // =============================================================================
+
+    // throttle [mode=drop|latest] 100 per 1s [by user [, host]]
+    this.throttleClause = this.RULE("throttleClause", () => {
+        this.CONSUME(Throttle);
+        this.MANY(() => {
+            this.SUBRULE(this.throttleOption);
+        });
+        this.CONSUME(NumberLiteral, { LABEL: "limit" });
+        this.CONSUME(Per);
+        this.CONSUME(DurationLiteral, { LABEL: "period" });
+        this.OPTION(() => {
+            this.CONSUME(By);
+            this.AT_LEAST_ONE_SEP({
+                SEP: Comma,
+                DEF: () => this.SUBRULE(this.expression, { LABEL: "keyExpression" })
+            });
+        });
+    });
+
+    this.throttleOption = this.RULE("throttleOption", () => {
+        this.CONSUME(Identifier, { LABEL: "optionName" });
+        this.CONSUME(Assign);
+        this.CONSUME2(Identifier, { LABEL: "optionValue" });
+    });
+
+    // sample 0.05 | sample every 10
+    this.sampleClause = this.RULE("sampleClause", () => {
+        this.CONSUME(Sample);
+        this.OR([
+            { ALT: () => this.CONSUME(NumberLiteral, { LABEL: "rate" }) },
+            { ALT: () => {
+                this.CONSUME(Every);
+                this.CONSUME2(NumberLiteral, { LABEL: "every" });
+            }}
+        ]);
+    });
+
+    // =============================================================================
+    // FORK CLAUSE
+    // =============================================================================
+
+    // fork ( where level == "error" | insert_into(errors) ), ( summarize { n: count() } | write_to_file("n.ndjson") )
+    // tee ( ... ), ( ... )
+    this.forkClause = this.RULE("forkClause", () => {
+        this.OR([
+            { ALT: () => this.CONSUME(Fork) },
+            { ALT: () => this.CONSUME(Tee) }
+        ]);
+        this.AT_LEAST_ONE_SEP({
+            SEP: Comma,
+            DEF: () => this.SUBRULE(this.forkBranch)
+        });
+    });
+
+    this.forkBranch = this.RULE("forkBranch", () => {
+        this.CONSUME(LeftParen);
+        this.SUBRULE(this.operation);
+        this.MANY(() => {
+            this.CONSUME(Pipe);
+            this.SUBRULE2(this.operation);
+        });
+        this.CONSUME(RightParen);
+    });
+
     // =============================================================================
     // INSERT_INTO AND COLLECT CLAUSES
     // =============================================================================
@@ -16,5 +16,5 @@ export const Comment = createToken({
 // Must come after all keywords to avoid conflicts
 export const Identifier = createToken({
     name: "Identifier",
-    pattern: /[a-zA-Z_][a-zA-Z0-9_]*/
+    pattern: /[a-zA-Z_$][a-zA-Z0-9_]*/
 });
\ No newline at end of file
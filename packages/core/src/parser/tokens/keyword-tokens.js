@@ -5,6 +5,7 @@ import { createToken } from 'chevrotain';
 // =============================================================================
 
 // Source and pipeline operations
+export const Union = createToken({ name: "Union", pattern: /union\b/i });
 export const Where = createToken({ name: "Where", pattern: /where\b/i });
 export const Select = createToken({ name: "Select", pattern: /select\b/i });
 export const Scan = createToken({ name: "Scan", pattern: /scan\b/i });
@@ -12,11 +13,59 @@ export const Summarize = createToken({ name: "Summarize", pattern: /summarize\b/
 export const InsertInto = createToken({ name: "InsertInto", pattern: /insert_into\b/i });
 export const WriteToFile = createToken({ name: "WriteToFile", pattern: /write_to_file\b/i });
 export const AssertOrSaveExpected = createToken({ name: "AssertOrSaveExpected", pattern: /assert_or_save_expected\b/i });
+export const Join = createToken({ name: "Join", pattern: /join\b/i });
+export const MvExpand = createToken({ name: "MvExpand", pattern: /mv_expand\b/i });
+export const Distinct = createToken({ name: "Distinct", pattern: /distinct\b/i });
+export const Top = createToken({ name: "Top", pattern: /top\b/i });
+export const Reorder = createToken({ name: "Reorder", pattern: /reorder\b/i });
+export const Order = createToken({ name: "Order", pattern: /order\b/i });
+export const Parse = createToken({ name: "Parse", pattern: /parse\b/i });
+export const Throttle = createToken({ name: "Throttle", pattern: /throttle\b/i });
+export const Sample = createToken({ name: "Sample", pattern: /sample\b/i });
+export const Fork = createToken({ name: "Fork", pattern: /fork\b/i });
+export const Tee = createToken({ name: "Tee", pattern: /tee\b/i });
 
 // Grouping and windowing
 export const By = createToken({ name: "By", pattern: /by\b/i });
 export const Over = createToken({ name: "Over", pattern: /over\b/i });
 export const Step = createToken({ name: "Step", pattern: /step\b/i });
+export const Within = createToken({ name: "Within", pattern: /within\b/i });
+
+// Expansion options
+export const WithItemIndex = createToken({ name: "WithItemIndex", pattern: /with_itemindex\b/i });
+export const Limit = createToken({ name: "Limit", pattern: /limit\b/i });
+
+// Parse pattern
+export const With = createToken({ name: "With", pattern: /with\b/i });
+
+// Rate options
+export const Per = createToken({ name: "Per", pattern: /per\b/i });
+
+// Sort directions
+export const Asc = createToken({ name: "Asc", pattern: /asc\b/i });
+export const Desc = createToken({ name: "Desc", pattern: /desc\b/i });
+
+// Reorder options
+export const MaxDelay = createToken({ name: "MaxDelay", pattern: /max_delay\b/i });
+export const MaxBuffer = createToken({ name: "MaxBuffer", pattern: /max_buffer\b/i });
+
+// Predicate operators
+export const In = createToken({ name: "In", pattern: /in\b/i });
+export const Between = createToken({ name: "Between", pattern: /between\b/i });
+export const Has = createToken({ name: "Has", pattern: /has\b/i });
+export const Contains = createToken({ name: "Contains", pattern: /contains\b/i });
+export const StartsWith = createToken({ name: "StartsWith", pattern: /startswith\b/i });
+export const EndsWith = createToken({ name: "EndsWith", pattern: /endswith\b/i });
+export const Matches = createToken({ name: "Matches", pattern: /matches\b/i });
+export const Regex = createToken({ name: "Regex", pattern: /regex\b/i });
+
+// Negated predicate operators are single tokens, like !=
+export const NotIn = createToken({ name: "NotIn", pattern: /!in\b/i });
+export const NotBetween = createToken({ name: "NotBetween", pattern: /!between\b/i });
+export const NotHas = createToken({ name: "NotHas", pattern: /!has\b/i });
+export const NotContains = createToken({ name: "NotContains", pattern: /!contains\b/i });
+export const NotStartsWith = createToken({ name: "NotStartsWith", pattern: /!startswith\b/i });
+export const NotEndsWith = createToken({ name: "NotEndsWith", pattern: /!endswith\b/i });
 
 // =============================================================================
 // FUNCTION KEYWORDS
@@ -24,6 +73,8 @@ export const Step = createToken({ name: "Step", pattern: /step\b/i });
 
 // Control flow functions
 export const Iff = createToken({ name: "Iff", pattern: /iff\b/i });
+export const Case = createToken({ name: "Case", pattern: /case\b/i });
+export const Switch = createToken({ name: "Switch", pattern: /switch\b/i });
 export const Emit = createToken({ name: "Emit", pattern: /emit\b/i });
 
 // Emit clause keywords
@@ -65,6 +116,7 @@ export const Not = createToken({ name: "Not", pattern: /not\b/i });
 export const Exists = createToken({ name: "Exists", pattern: /exists\b/i });
 export const Stream = createToken({ name: "Stream", pattern: /stream\b/i });
 export const Flow = createToken({ name: "Flow", pattern: /flow\b/i });
+export const View = createToken({ name: "View", pattern: /view\b/i });
 export const Lookup = createToken({ name: "Lookup", pattern: /lookup\b/i });
 export const Delete = createToken({ name: "Delete", pattern: /delete\b/i });
 export const Insert = createToken({ name: "Insert", pattern: /insert\b/i });
@@ -75,4 +127,5 @@ export const Info = createToken({ name: "Info", pattern: /info\b/i });
 export const Subscribe = createToken({ name: "Subscribe", pattern: /subscribe\b/i });
 export const Unsubscribe = createToken({ name: "Unsubscribe", pattern: /unsubscribe\b/i });
 export const Ttl = createToken({ name: "Ttl", pattern: /ttl\b/i });
+export const Let = createToken({ name: "Let", pattern: /let\b/i });
 
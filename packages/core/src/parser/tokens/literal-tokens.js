@@ -9,11 +9,11 @@ export const StringLiteral = createToken({
 });
 
 // =============================================================================
-// DURATION LITERALS (for TTL expressions) - Must come before NumberLiteral
+// DURATION LITERALS (e.g. 500ms, 5m, 1w) - Must come before NumberLiteral
 // =============================================================================
 export const DurationLiteral = createToken({
     name: "DurationLiteral",
-    pattern: /\d+[smhdSMHD]/
+    pattern: /\d+(?:ms|[smhdw])\b/i
 });
 
 // =============================================================================
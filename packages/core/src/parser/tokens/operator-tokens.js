@@ -13,6 +13,8 @@ export const LogicalAnd = createToken({ name: "LogicalAnd", pattern: /&&/ });
 // Order matters: longer patterns first to avoid partial matches
 export const Equals = createToken({ name: "Equals", pattern: /==/ });
 export const NotEquals = createToken({ name: "NotEquals", pattern: /!=/ });
+export const EqualsTilde = createToken({ name: "EqualsTilde", pattern: /=~/ });
+export const NotTilde = createToken({ name: "NotTilde", pattern: /!~/ });
 export const LessEquals = createToken({ name: "LessEquals", pattern: /<=/ });
 export const GreaterEquals = createToken({ name: "GreaterEquals", pattern: />=/ });
 export const LessThan = createToken({ name: "LessThan", pattern: /</ });
@@ -37,6 +39,14 @@ export const Pipe = createToken({ name: "Pipe", pattern: /\|/ });
 // SPECIAL OPERATORS
 // =============================================================================
 export const Spread = createToken({ name: "Spread", pattern: /\.\.\./ });
+export const Range = createToken({ name: "Range", pattern: /\.\./ });
+
+// =============================================================================
+// NULL-SAFE OPERATORS
+// =============================================================================
+// Must come before ? to avoid partial matches
+export const NullCoalesce = createToken({ name: "NullCoalesce", pattern: /\?\?/ });
+export const OptionalChain = createToken({ name: "OptionalChain", pattern: /\?\./ });
 
 // =============================================================================
 // TERNARY OPERATORS
@@ -3,18 +3,20 @@ import { Lexer } from 'chevrotain';
 // Import all token categories
 import { WhiteSpace, Comment, Identifier } from './core-tokens.js';
 import { 
-    Where, Select, Scan, Summarize, InsertInto, WriteToFile, AssertOrSaveExpected,
-    By, Over, Step, Iff, Emit,
+    Union, Where, Select, Scan, Summarize, InsertInto, WriteToFile, AssertOrSaveExpected, Join, MvExpand, Distinct, Top, Reorder, Order, Parse, Throttle, Sample, Fork, Tee,
+    By, Over, Step, Within, WithItemIndex, With, Limit, Per, Asc, Desc, MaxDelay, MaxBuffer, Iff, Case, Switch, Emit,
+    In, Between, Has, Contains, StartsWith, EndsWith, Matches, Regex,
+    NotIn, NotBetween, NotHas, NotContains, NotStartsWith, NotEndsWith,
     Every, When, On, Change, Group, Update, Using,
     HoppingWindow, TumblingWindow, SlidingWindow, CountWindow,
     HoppingWindowBy, TumblingWindowBy, SlidingWindowBy, SessionWindow, As,
-    Create, Or, Replace, If, Not, Exists, Stream, Flow, Lookup, Delete, Insert, Into,
-    Flush, List, Info, Subscribe, Unsubscribe, Ttl
+    Create, Or, Replace, If, Not, Exists, Stream, Flow, View, Lookup, Delete, Insert, Into,
+    Flush, List, Info, Subscribe, Unsubscribe, Ttl, Let
 } from './keyword-tokens.js';
 import {
-    LogicalOr, LogicalAnd, Equals, NotEquals, LessEquals, GreaterEquals,
+    LogicalOr, LogicalAnd, Equals, NotEquals, EqualsTilde, NotTilde, LessEquals, GreaterEquals,
     LessThan, GreaterThan, Plus, Minus, Multiply, Divide,
-    Arrow, Assign, Pipe, Spread, QuestionMark
+    Arrow, Assign, Pipe, Spread, Range, NullCoalesce, OptionalChain, QuestionMark
 } from './operator-tokens.js';
 import { StringLiteral, DurationLiteral, NumberLiteral, BooleanLiteral, NullLiteral } from './literal-tokens.js';
 import { 
@@ -34,15 +36,16 @@ export const allTokens = [
     // Complex keywords first (longest patterns)
     HoppingWindowBy, TumblingWindowBy, SlidingWindowBy,
     HoppingWindow, TumblingWindow, SlidingWindow, CountWindow, SessionWindow,
-    Subscribe, Unsubscribe, WriteToFile, AssertOrSaveExpected, InsertInto,
+    Subscribe, Unsubscribe, WriteToFile, AssertOrSaveExpected, InsertInto, MvExpand, WithItemIndex, MaxDelay, MaxBuffer,
     
     // Query operation keywords
-    Where, Select, Scan, Step, Summarize, By, Over, 
-    Iff, Emit, Every, When, On, Change, Group, Update, Using, As,
+    Union, Where, Select, Scan, Step, Summarize, Join, Distinct, Top, Reorder, Order, Parse, Throttle, Sample, Fork, Tee, By, Over, Within, With, Limit, Per, Asc, Desc,
+    Iff, Case, Switch, Emit, Every, When, On, Change, Group, Update, Using, As,
+    In, Between, Has, Contains, StartsWith, EndsWith, Matches, Regex,
     
     // Statement keywords
-    Create, Delete, Insert, Into, Flush, List, Info, Stream, Flow, Lookup,
-    Replace, Exists, Or, If, Not, Ttl,
+    Create, Delete, Insert, Into, Flush, List, Info, Stream, Flow, View, Lookup,
+    Replace, Exists, Or, If, Not, Ttl, Let,
     
     // Logical keywords (deprecated but supported for compatibility)
     
@@ -51,7 +54,10 @@ export const allTokens = [
     LogicalAnd,     // && 
     Arrow,          // =>
     Equals,         // == must come before =
+    EqualsTilde,    // =~ must come before =
     NotEquals,      // !=
+    NotTilde,       // !~
+    NotIn, NotBetween, NotHas, NotContains, NotStartsWith, NotEndsWith,
     LessEquals,     // <=
     GreaterEquals,  // >=
     LessThan,       // <
@@ -60,6 +66,9 @@ export const allTokens = [
     Pipe,           // |
     Plus, Minus, Multiply, Divide,
     Spread,         // ... must come before .
+    Range,          // .. must come before .
+    NullCoalesce,   // ?? must come before ?
+    OptionalChain,  // ?. must come before ?
     QuestionMark,   // ?
     
     // Literals (longer patterns first)
@@ -86,19 +95,21 @@ export {
     WhiteSpace, Comment, Identifier,
     
     // Keywords
-    Where, Select, Scan, Summarize, InsertInto, WriteToFile, AssertOrSaveExpected,
-    By, Over, Step, Iff, Emit, Every, When, On, Change, Group, Update, Using,
+    Union, Where, Select, Scan, Summarize, InsertInto, WriteToFile, AssertOrSaveExpected, Join, MvExpand, Distinct, Top, Reorder, Order, Parse, Throttle, Sample, Fork, Tee,
+    By, Over, Step, Within, WithItemIndex, With, Limit, Per, Asc, Desc, MaxDelay, MaxBuffer, Iff, Case, Switch, Emit, Every, When, On, Change, Group, Update, Using,
     HoppingWindow, TumblingWindow, SlidingWindow, CountWindow,
     HoppingWindowBy, TumblingWindowBy, SlidingWindowBy, SessionWindow, As,
+    In, Between, Has, Contains, StartsWith, EndsWith, Matches, Regex,
+    NotIn, NotBetween, NotHas, NotContains, NotStartsWith, NotEndsWith,
     
     // Statement keywords
-    Create, Or, Replace, If, Not, Exists, Stream, Flow, Lookup, Delete, Insert, Into,
-    Flush, List, Info, Subscribe, Unsubscribe, Ttl,
+    Create, Or, Replace, If, Not, Exists, Stream, Flow, View, Lookup, Delete, Insert, Into,
+    Flush, List, Info, Subscribe, Unsubscribe, Ttl, Let,
     
     // Operators
-    LogicalOr, LogicalAnd, Equals, NotEquals, LessEquals, GreaterEquals,
+    LogicalOr, LogicalAnd, Equals, NotEquals, EqualsTilde, NotTilde, LessEquals, GreaterEquals,
     LessThan, GreaterThan, Plus, Minus, Multiply, Divide,
-    Arrow, Assign, Pipe, Spread, QuestionMark,
+    Arrow, Assign, Pipe, Spread, Range, NullCoalesce, OptionalChain, QuestionMark,
     
     // Literals
     StringLiteral, DurationLiteral, NumberLiteral, BooleanLiteral, NullLiteral,
@@ -16,6 +16,39 @@ export class VisitorUtils {
         return ctxArray.map(ctx => visitor.visit(ctx)).join(separator);
     }
 
+    /**
+     * Arguments of a function call in source order
+     * Expressions, lambdas and * row arguments are collected under separate labels
+     */
+    static orderedArguments(argumentListCtx) {
+        const { expression = [], lambdaExpression = [], rowArgument = [] } = argumentListCtx.children;
+        return [...expression, ...lambdaExpression, ...rowArgument]
+            .sort((a, b) => (a.location ?? a).startOffset - (b.location ?? b).startOffset);
+    }
+
+    /**
+     * Source text of a CST node, rebuilt from its tokens
+     */
+    static sourceText(ctx) {
+        const tokens = [];
+        const collect = node => {
+            for (const children of Object.values(node.children)) {
+                for (const child of children) {
+                    if (child.children) {
+                        collect(child);
+                    } else {
+                        tokens.push(child);
+                    }
+                }
+            }
+        };
+        collect(ctx);
+        return tokens
+            .sort((a, b) => a.startOffset - b.startOffset)
+            .map(token => token.image)
+            .join(' ');
+    }
+
     /**
      * Extract token image safely
      */
@@ -35,11 +35,24 @@ export class Transpiler {
         return this._visitor.visit(cst);
     }
 
+    /**
+     * Visit with a fresh scope for let bindings
+     * Bindings are compile-time macros: they live only while one script is transpiled
+     */
+    visitWithLetScope(cst) {
+        this._visitor._letBindings = new Map();
+        try {
+            return this.visit(cst);
+        } finally {
+            this._visitor._letBindings = null;
+        }
+    }
+
     /**
      * Transpile a program (multiple statements) to execution plan
      */
     transpileProgram(cst) {
-        const statements = this.visit(cst);
+        const statements = this.visitWithLetScope(cst);
         const executionPlan = {
             type: 'program',
             statements: [],
@@ -67,7 +80,7 @@ export class Transpiler {
      * Transpile a single statement (backward compatibility)
      */
     transpileStatement(cst) {
-        const stmt = this.visit(cst);
+        const stmt = this.visitWithLetScope(cst);
         return {
             type: 'statement',
             statement: stmt,
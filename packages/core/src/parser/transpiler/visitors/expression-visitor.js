@@ -1,5 +1,6 @@
 import { VisitorUtils } from '../core/base-visitor.js';
 import { ErrorUtils } from '../errors/transpiler-errors.js';
+import DurationParser from '../../../utils/duration-parser.js';
 
 // =============================================================================
 // EXPRESSION VISITOR MIXIN
@@ -17,7 +18,7 @@ export const ExpressionVisitorMixin = {
     },
 
     ternaryExpression(ctx) {
-        const condition = this.visit(ctx.orExpression[0]);
+        const condition = this.visit(ctx.coalesceExpression[0]);
         
         if (ctx.QuestionMark && ctx.trueExpression && ctx.falseExpression) {
             const trueExpr = this.visit(ctx.trueExpression[0]);
@@ -28,6 +29,17 @@ export const ExpressionVisitorMixin = {
         return condition;
     },
 
+    coalesceExpression(ctx) {
+        let result = this.visit(ctx.orExpression[0]);
+
+        for (let i = 1; i < ctx.orExpression.length; i++) {
+            const fallback = this.visit(ctx.orExpression[i]);
+            result = `(${result}) ?? (${fallback})`;
+        }
+
+        return result;
+    },
+
     orExpression(ctx) {
         let result = this.visit(ctx.andExpression[0]);
         
@@ -55,22 +67,118 @@ export const ExpressionVisitorMixin = {
     },
 
     // =============================================================================
-    // COMPARISON EXPRESSIONS (==, !=, <, >, <=, >=)
+    // COMPARISON EXPRESSIONS (==, !=, <, >, <=, >=, =~, has, in, between, ...)
     // =============================================================================
     
     comparisonExpression(ctx) {
         const left = this.visit(ctx.arithmeticExpression[0]);
+
+        if (ctx.inPredicate) {
+            return this.visit(ctx.inPredicate, left);
+        }
+        if (ctx.betweenPredicate) {
+            return this.visit(ctx.betweenPredicate, left);
+        }
+        if (ctx.regexPredicate) {
+            return this.visit(ctx.regexPredicate, left);
+        }
         
         if (ctx.arithmeticExpression.length === 1) {
             return left;
         }
         
         const right = this.visit(ctx.arithmeticExpression[1]);
-        const operator = this._getComparisonOperator(ctx);
+
+        const predicate = this._getStringPredicate(ctx);
+        if (predicate) {
+            const call = `functionRegistry.execute('${predicate.name}', [${left}, ${right}])`;
+            return predicate.negated ? `!${call}` : call;
+        }
+
+        let operator = this._getComparisonOperator(ctx);
+
+        // Missing fields compare equal to null
+        if ((operator === '===' || operator === '!==') && (left === 'null' || right === 'null')) {
+            operator = operator === '===' ? '==' : '!=';
+        }
         
         return `${left} ${operator} ${right}`;
     },
 
+    /**
+     * Case-insensitive string operators are evaluated by predicate functions
+     */
+    _getStringPredicate(ctx) {
+        const predicateMap = {
+            'EqualsTilde': { name: 'equals_ci', negated: false },
+            'NotTilde': { name: 'equals_ci', negated: true },
+            'Has': { name: 'has', negated: false },
+            'NotHas': { name: 'has', negated: true },
+            'Contains': { name: 'contains', negated: false },
+            'NotContains': { name: 'contains', negated: true },
+            'StartsWith': { name: 'startswith', negated: false },
+            'NotStartsWith': { name: 'startswith', negated: true },
+            'EndsWith': { name: 'endswith', negated: false },
+            'NotEndsWith': { name: 'endswith', negated: true }
+        };
+
+        for (const [tokenName, predicate] of Object.entries(predicateMap)) {
+            if (ctx[tokenName]) return predicate;
+        }
+        return null;
+    },
+
+    inPredicate(ctx, left) {
+        const items = ctx.listItem.map(item => this.visit(item));
+        const call = `functionRegistry.execute('in_list', [${left}, ${this._inListArgument(items)}])`;
+        return ctx.NotIn ? `!${call}` : call;
+    },
+
+    /**
+     * Lists of literals are passed as JSON text so the predicate can build their Set once,
+     * lists with expressions are evaluated for every document
+     */
+    _inListArgument(items) {
+        const literal = /^(?:"(?:[^"\\]|\\.)*"|'(?:[^'\\]|\\.)*'|[-+]?\d+(?:\.\d+)?|true|false|null)$/;
+        if (!items.every(item => literal.test(item))) {
+            return `[${items.join(', ')}]`;
+        }
+        const values = new Function(`return [${items.join(', ')}];`)();
+        return JSON.stringify(JSON.stringify(values));
+    },
+
+    betweenPredicate(ctx, left) {
+        const lower = this.visit(ctx.lower);
+        const upper = this.visit(ctx.upper);
+        const call = `functionRegistry.execute('between', [${left}, ${lower}, ${upper}])`;
+        return ctx.NotBetween ? `!${call}` : call;
+    },
+
+    regexPredicate(ctx, left) {
+        const pattern = this.visit(ctx.pattern);
+        this._checkConstantPattern(pattern);
+        return `functionRegistry.execute('matches_regex', [${left}, ${pattern}])`;
+    },
+
+    // A string literal pattern is compiled here, so an invalid one fails the statement
+    // instead of every document
+    _checkConstantPattern(patternCode) {
+        let pattern;
+        try {
+            pattern = JSON.parse(patternCode);
+        } catch {
+            return;
+        }
+        if (typeof pattern !== 'string') {
+            return;
+        }
+        try {
+            new RegExp(pattern);
+        } catch (error) {
+            throw new Error(`Invalid regex pattern ${patternCode}: ${error.message}`);
+        }
+    },
+
     _getComparisonOperator(ctx) {
         const operatorMap = {
             'Equals': '===',
@@ -167,23 +275,29 @@ export const ExpressionVisitorMixin = {
     primaryExpression(ctx) {
         let result = this.visit(ctx.atomicExpression);
         
-        // Handle member access chains: obj.prop, arr[index], etc.
-        if (ctx.index || ctx.property) {
-            const accessCount = Math.max(
-                ctx.index ? ctx.index.length : 0,
-                ctx.property ? ctx.property.length : 0
-            );
-            
-            for (let i = 0; i < accessCount; i++) {
-                if (ctx.index && ctx.index[i]) {
-                    // Array/object access: expr[index] - make it safe
-                    const index = this.visit(ctx.index[i]);
-                    result = `(${result} && Array.isArray(${result}) ? ${result}[${index}] : undefined)`;
-                } else if (ctx.property && ctx.property[i]) {
-                    // Property access: expr.property
-                    const property = VisitorUtils.getTokenImage(ctx.property[i]);
-                    result = `${result}.${property}`;
-                }
+        // Handle member access chains: obj.prop, arr[index], obj?.prop, obj?.[key]
+        // Accessors are applied in source order
+        const accessors = [
+            ...(ctx.index || []).map(node => ({ offset: node.location.startOffset, kind: 'index', node })),
+            ...(ctx.property || []).map(token => ({ offset: token.startOffset, kind: 'property', token })),
+            ...(ctx.optionalIndex || []).map(node => ({ offset: node.location.startOffset, kind: 'optionalIndex', node })),
+            ...(ctx.optionalProperty || []).map(token => ({ offset: token.startOffset, kind: 'optionalProperty', token }))
+        ].sort((a, b) => a.offset - b.offset);
+
+        for (const accessor of accessors) {
+            if (accessor.kind === 'index') {
+                // Array access: expr[index] - make it safe
+                const index = this.visit(accessor.node);
+                result = `(${result} && Array.isArray(${result}) ? ${result}[${index}] : undefined)`;
+            } else if (accessor.kind === 'property') {
+                // Property access: expr.property - make it safe
+                result = VisitorUtils.createSafeAccess(result, accessor.token.image);
+            } else if (accessor.kind === 'optionalIndex') {
+                // Null-safe access by index or key: expr?.[key]
+                result = `(${result})?.[${this.visit(accessor.node)}]`;
+            } else {
+                // Null-safe property access: expr?.property
+                result = `(${result})?.${accessor.token.image}`;
             }
         }
         
@@ -205,6 +319,8 @@ export const ExpressionVisitorMixin = {
             arrayLiteral: () => this.visit(ctx.arrayLiteral),
             stepVariable: () => this.visit(ctx.stepVariable),
             StringLiteral: () => VisitorUtils.getTokenImage(ctx.StringLiteral),
+            // Durations are milliseconds, like the difference of two datetimes
+            DurationLiteral: () => String(DurationParser.parse(VisitorUtils.getTokenImage(ctx.DurationLiteral)) * 1000),
             NumberLiteral: () => VisitorUtils.getTokenImage(ctx.NumberLiteral),
             BooleanLiteral: () => VisitorUtils.getTokenImage(ctx.BooleanLiteral)?.toLowerCase(),
             NullLiteral: () => 'null',
@@ -224,23 +340,37 @@ export const ExpressionVisitorMixin = {
     
     stepVariable(ctx) {
         const stepOrVariable = VisitorUtils.getTokenImage(ctx.stepOrVariable);
+        const lambdaParameter = this._lambdaParameters?.get(stepOrVariable);
         
         if (ctx.variableName) {
             const variableName = VisitorUtils.getTokenImage(ctx.variableName);
             
+            if (lambdaParameter) {
+                // Property of a lambda parameter, e.g. x.price in array_map(items, x => x.price)
+                return VisitorUtils.createSafeAccess(lambdaParameter, variableName);
+            }
             // Check if this is in scan context and stepOrVariable is a known step name
             if (this._currentStepNames && this._currentStepNames.includes(stepOrVariable)) {
                 // This is a step name in scan context - access from state
                 return `state.${stepOrVariable}.${variableName}`;
+            } else if (this._letBindings?.get(stepOrVariable)?.kind === 'scalar') {
+                // Property of a let-bound value, e.g. an object literal
+                return VisitorUtils.createSafeAccess(`(${this._letBindings.get(stepOrVariable).code})`, variableName);
             } else {
                 // This is a regular property access - use nested safeGet
                 return VisitorUtils.createSafeAccess('item', `${stepOrVariable}.${variableName}`);
             }
         } else {
+            if (lambdaParameter) {
+                return lambdaParameter;
+            }
             // Check if this is a step name in a scan context
             if (this._currentStepNames && this._currentStepNames.includes(stepOrVariable)) {
                 // This is a step name - access from state
                 return `state.${stepOrVariable}`;
+            } else if (this._letBindings?.get(stepOrVariable)?.kind === 'scalar') {
+                // Let bindings are substituted at transpile time
+                return `(${this._letBindings.get(stepOrVariable).code})`;
             } else {
                 // Check if this is a lookup first
                 // Generate code that checks lookup registry, then falls back to item property
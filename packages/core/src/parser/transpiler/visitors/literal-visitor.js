@@ -1,5 +1,6 @@
 import { VisitorUtils } from '../core/base-visitor.js';
 import { ErrorUtils } from '../errors/transpiler-errors.js';
+import { parseDatetime } from '../../../utils/datetime-utils.js';
 
 // =============================================================================
 // LITERAL VISITOR MIXIN
@@ -155,7 +156,7 @@ export const LiteralVisitorMixin = {
             return VisitorUtils.getTokenImage(ctx.StringLiteral); // Already quoted
         } else {
             // Handle keyword tokens used as property keys
-            const keywordTokens = ['Step', 'Sum', 'Count', 'And', 'Or', 'Not', 'Where', 'Select', 'Scan', 'Group'];
+            const keywordTokens = ['Step', 'Sum', 'Count', 'And', 'Or', 'Not', 'Where', 'Select', 'Scan', 'Group', 'Join', 'Within', 'Union', 'MvExpand', 'WithItemIndex', 'Limit', 'Distinct', 'Top', 'Asc', 'Desc', 'Reorder', 'Order', 'MaxDelay', 'MaxBuffer', 'Parse', 'With', 'Throttle', 'Sample', 'Per', 'Fork', 'Tee', 'In', 'Between', 'Has', 'Contains', 'StartsWith', 'EndsWith', 'Matches', 'Regex', 'Case', 'Switch', 'View', 'Let'];
             for (const tokenType of keywordTokens) {
                 if (ctx[tokenType]) {
                     const keyName = VisitorUtils.getTokenImage(ctx[tokenType]);
@@ -203,6 +204,10 @@ export const LiteralVisitorMixin = {
     functionCall(ctx) {
         if (ctx.iffFunction) {
             return this.visit(ctx.iffFunction);
+        } else if (ctx.caseFunction) {
+            return this.visit(ctx.caseFunction);
+        } else if (ctx.switchFunction) {
+            return this.visit(ctx.switchFunction);
         } else if (ctx.emitFunction) {
             return this.visit(ctx.emitFunction);
         } else if (ctx.scalarFunction) {
@@ -219,6 +224,41 @@ export const LiteralVisitorMixin = {
         return `(${condition} ? ${trueValue} : ${falseValue})`;
     },
 
+    // case(c1, v1, c2, v2, else) becomes (c1 ? v1 : (c2 ? v2 : else)), so only the chosen value is evaluated
+    caseFunction(ctx) {
+        const args = ctx.caseArgument.map(argument => this.visit(argument));
+        if (args.length < 3 || args.length % 2 === 0) {
+            throw new Error(`case() expects condition/value pairs followed by an else value, got ${args.length} arguments`);
+        }
+
+        let result = args[args.length - 1];
+        for (let i = args.length - 3; i >= 0; i -= 2) {
+            result = `(${args[i]} ? ${args[i + 1]} : ${result})`;
+        }
+        return result;
+    },
+
+    // The subject is evaluated once and compared against each arm in order; without a _ arm the result is null
+    switchFunction(ctx) {
+        const subject = this.visit(ctx.subject);
+        const arms = ctx.switchArm.map(arm => arm.children);
+
+        const defaultIndex = arms.findIndex(arm => arm.defaultArm);
+        if (defaultIndex !== -1 && defaultIndex !== arms.length - 1) {
+            throw new Error('switch default arm _ must be the last arm');
+        }
+
+        let result = defaultIndex === -1 ? 'null' : this.visit(arms[defaultIndex].value);
+        for (let i = arms.length - 1; i >= 0; i--) {
+            if (i === defaultIndex) continue;
+            const pattern = this.visit(arms[i].pattern);
+            // Missing fields are undefined, so null matches them too
+            const test = pattern === 'null' ? 'switch_value == null' : `switch_value === ${pattern}`;
+            result = `(${test} ? ${this.visit(arms[i].value)} : ${result})`;
+        }
+        return `((switch_value) => ${result})(${subject})`;
+    },
+
     emitFunction(ctx) {
         if (ctx.argumentList) {
             // Process arguments - should be a single object literal
@@ -272,13 +312,56 @@ export const LiteralVisitorMixin = {
         const functionName = VisitorUtils.getTokenImage(ctx.functionName);
         if (ctx.argumentList) {
             const args = this.visit(ctx.argumentList);
+            if (functionName === 'datetime') {
+                const literal = this._datetimeLiteral(args);
+                if (literal !== null) return literal;
+            }
             return `functionRegistry.execute('${functionName}', [${args}])`;
         }
         return `functionRegistry.execute('${functionName}', [])`;
     },
 
+    /**
+     * datetime("2024-01-15T10:00Z") with a string literal is resolved to epoch milliseconds
+     * while transpiling, so invalid literals are reported before the flow runs
+     */
+    _datetimeLiteral(args) {
+        if (!/^(?:"(?:[^"\\]|\\.)*"|'(?:[^'\\]|\\.)*')$/.test(args)) {
+            return null;
+        }
+        const text = new Function(`return ${args};`)();
+        const datetime = parseDatetime(text);
+        if (datetime === null) {
+            throw new Error(`Invalid datetime literal ${args}, expected ISO 8601 such as "2024-01-15T10:00Z"`);
+        }
+        return String(datetime);
+    },
+
     argumentList(ctx) {
-        return VisitorUtils.visitArray(this, ctx.expression);
+        if (!ctx.lambdaExpression && !ctx.rowArgument) {
+            return VisitorUtils.visitArray(this, ctx.expression);
+        }
+        return VisitorUtils.orderedArguments({ children: ctx })
+            .map(node => node.tokenType ? 'item' : this.visit(node))
+            .join(', ');
+    },
+
+    /**
+     * Lambdas become JavaScript arrow functions; inside the body the parameter
+     * shadows document fields and lookups of the same name
+     */
+    lambdaExpression(ctx) {
+        const parameter = VisitorUtils.getTokenImage(ctx.parameter);
+        const jsParameter = `lambda_${parameter}`;
+
+        const outerParameters = this._lambdaParameters;
+        this._lambdaParameters = new Map(outerParameters);
+        this._lambdaParameters.set(parameter, jsParameter);
+        try {
+            return `((${jsParameter}) => ${this.visit(ctx.body)})`;
+        } finally {
+            this._lambdaParameters = outerParameters;
+        }
     },
 
     // =============================================================================
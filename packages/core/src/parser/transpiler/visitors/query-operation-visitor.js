@@ -1,11 +1,28 @@
 import { VisitorUtils } from '../core/base-visitor.js';
 import { ErrorUtils } from '../errors/transpiler-errors.js';
+import DurationParser from '../../../utils/duration-parser.js';
 
 // =============================================================================
 // QUERY OPERATION VISITOR MIXIN
 // =============================================================================
 // Handles WHERE, SELECT, PROJECT, SUMMARIZE, SCAN operations
 
+// * argument: the whole row being aggregated
+const ROW_ARGUMENT = "new AggregationExpression('*', [])";
+
+// Comparison operators and the scalar functions evaluating them in aggregation expressions
+const COMPARISON_FUNCTIONS = {
+    Equals: 'eq',
+    NotEquals: 'ne',
+    LessThan: 'lt',
+    GreaterThan: 'gt',
+    LessEquals: 'le',
+    GreaterEquals: 'ge'
+};
+
+// Aggregations whose extra arguments select fields of the row they pick
+const ROW_SELECTING_AGGREGATIONS = ['arg_min', 'arg_max'];
+
 export const QueryOperationVisitorMixin = {
 
     // =============================================================================
@@ -18,6 +35,16 @@ export const QueryOperationVisitorMixin = {
             selectClause: () => this.visit(ctx.selectClause),
             scanClause: () => this.visit(ctx.scanClause),
             summarizeClause: () => this.visit(ctx.summarizeClause),
+            joinClause: () => this.visit(ctx.joinClause),
+            lookupClause: () => this.visit(ctx.lookupClause),
+            mvExpandClause: () => this.visit(ctx.mvExpandClause),
+            distinctClause: () => this.visit(ctx.distinctClause),
+            topClause: () => this.visit(ctx.topClause),
+            reorderClause: () => this.visit(ctx.reorderClause),
+            parseClause: () => this.visit(ctx.parseClause),
+            throttleClause: () => this.visit(ctx.throttleClause),
+            sampleClause: () => this.visit(ctx.sampleClause),
+            forkClause: () => this.visit(ctx.forkClause),
             insertIntoClause: () => this.visit(ctx.insertIntoClause),
             writeToFileClause: () => this.visit(ctx.writeToFileClause),
             assertOrSaveExpectedClause: () => this.visit(ctx.assertOrSaveExpectedClause)
@@ -133,7 +160,24 @@ export const QueryOperationVisitorMixin = {
             emitSpec = this.visit(ctx.emitClause);
         }
         
-        return `.pipe(Operators.createSummarizeOperator(${aggregationObject}, ${groupByCallback}, ${windowSpec}, ${emitSpec}, ${windowVariableName}))`;
+        let topSpec = 'null';
+        if (ctx.topSpecification) {
+            const { count, rankExtractor, descending } = this.visit(ctx.topSpecification);
+            topSpec = `{ count: ${count}, rankExtractor: ${rankExtractor}, descending: ${descending} }`;
+
+            // top ... per window ranks the groups of each window as it closes
+            if (ctx.topScope) {
+                const scope = VisitorUtils.getTokenImage(ctx.topScope);
+                if (scope.toLowerCase() !== 'window') {
+                    throw new Error(`Expected 'per window' after top, got 'per ${scope}'`);
+                }
+                if (!ctx.windowDefinition) {
+                    throw new Error(`top ... per window needs a window, add one with: over w = tumbling_window(...)`);
+                }
+            }
+        }
+        
+        return `.pipe(Operators.createSummarizeOperator(${aggregationObject}, ${groupByCallback}, ${windowSpec}, ${emitSpec}, ${windowVariableName}, ${topSpec}))`;
     },
 
     aggregationObject(ctx) {
@@ -303,10 +347,33 @@ export const QueryOperationVisitorMixin = {
             return this._handleTermBinaryOp(ctx);
         }
 
+        // Logical and comparison operators become scalar calls, so predicates such as
+        // countif(level == "error" && status >= 500) are evaluated for every document
+        if (ctx.name === 'orExpression' && ctx.children.andExpression.length > 1) {
+            const operands = ctx.children.andExpression.map(operand => this._convertCSTToAggregationExpression(operand));
+            return `new AggregationExpression('or', [${operands.join(', ')}])`;
+        }
+        if (ctx.name === 'andExpression' && ctx.children.comparisonExpression.length > 1) {
+            const operands = ctx.children.comparisonExpression.map(operand => this._convertCSTToAggregationExpression(operand));
+            return `new AggregationExpression('and', [${operands.join(', ')}])`;
+        }
+        if (ctx.name === 'comparisonExpression' && (ctx.children.arithmeticExpression.length > 1 ||
+            ctx.children.inPredicate || ctx.children.betweenPredicate || ctx.children.regexPredicate)) {
+            return this._convertComparisonToAggregationExpression(ctx.children);
+        }
+
         // Navigate through expression hierarchy
         if (ctx.children.ternaryExpression) {
             return this._convertCSTToAggregationExpression(ctx.children.ternaryExpression[0]);
         }
+        if (ctx.children.coalesceExpression) {
+            return this._convertCSTToAggregationExpression(ctx.children.coalesceExpression[0]);
+        }
+        // a ?? b in aggregation expressions
+        if (ctx.name === 'coalesceExpression' && ctx.children.orExpression.length > 1) {
+            const args = ctx.children.orExpression.map(operand => this._convertCSTToAggregationExpression(operand));
+            return `new AggregationExpression('coalesce', [${args.join(', ')}])`;
+        }
         if (ctx.children.orExpression) {
             return this._convertCSTToAggregationExpression(ctx.children.orExpression[0]);
         }
@@ -330,6 +397,18 @@ export const QueryOperationVisitorMixin = {
             return this._convertCSTToAggregationExpression(ctx.children.atomicExpression[0]);
         }
 
+        // Nested objects and arrays; AggregationObject finds the expressions at any depth
+        if (ctx.children.objectLiteral) {
+            return this._convertObjectLiteralToAggregationSpec(ctx.children.objectLiteral[0]);
+        }
+        if (ctx.children.arrayLiteral) {
+            const elementList = ctx.children.arrayLiteral[0].children.elementList;
+            const elements = elementList
+                ? elementList[0].children.expression.map(element => this._convertCSTToAggregationExpression(element))
+                : [];
+            return `[${elements.join(', ')}]`;
+        }
+
         // Handle literals directly from atomic expressions
         if (ctx.children.NumberLiteral) {
             return ctx.children.NumberLiteral[0].image;
@@ -347,19 +426,32 @@ export const QueryOperationVisitorMixin = {
         // Handle function calls
         if (ctx.children.functionCall) {
             const funcCall = ctx.children.functionCall[0];
+            if (funcCall.children.caseFunction) {
+                return this._convertCaseToAggregationExpression(funcCall.children.caseFunction[0].children);
+            }
+            if (funcCall.children.switchFunction) {
+                return this._convertSwitchToAggregationExpression(funcCall.children.switchFunction[0].children);
+            }
             if (funcCall.children && funcCall.children.scalarFunction) {
                 const scalarFunc = funcCall.children.scalarFunction[0];
                 const funcName = this._getFunctionName(scalarFunc);
                 
-                const args = [];
+                let args = [];
                 if (scalarFunc.children && scalarFunc.children.argumentList) {
-                    const argList = scalarFunc.children.argumentList[0];
-                    if (argList.children && argList.children.expression) {
-                        for (const argCtx of argList.children.expression) {
+                    for (const argCtx of VisitorUtils.orderedArguments(scalarFunc.children.argumentList[0])) {
+                        if (argCtx.tokenType) {
+                            args.push(ROW_ARGUMENT);
+                        } else if (argCtx.name === 'lambdaExpression') {
+                            // Lambdas are passed to the scalar function as JavaScript functions
+                            args.push(this.visit(argCtx));
+                        } else {
                             args.push(this._convertCSTToAggregationExpression(argCtx));
                         }
                     }
                 }
+                if (ROW_SELECTING_AGGREGATIONS.includes(funcName.toLowerCase())) {
+                    args = this._rowSelectionArgs(funcName, args);
+                }
                 
                 return `new AggregationExpression('${funcName}', [${args.join(', ')}])`;
             }
@@ -373,7 +465,9 @@ export const QueryOperationVisitorMixin = {
             // stepOrVariable is actually the token itself, not a CST node
             const token = ctx.children.stepOrVariable[0];
             if (token && token.image) {
-                return `new AggregationExpression('safeGet', ['${token.image}'])`;
+                // Nested field: group.key
+                const path = ctx.children.variableName ? `${token.image}.${ctx.children.variableName[0].image}` : token.image;
+                return `new AggregationExpression('safeGet', ['${path}'])`;
             }
             return this._convertCSTToAggregationExpression(token);
         }
@@ -391,6 +485,116 @@ export const QueryOperationVisitorMixin = {
         return 'null';
     },
 
+    _convertComparisonToAggregationExpression(children) {
+        const left = this._convertCSTToAggregationExpression(children.arithmeticExpression[0]);
+        let call;
+        let negated = false;
+
+        if (children.inPredicate) {
+            const predicate = children.inPredicate[0].children;
+            const items = predicate.listItem.map(item => this._convertCSTToAggregationExpression(item));
+            const list = this._inListArgument(items);
+            if (list.startsWith('[')) {
+                throw new Error('in lists inside summarize aggregations must contain only literals');
+            }
+            call = `new AggregationExpression('in_list', [${left}, ${list}])`;
+            negated = !!predicate.NotIn;
+        } else if (children.betweenPredicate) {
+            const predicate = children.betweenPredicate[0].children;
+            const lower = this._convertCSTToAggregationExpression(predicate.lower[0]);
+            const upper = this._convertCSTToAggregationExpression(predicate.upper[0]);
+            call = `new AggregationExpression('between', [${left}, ${lower}, ${upper}])`;
+            negated = !!predicate.NotBetween;
+        } else if (children.regexPredicate) {
+            const pattern = this._convertCSTToAggregationExpression(children.regexPredicate[0].children.pattern[0]);
+            this._checkConstantPattern(pattern);
+            call = `new AggregationExpression('matches_regex', [${left}, ${pattern}])`;
+        } else {
+            const right = this._convertCSTToAggregationExpression(children.arithmeticExpression[1]);
+            const stringPredicate = this._getStringPredicate(children);
+            const functionName = stringPredicate
+                ? stringPredicate.name
+                : COMPARISON_FUNCTIONS[Object.keys(COMPARISON_FUNCTIONS).find(tokenName => children[tokenName])];
+            call = `new AggregationExpression('${functionName}', [${left}, ${right}])`;
+            negated = !!stringPredicate?.negated;
+        }
+
+        return negated ? `new AggregationExpression('not', [${call}])` : call;
+    },
+
+    // case(c1, v1, ..., else) keeps its arguments, the conditional action evaluates only the chosen value
+    _convertCaseToAggregationExpression(children) {
+        const args = children.caseArgument.map(argument => this._convertCSTToAggregationExpression(argument));
+        if (args.length < 3 || args.length % 2 === 0) {
+            throw new Error(`case() expects condition/value pairs followed by an else value, got ${args.length} arguments`);
+        }
+        return `new AggregationExpression('case', [${args.join(', ')}])`;
+    },
+
+    // switch(s) { p1 => v1, ..., _ => d } becomes [s, p1, v1, ..., d]; without a _ arm d is null
+    _convertSwitchToAggregationExpression(children) {
+        const arms = children.switchArm.map(arm => arm.children);
+        const defaultIndex = arms.findIndex(arm => arm.defaultArm);
+        if (defaultIndex !== -1 && defaultIndex !== arms.length - 1) {
+            throw new Error('switch default arm _ must be the last arm');
+        }
+
+        const args = [this._convertCSTToAggregationExpression(children.subject[0])];
+        for (const arm of arms) {
+            if (!arm.defaultArm) {
+                args.push(this._convertCSTToAggregationExpression(arm.pattern[0]));
+                args.push(this._convertCSTToAggregationExpression(arm.value[0]));
+            }
+        }
+        args.push(defaultIndex === -1 ? 'null' : this._convertCSTToAggregationExpression(arms[defaultIndex].value[0]));
+        return `new AggregationExpression('switch', [${args.join(', ')}])`;
+    },
+
+    _convertObjectLiteralToAggregationSpec(objectCtx) {
+        const propertyList = objectCtx.children.propertyList;
+        if (!propertyList) return '{}';
+
+        const properties = propertyList[0].children.property.map(property => {
+            const { propertyKey, propertyValue, shorthandProperty } = property.children;
+            if (propertyKey) {
+                return `${this.visit(propertyKey)}: ${this._convertCSTToAggregationExpression(propertyValue[0])}`;
+            }
+            if (shorthandProperty) {
+                const identifier = shorthandProperty[0].image;
+                return `${identifier}: new AggregationExpression('safeGet', ['${identifier}'])`;
+            }
+            throw new Error('Spreads and exclusions are only supported at the top level of a summarize aggregation');
+        });
+        return `{ ${properties.join(', ')} }`;
+    },
+
+    /**
+     * arg_min/arg_max(expr, field1, field2) return the named fields of the extreme row,
+     * so the fields are packed into an object keyed by their names. Without fields,
+     * or with *, the whole row is returned.
+     */
+    _rowSelectionArgs(funcName, args) {
+        const [value, ...selection] = args;
+        if (selection.length === 0) {
+            return [value, ROW_ARGUMENT];
+        }
+        if (selection.length === 1 && selection[0] === ROW_ARGUMENT) {
+            return args;
+        }
+
+        const pairs = [];
+        for (const arg of args) {
+            const field = /^new AggregationExpression\('safeGet', \['([^']+)'\]\)$/.exec(arg);
+            if (field) {
+                pairs.push(`'${field[1].split('.').pop()}'`, arg);
+            } else if (arg !== value) {
+                throw new Error(`${funcName}() selects fields by name or *, e.g. ${funcName}(temp, sensor, ts)`);
+            }
+            // A computed value has no name and is not included
+        }
+        return [value, `new AggregationExpression('bag_pack', [${pairs.join(', ')}])`];
+    },
+
     _handleArithmeticBinaryOp(ctx) {
         // Handle + and - operations
         const terms = ctx.children.termExpression || [];
@@ -676,6 +880,276 @@ export const QueryOperationVisitorMixin = {
         return `${functionCall};`;
     },
 
+    // =============================================================================
+    // JOIN CLAUSE
+    // =============================================================================
+
+    joinClause(ctx) {
+        let kind = 'inner';
+        if (ctx.kindKeyword) {
+            const keyword = VisitorUtils.getTokenImage(ctx.kindKeyword);
+            if (keyword.toLowerCase() !== 'kind') {
+                throw new Error(`Unexpected '${keyword}' in join, expected kind=inner or kind=leftouter`);
+            }
+            kind = VisitorUtils.getTokenImage(ctx.joinKind).toLowerCase();
+        }
+
+        const rightStream = VisitorUtils.getTokenImage(ctx.rightStream);
+        const keyExpression = this.visit(ctx.keyExpression);
+
+        const options = [`kind: '${kind}'`];
+        if (ctx.windowDuration) {
+            const windowMs = DurationParser.parse(VisitorUtils.getTokenImage(ctx.windowDuration)) * 1000;
+            options.push(`windowMs: ${windowMs}`);
+        } else if (ctx.windowCount) {
+            options.push(`windowCount: ${VisitorUtils.getTokenImage(ctx.windowCount)}`);
+        }
+        if (ctx.timeExpression) {
+            const timeExpression = this.visit(ctx.timeExpression);
+            options.push(`timeExtractor: (item) => ${timeExpression}`);
+        }
+
+        return `.pipe(new Operators.Join('${rightStream}', (item) => ${keyExpression}, { ${options.join(', ')} }))`;
+    },
+
+    // =============================================================================
+    // LOOKUP CLAUSE
+    // =============================================================================
+
+    lookupClause(ctx) {
+        const lookupName = VisitorUtils.getTokenImage(ctx.lookupName);
+        const keyField = VisitorUtils.getTokenImage(ctx.keyField);
+        const rowKeyField = ctx.rowKeyField ? VisitorUtils.getTokenImage(ctx.rowKeyField) : keyField;
+
+        const options = (ctx.lookupOption || []).map(option => this.visit(option));
+
+        return `.pipe(new Operators.Lookup('${lookupName}', () => functionRegistry.getLookup('${lookupName}'), ` +
+            `(item) => ${VisitorUtils.createSafeAccess('item', keyField)}, '${rowKeyField}', { ${options.join(', ')} }))`;
+    },
+
+    lookupOption(ctx) {
+        const name = VisitorUtils.getTokenImage(ctx.optionName).toLowerCase();
+        if (!['kind', 'prefix', 'namespace'].includes(name)) {
+            throw new Error(`Unknown lookup option '${name}'. Supported options: kind, prefix, namespace`);
+        }
+
+        const token = ctx.optionValue[0];
+        const value = token.tokenType.name === 'StringLiteral' ? token.image : `'${token.image}'`;
+        return `${name}: ${name === 'kind' ? value.toLowerCase() : value}`;
+    },
+
+    // =============================================================================
+    // MV_EXPAND CLAUSE
+    // =============================================================================
+
+    mvExpandClause(ctx) {
+        let targetField;
+        let arrayExpression;
+        if (ctx.targetField) {
+            targetField = VisitorUtils.getTokenImage(ctx.targetField);
+            arrayExpression = this.visit(ctx.arrayExpression);
+        } else {
+            // Expand a field in place
+            targetField = VisitorUtils.getTokenImage(ctx.arrayField);
+            arrayExpression = VisitorUtils.createSafeAccess('item', targetField);
+        }
+
+        const options = [];
+        if (ctx.indexField) {
+            options.push(`indexField: '${VisitorUtils.getTokenImage(ctx.indexField)}'`);
+        }
+        if (ctx.limit) {
+            const limit = Number(VisitorUtils.getTokenImage(ctx.limit));
+            if (!Number.isInteger(limit) || limit <= 0) {
+                throw new Error(`mv_expand limit must be a positive integer, got ${limit}`);
+            }
+            options.push(`limit: ${limit}`);
+        }
+
+        return `.pipe(new Operators.MvExpand('${targetField}', (item) => ${arrayExpression}, { ${options.join(', ')} }))`;
+    },
+
+    // =============================================================================
+    // DISTINCT CLAUSE
+    // =============================================================================
+
+    distinctClause(ctx) {
+        const keys = ctx.keyExpression.map(expression => this.visit(expression));
+        const keyExpression = keys.length === 1 ? keys[0] : `[${keys.join(', ')}]`;
+
+        const options = [];
+        if (ctx.windowDuration) {
+            const windowMs = DurationParser.parse(VisitorUtils.getTokenImage(ctx.windowDuration)) * 1000;
+            options.push(`windowMs: ${windowMs}`);
+        }
+
+        return `.pipe(new Operators.Distinct((item) => ${keyExpression}, { ${options.join(', ')} }))`;
+    },
+
+    // =============================================================================
+    // TOP CLAUSE
+    // =============================================================================
+
+    topClause(ctx) {
+        const { count, rankExtractor, descending } = this.visit(ctx.topSpecification);
+
+        const options = [`descending: ${descending}`];
+        if (ctx.period) {
+            const periodMs = DurationParser.parse(VisitorUtils.getTokenImage(ctx.period)) * 1000;
+            options.push(`periodMs: ${periodMs}`);
+        }
+
+        return `.pipe(new Operators.Top(${count}, ${rankExtractor}, { ${options.join(', ')} }))`;
+    },
+
+    topSpecification(ctx) {
+        const count = Number(VisitorUtils.getTokenImage(ctx.count));
+        if (!Number.isInteger(count) || count <= 0) {
+            throw new Error(`top count must be a positive integer, got ${count}`);
+        }
+
+        const rankExpression = this.visit(ctx.rankExpression);
+        const direction = ctx.direction ? VisitorUtils.getTokenImage(ctx.direction).toLowerCase() : 'desc';
+
+        return {
+            count,
+            rankExtractor: `(item) => ${rankExpression}`,
+            descending: direction === 'desc'
+        };
+    },
+
+    // =============================================================================
+    // REORDER CLAUSE
+    // =============================================================================
+
+    reorderClause(ctx) {
+        const keyExpression = this.visit(ctx.keyExpression);
+
+        // Sorter defaults: 100 buffered documents, 5 seconds
+        let maxBuffer = 100;
+        if (ctx.maxBuffer) {
+            maxBuffer = Number(VisitorUtils.getTokenImage(ctx.maxBuffer));
+            if (!Number.isInteger(maxBuffer) || maxBuffer <= 0) {
+                throw new Error(`reorder max_buffer must be a positive integer, got ${maxBuffer}`);
+            }
+        }
+        const maxDelayMs = ctx.maxDelay ? DurationParser.parse(VisitorUtils.getTokenImage(ctx.maxDelay)) * 1000 : 5000;
+
+        return `.pipe(new Operators.Sorter((item) => ${keyExpression}, ${maxBuffer}, ${maxDelayMs}))`;
+    },
+
+    // =============================================================================
+    // PARSE CLAUSE
+    // =============================================================================
+
+    parseClause(ctx) {
+        const sourceExpression = this.visit(ctx.sourceExpression);
+        const patternItems = ctx.parsePatternItem.map(item => this.visit(item));
+        const options = (ctx.parseOption || []).map(option => this.visit(option));
+
+        return `.pipe(new Operators.Parse((item) => ${sourceExpression}, [${patternItems.join(', ')}], { ${options.join(', ')} }))`;
+    },
+
+    parseOption(ctx) {
+        const name = VisitorUtils.getTokenImage(ctx.optionName).toLowerCase();
+        const token = ctx.optionValue[0];
+
+        switch (name) {
+            case 'kind':
+            case 'onfailure': {
+                const value = token.image.replace(/^["']|["']$/g, '').toLowerCase();
+                const allowed = name === 'kind' ? ['simple', 'regex'] : ['keep', 'drop'];
+                if (!allowed.includes(value)) {
+                    throw new Error(`Unsupported parse ${name} '${value}'. Supported values: ${allowed.join(', ')}`);
+                }
+                return `${name === 'kind' ? 'kind' : 'onFailure'}: '${value}'`;
+            }
+            case 'flags': {
+                const value = token.tokenType.name === 'StringLiteral' ? token.image : `'${token.image}'`;
+                return `flags: ${value}`;
+            }
+            default:
+                throw new Error(`Unknown parse option '${name}'. Supported options: kind, flags, onfailure`);
+        }
+    },
+
+    parsePatternItem(ctx) {
+        if (ctx.text) {
+            return `{ text: ${VisitorUtils.getTokenImage(ctx.text)} }`;
+        }
+        if (ctx.wildcard) {
+            return '{ wildcard: true }';
+        }
+
+        const column = VisitorUtils.getTokenImage(ctx.column);
+        const type = ctx.columnType ? VisitorUtils.getTokenImage(ctx.columnType).toLowerCase() : 'string';
+        return `{ column: '${column}', type: '${type}' }`;
+    },
+
+    // =============================================================================
+    // THROTTLE AND SAMPLE CLAUSES
+    // =============================================================================
+
+    throttleClause(ctx) {
+        const limit = Number(VisitorUtils.getTokenImage(ctx.limit));
+        if (!Number.isInteger(limit) || limit <= 0) {
+            throw new Error(`throttle limit must be a positive integer, got ${limit}`);
+        }
+        const periodMs = DurationParser.parse(VisitorUtils.getTokenImage(ctx.period)) * 1000;
+
+        let keyExtractor = 'null';
+        if (ctx.keyExpression) {
+            const keys = ctx.keyExpression.map(expression => this.visit(expression));
+            keyExtractor = `(item) => ${keys.length === 1 ? keys[0] : `[${keys.join(', ')}]`}`;
+        }
+
+        const options = (ctx.throttleOption || []).map(option => this.visit(option));
+
+        return `.pipe(new Operators.Throttle(${limit}, ${periodMs}, ${keyExtractor}, { ${options.join(', ')} }))`;
+    },
+
+    throttleOption(ctx) {
+        const name = VisitorUtils.getTokenImage(ctx.optionName).toLowerCase();
+        if (name !== 'mode') {
+            throw new Error(`Unknown throttle option '${name}'. Supported options: mode`);
+        }
+
+        const value = VisitorUtils.getTokenImage(ctx.optionValue).toLowerCase();
+        if (!['drop', 'latest'].includes(value)) {
+            throw new Error(`Unsupported throttle mode '${value}'. Supported modes: drop, latest`);
+        }
+        return `mode: '${value}'`;
+    },
+
+    sampleClause(ctx) {
+        if (ctx.every) {
+            const every = Number(VisitorUtils.getTokenImage(ctx.every));
+            if (!Number.isInteger(every) || every <= 0) {
+                throw new Error(`sample every must be a positive integer, got ${every}`);
+            }
+            return `.pipe(new Operators.Sample({ every: ${every} }))`;
+        }
+
+        const rate = Number(VisitorUtils.getTokenImage(ctx.rate));
+        if (!(rate > 0 && rate <= 1)) {
+            throw new Error(`sample rate must be between 0 and 1, got ${rate}`);
+        }
+        return `.pipe(new Operators.Sample({ rate: ${rate} }))`;
+    },
+
+    // =============================================================================
+    // FORK CLAUSE
+    // =============================================================================
+
+    forkClause(ctx) {
+        const branches = ctx.forkBranch.map(branch => `(branch) => branch${this.visit(branch)}`);
+        return `.pipe(new Operators.Fork([${branches.join(', ')}]))`;
+    },
+
+    forkBranch(ctx) {
+        return ctx.operation.map(operation => this.visit(operation)).join('');
+    },
+
     // =============================================================================
     // insert into, write to file, assert or save expected
     // =============================================================================
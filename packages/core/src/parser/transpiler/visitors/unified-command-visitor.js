@@ -41,6 +41,12 @@ export const UnifiedCommandVisitorMixin = {
     },
 
     programStatement(ctx) {
+        // Let bindings are resolved while transpiling and produce no statement
+        if (ctx.letStatement) {
+            this.visit(ctx.letStatement);
+            return null;
+        }
+
         // Determine statement type and visit accordingly
         const statementTypes = [
             'createStatement', 'deleteStatement', 'insertStatement', 'flushStatement', 
@@ -71,7 +77,7 @@ export const UnifiedCommandVisitorMixin = {
             modifier = 'if_not_exists';
         }
 
-        // Check if it's a stream or flow creation
+        // Check if it's a stream, flow, view or lookup creation
         if (ctx.streamName) {
             const streamName = VisitorUtils.getTokenImage(ctx.streamName);
             return {
@@ -82,9 +88,10 @@ export const UnifiedCommandVisitorMixin = {
         } else if (ctx.flowName) {
             const flowName = VisitorUtils.getTokenImage(ctx.flowName);
             
+            // The duration is parsed from its source, transpiled durations are plain milliseconds
             let ttlExpression = null;
             if (ctx.ttlExpression) {
-                ttlExpression = this.visit(ctx.ttlExpression);
+                ttlExpression = VisitorUtils.sourceText(ctx.ttlExpression[0]);
             }
 
             const flowQuery = this.visit(ctx.flowQuery);
@@ -96,6 +103,13 @@ export const UnifiedCommandVisitorMixin = {
                 ttlExpression,
                 flowQuery
             };
+        } else if (ctx.viewName) {
+            return {
+                command: 'create_view',
+                viewName: VisitorUtils.getTokenImage(ctx.viewName),
+                modifier,
+                viewQuery: this.visit(ctx.viewQuery)
+            };
         } else if (ctx.lookupName) {
             const lookupName = VisitorUtils.getTokenImage(ctx.lookupName);
             const lookupValue = this.visit(ctx.lookupValue);
@@ -127,6 +141,11 @@ export const UnifiedCommandVisitorMixin = {
                 command: 'delete_lookup',
                 lookupName: VisitorUtils.getTokenImage(ctx.lookupName)
             };
+        } else if (ctx.viewName) {
+            return {
+                command: 'delete_view',
+                viewName: VisitorUtils.getTokenImage(ctx.viewName)
+            };
         }
         return null;
     },
@@ -158,7 +177,8 @@ export const UnifiedCommandVisitorMixin = {
     listStatement(ctx) {
         let target = 'streams'; // default
         if (ctx.target) {
-            const targetToken = VisitorUtils.getTokenImage(ctx.target);
+            // Plurals like "flows" come in as identifiers
+            const targetToken = VisitorUtils.getTokenImage(ctx.target).replace(/s$/, '');
             if (targetToken === 'flow') {
                 target = 'flows';
             } else if (targetToken === 'stream') {
@@ -176,13 +196,17 @@ export const UnifiedCommandVisitorMixin = {
 
     infoStatement(ctx) {
         let streamName = null;
+        let flowName = null;
         if (ctx.streamName) {
             streamName = VisitorUtils.getTokenImage(ctx.streamName);
+        } else if (ctx.flowName) {
+            flowName = VisitorUtils.getTokenImage(ctx.flowName);
         }
 
         return {
             command: 'info',
-            streamName
+            streamName,
+            flowName
         };
     },
 
@@ -204,14 +228,39 @@ export const UnifiedCommandVisitorMixin = {
         };
     },
 
+    // =============================================================================
+    // LET BINDINGS
+    // =============================================================================
+
+    letStatement(ctx) {
+        const name = VisitorUtils.getTokenImage(ctx.bindingName);
+        if (this._letBindings.has(name)) {
+            throw new Error(`'${name}' is already bound by let in this script`);
+        }
+
+        // Bindings are visited here, so they may refer to earlier bindings
+        if (ctx.bindingQuery) {
+            this._letBindings.set(name, { kind: 'query', query: this.visit(ctx.bindingQuery) });
+        } else {
+            this._letBindings.set(name, { kind: 'scalar', code: this.visit(ctx.bindingValue) });
+        }
+    },
+
     // =============================================================================
     // PIPELINE QUERIES
     // =============================================================================
 
     pipelineQuery(ctx) {
-        const source = this.visit(ctx.source);
+        let source = this.visit(ctx.source);
         const operations = [];
 
+        // A source bound to a sub-query by let expands to the sub-query's source and operations
+        const binding = source.union ? null : this._letBindings?.get(source.sourceName);
+        if (binding?.kind === 'query') {
+            source = binding.query.source;
+            operations.push(...binding.query.operations);
+        }
+
         if (ctx.operation) {
             for (const op of ctx.operation) {
                 operations.push(this.visit(op));
@@ -226,6 +275,10 @@ export const UnifiedCommandVisitorMixin = {
     },
 
     source(ctx) {
+        if (ctx.unionSource) {
+            return this.visit(ctx.unionSource);
+        }
+
         // Extract source name from the sourceName token
         if (ctx.sourceName) {
             const sourceName = VisitorUtils.getTokenImage(ctx.sourceName);
@@ -234,5 +287,44 @@ export const UnifiedCommandVisitorMixin = {
             };
         }
         return null;
+    },
+
+    unionSource(ctx) {
+        let sourceField = null;
+        if (ctx.withSourceKeyword) {
+            const keyword = VisitorUtils.getTokenImage(ctx.withSourceKeyword);
+            if (keyword.toLowerCase() !== 'withsource') {
+                throw new Error(`Unexpected '${keyword}' in union, expected withsource or a stream list`);
+            }
+            sourceField = ctx.sourceField ? VisitorUtils.getTokenImage(ctx.sourceField) : '$stream';
+        }
+
+        const streams = ctx.unionStreamPattern.map(pattern => this.visit(pattern));
+        for (const stream of streams) {
+            if (this._letBindings?.get(stream)?.kind === 'query') {
+                throw new Error(`let sub-query '${stream}' cannot be used in a union, use it as the flow source instead`);
+            }
+        }
+
+        return {
+            sourceName: `union(${streams.join(', ')})`,
+            union: {
+                streams,
+                sourceField
+            }
+        };
+    },
+
+    unionStreamPattern(ctx) {
+        const streamName = ctx.streamName[0];
+        if (!ctx.wildcard) {
+            return streamName.image;
+        }
+
+        // The wildcard must directly follow the name: sensors_*
+        if (ctx.wildcard[0].startOffset !== streamName.endOffset + 1) {
+            throw new Error(`Invalid stream pattern '${streamName.image} *' in union, use '${streamName.image}*'`);
+        }
+        return `${streamName.image}*`;
     }
 };
\ No newline at end of file
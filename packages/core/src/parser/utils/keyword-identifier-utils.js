@@ -12,12 +12,13 @@
 // This provides maximum flexibility while maintaining unambiguous parsing.
 
 import { 
-    Where, Select, Scan, Summarize, InsertInto, WriteToFile, AssertOrSaveExpected,
-    By, Over, Step, Iff, Emit, Every, When, On, Change, Group, Update, Using,
+    Union, Where, Select, Scan, Summarize, InsertInto, WriteToFile, AssertOrSaveExpected, Join, MvExpand, Distinct, Top, Reorder, Order, Parse, Throttle, Sample, Fork, Tee,
+    By, Over, Step, Within, WithItemIndex, With, Limit, Per, Asc, Desc, MaxDelay, MaxBuffer, Iff, Case, Switch, Emit, Every, When, On, Change, Group, Update, Using,
+    In, Between, Has, Contains, StartsWith, EndsWith, Matches, Regex,
     HoppingWindow, TumblingWindow, SlidingWindow, CountWindow,
     HoppingWindowBy, TumblingWindowBy, SlidingWindowBy, SessionWindow, As,
-    Create, Or, Replace, If, Not, Exists, Stream, Flow, Delete, Insert, Into,
-    Flush, List, Info, Subscribe, Unsubscribe, Ttl
+    Create, Or, Replace, If, Not, Exists, Stream, Flow, View, Delete, Insert, Into,
+    Flush, List, Info, Subscribe, Unsubscribe, Ttl, Let
 } from '../tokens/keyword-tokens.js';
 import { Identifier } from '../tokens/core-tokens.js';
 import { StringLiteral } from '../tokens/literal-tokens.js';
@@ -29,16 +30,35 @@ import { StringLiteral } from '../tokens/literal-tokens.js';
 // Keywords that can be used as identifiers in most contexts
 export const IDENTIFIER_SAFE_KEYWORDS = [
     // Query operations
-    Where, Select, Scan, Summarize, InsertInto, WriteToFile, AssertOrSaveExpected,
-    By, Over, Step, Iff, Emit, Every, When, On, Change, Group, Update, Using,
+    Union, Where, Select, Scan, Summarize, InsertInto, WriteToFile, AssertOrSaveExpected, Join, MvExpand, Distinct, Top, Reorder, Order, Parse, Throttle, Sample, Fork, Tee,
+    By, Over, Step, Within, WithItemIndex, With, Limit, Per, Asc, Desc, MaxDelay, MaxBuffer, Iff, Case, Switch, Emit, Every, When, On, Change, Group, Update, Using,
+    In, Between, Has, Contains, StartsWith, EndsWith, Matches, Regex,
     
     // Window functions
     HoppingWindow, TumblingWindow, SlidingWindow, CountWindow,
     HoppingWindowBy, TumblingWindowBy, SlidingWindowBy, SessionWindow,
     
     // Command keywords
-    Create, Or, Replace, If, Not, Exists, Stream, Flow, Delete, Insert, Into,
-    Flush, List, Info, Subscribe, Unsubscribe, Ttl, As
+    Create, Or, Replace, If, Not, Exists, Stream, Flow, View, Delete, Insert, Into,
+    Flush, List, Info, Subscribe, Unsubscribe, Ttl, Let, As
+];
+
+// Operator keywords that only act as keywords where the grammar expects them;
+// in an expression they still read the field of that name: where has > 1
+export const CONTEXTUAL_KEYWORDS = [
+    In, Between, Has, Contains, StartsWith, EndsWith, Matches, Regex,
+    Top, Asc, Desc,
+    Reorder, Order, MaxDelay, MaxBuffer,
+    MvExpand, WithItemIndex, Limit,
+    Case, Switch,
+    View,
+    Join, Within,
+    Parse, With,
+    Throttle, Sample, Per,
+    Union,
+    Distinct,
+    Fork, Tee,
+    Let
 ];
 
 // Keywords that should NOT be used as identifiers (reserved for special syntax)
@@ -64,6 +84,21 @@ export function createIdentifierOrKeywordRule(label = 'identifier') {
     throw new Error('createIdentifierOrKeywordRule should not be called directly. Use explicit grammar rules instead.');
 }
 
+/**
+ * Consumes a field name: an Identifier or one of the CONTEXTUAL_KEYWORDS
+ * Call with the parser as `this`, from inside a grammar rule
+ * @param {number} idx - Occurrence index, distinct for each use within one rule
+ * @param {string} label - The label for the consumed token
+ */
+export function consumeFieldName(idx, label) {
+    this.or(idx, [
+        { ALT: () => this.consume(idx, Identifier, { LABEL: label }) },
+        ...CONTEXTUAL_KEYWORDS.map(keyword => ({
+            ALT: () => this.consume(idx, keyword, { LABEL: label })
+        }))
+    ]);
+}
+
 /**
  * Creates a grammar rule for property keys (identifiers, strings, or keywords)
  * @returns {Array} Array of grammar alternatives
@@ -26,8 +26,8 @@ export { registerOperators, registerServerOperators } from './operators/server-i
 
 // Re-export all operators (browser + server)
 export {
-    Filter, InsertInto, Map, ScanOperator, Select, Sorter, 
-    SummarizeOperator, createSummarizeOperator,
+    Distinct, Filter, Fork, InsertInto, Join, Lookup, Map, MvExpand, Parse, Sample, ScanOperator, Select, Sorter, 
+    SummarizeOperator, createSummarizeOperator, Throttle, Top,
     WriteToFile, AssertOrSaveExpected
 } from './operators/server-index.js';
 
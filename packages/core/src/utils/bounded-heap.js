@@ -0,0 +1,118 @@
+/**
+ * Bounded heap that keeps the best `capacity` items seen so far
+ * The root is always the worst kept item, so a new item is either rejected or
+ * replaces the root in O(log capacity) without sorting everything pushed.
+ *
+ * Ties are broken by insertion order: earlier items rank first.
+ *
+ * @example
+ * const heap = new BoundedHeap(3, (a, b) => b - a); // largest first
+ * [5, 1, 9, 7].forEach(n => heap.push(n));
+ * heap.toSortedArray(); // [9, 7, 5]
+ */
+export class BoundedHeap {
+    /**
+     * @param {number} capacity - Maximum number of items kept
+     * @param {Function} compare - (a, b) => negative if a ranks before b
+     */
+    constructor(capacity, compare) {
+        this.capacity = capacity;
+        this.compare = compare;
+        this.entries = []; // { item, seq }, worst entry at index 0
+        this.seq = 0;
+    }
+
+    get size() {
+        return this.entries.length;
+    }
+
+    push(item) {
+        if (this.capacity <= 0) {
+            return;
+        }
+
+        const entry = { item, seq: this.seq++ };
+        if (this.entries.length < this.capacity) {
+            this.entries.push(entry);
+            this.siftUp(this.entries.length - 1);
+        } else if (this.ranksBefore(entry, this.entries[0])) {
+            this.entries[0] = entry;
+            this.siftDown(0);
+        }
+    }
+
+    /**
+     * The worst kept item, without removing it
+     */
+    peek() {
+        return this.entries[0]?.item;
+    }
+
+    /**
+     * Remove and return the worst kept item
+     */
+    pop() {
+        if (this.entries.length === 0) {
+            return undefined;
+        }
+        const root = this.entries[0];
+        const last = this.entries.pop();
+        if (this.entries.length > 0) {
+            this.entries[0] = last;
+            this.siftDown(0);
+        }
+        return root.item;
+    }
+
+    /**
+     * Kept items, best first
+     */
+    toSortedArray() {
+        return [...this.entries]
+            .sort((a, b) => this.ranksBefore(a, b) ? -1 : 1)
+            .map(entry => entry.item);
+    }
+
+    clear() {
+        this.entries = [];
+        this.seq = 0;
+    }
+
+    ranksBefore(a, b) {
+        const order = this.compare(a.item, b.item);
+        return order < 0 || (order === 0 && a.seq < b.seq);
+    }
+
+    siftUp(index) {
+        while (index > 0) {
+            const parent = (index - 1) >> 1;
+            // Worse entries move towards the root
+            if (!this.ranksBefore(this.entries[parent], this.entries[index])) {
+                break;
+            }
+            this.swap(index, parent);
+            index = parent;
+        }
+    }
+
+    siftDown(index) {
+        const length = this.entries.length;
+        while (true) {
+            let worst = index;
+            for (const child of [2 * index + 1, 2 * index + 2]) {
+                if (child < length && this.ranksBefore(this.entries[worst], this.entries[child])) {
+                    worst = child;
+                }
+            }
+            if (worst === index) {
+                break;
+            }
+            this.swap(index, worst);
+            index = worst;
+        }
+    }
+
+    swap(i, j) {
+        [this.entries[i], this.entries[j]] = [this.entries[j], this.entries[i]];
+    }
+}
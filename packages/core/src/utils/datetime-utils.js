@@ -0,0 +1,59 @@
+/**
+ * Datetime helpers
+ * Datetimes are represented as milliseconds since the Unix epoch (UTC) and durations
+ * as milliseconds, so date - date yields a duration and date + 5m a datetime
+ */
+
+// ISO 8601 date with optional time and zone, e.g. 2024-01-15, 2024-01-15T10:00Z, 2024-01-15 10:00:00.5+02:00
+const ISO_DATETIME = /^(\d{4})-(\d{2})-(\d{2})(?:[T ](\d{2}):(\d{2})(?::(\d{2})(?:\.(\d{1,9}))?)?)?\s*(Z|[+-]\d{2}:?\d{2})?$/i;
+
+/**
+ * Parse an ISO 8601 string; values without a zone are UTC
+ * @param {string} text - Datetime text
+ * @returns {number|null} Epoch milliseconds, or null if the text is not a valid datetime
+ */
+export function parseDatetime(text) {
+    const match = ISO_DATETIME.exec(text.trim());
+    if (!match) {
+        return null;
+    }
+
+    const [, year, month, day, hour = '0', minute = '0', second = '0', fraction = '0', zone] = match;
+    const millis = Number(fraction.padEnd(3, '0').slice(0, 3));
+    const ms = Date.UTC(Number(year), Number(month) - 1, Number(day), Number(hour), Number(minute), Number(second), millis);
+
+    // Reject overflowing fields such as 2024-02-30 instead of rolling them over
+    const date = new Date(ms);
+    if (date.getUTCMonth() !== Number(month) - 1 || date.getUTCDate() !== Number(day) ||
+        date.getUTCHours() !== Number(hour) || date.getUTCMinutes() !== Number(minute)) {
+        return null;
+    }
+
+    if (!zone || zone.toUpperCase() === 'Z') {
+        return ms;
+    }
+    const sign = zone[0] === '-' ? -1 : 1;
+    const digits = zone.slice(1).replace(':', '');
+    const offsetMinutes = Number(digits.slice(0, 2)) * 60 + Number(digits.slice(2));
+    return ms - sign * offsetMinutes * 60000;
+}
+
+/**
+ * Convert a value to a datetime
+ * Numbers are taken as epoch milliseconds, strings are parsed as ISO 8601
+ * @param {any} value - Value to convert
+ * @returns {number|null} Epoch milliseconds, or null if the value is not a datetime
+ */
+export function toDatetime(value) {
+    if (typeof value === 'number') {
+        return Number.isFinite(value) ? value : null;
+    }
+    if (typeof value === 'string') {
+        return parseDatetime(value);
+    }
+    if (value instanceof Date) {
+        const ms = value.getTime();
+        return Number.isNaN(ms) ? null : ms;
+    }
+    return null;
+}
@@ -0,0 +1,21 @@
+/**
+ * Merge the fields of a joined document into a base document
+ * All base fields are kept. Joined fields that already exist on the base with a
+ * different value are stored with a "1" suffix (e.g. ts -> ts1), equal values
+ * are only kept once.
+ *
+ * @param {Object} base - Document whose fields take precedence
+ * @param {Object} joined - Document whose fields are added
+ * @returns {Object} New merged document
+ */
+export function mergeDocuments(base, joined) {
+    const result = { ...base };
+    for (const [field, value] of Object.entries(joined)) {
+        if (!(field in result)) {
+            result[field] = value;
+        } else if (result[field] !== value) {
+            result[`${field}1`] = value;
+        }
+    }
+    return result;
+}
@@ -0,0 +1,80 @@
+import { describe, it, expect } from 'bun:test';
+import { Count } from '../src/aggregations/functions/count.js';
+import { Sum } from '../src/aggregations/functions/sum.js';
+import { Avg } from '../src/aggregations/functions/avg.js';
+import { Min } from '../src/aggregations/functions/min.js';
+import { Max } from '../src/aggregations/functions/max.js';
+import { Variance, VarianceP } from '../src/aggregations/functions/variance.js';
+import { Stddev, StdevP } from '../src/aggregations/functions/stddev.js';
+import { CountIf, SumIf, AvgIf, MinIf, MaxIf } from '../src/aggregations/functions/conditional.js';
+
+/**
+ * Push the values in two halves, merge them and compare with pushing everything into one
+ */
+function mergeHalves(AggregationClass, values, toArgs = value => [value]) {
+    const left = new AggregationClass();
+    const right = new AggregationClass();
+    const whole = new AggregationClass();
+    values.forEach((value, i) => {
+        (i < values.length / 2 ? left : right).push(...toArgs(value));
+        whole.push(...toArgs(value));
+    });
+    left.merge(right);
+    return { merged: left.getResult(), whole: whole.getResult() };
+}
+
+const values = [4, 8, null, 15, "16", 23, 42, -1];
+
+describe('Aggregation merge', () => {
+    for (const AggregationClass of [Count, Sum, Avg, Min, Max]) {
+        it(`should merge ${AggregationClass.name} like a single aggregation`, () => {
+            const { merged, whole } = mergeHalves(AggregationClass, values);
+            expect(merged).toBeCloseTo(whole, 10);
+        });
+    }
+
+    for (const AggregationClass of [Variance, VarianceP, Stddev, StdevP]) {
+        it(`should merge ${AggregationClass.name} like a single aggregation`, () => {
+            const { merged, whole } = mergeHalves(AggregationClass, values);
+            expect(merged).toBeCloseTo(whole, 10);
+        });
+    }
+
+    it('should merge variances of large values without losing precision', () => {
+        const offset = [1e9 + 4, 1e9 + 7, 1e9 + 13, 1e9 + 16];
+        const { merged } = mergeHalves(Variance, offset);
+        expect(merged).toBeCloseTo(30, 6);
+    });
+
+    it('should keep the result of a side without values', () => {
+        for (const AggregationClass of [Sum, Avg, Min, Max]) {
+            const left = new AggregationClass();
+            left.push(5);
+            left.merge(new AggregationClass());
+            expect(left.getResult()).toBe(5);
+
+            const empty = new AggregationClass();
+            empty.merge(left);
+            expect(empty.getResult()).toBe(5);
+        }
+    });
+
+    it('should merge sums with different algorithms', () => {
+        const kahan = new Sum();
+        const pairwise = new Sum({ algorithm: 'pairwise' });
+        kahan.push(0.1);
+        pairwise.push(0.2);
+        pairwise.push(0.3);
+        kahan.merge(pairwise);
+        expect(kahan.getResult()).toBeCloseTo(0.6, 12);
+        expect(kahan.count).toBe(3);
+    });
+
+    it('should merge the conditional variants', () => {
+        const toArgs = value => [value, typeof value === 'number' && value > 5];
+        for (const AggregationClass of [CountIf, SumIf, AvgIf, MinIf, MaxIf]) {
+            const { merged, whole } = mergeHalves(AggregationClass, values, toArgs);
+            expect(merged).toBeCloseTo(whole, 10);
+        }
+    });
+});
@@ -0,0 +1,99 @@
+import { describe, it, expect } from 'bun:test';
+import { Dcount } from '../src/aggregations/functions/dcount.js';
+import { CountDistinct } from '../src/aggregations/functions/count-distinct.js';
+import { MAX_SIZE } from '../src/aggregations/core/collection-limit.js';
+
+describe('Distinct Aggregations', () => {
+    describe('Dcount', () => {
+        it('should estimate large cardinalities within the accuracy level', () => {
+            const dcount = new Dcount();
+            for (let i = 0; i < 100000; i++) {
+                dcount.push(`user-${i % 50000}`);
+            }
+
+            // Default accuracy has a standard error of about 0.8%
+            expect(Math.abs(dcount.getResult() - 50000) / 50000).toBeLessThan(0.03);
+        });
+
+        it('should not count null values or mix up numbers and strings', () => {
+            const dcount = new Dcount();
+            [1, '1', null, undefined, 1, { a: 1 }, { a: 1 }].forEach(value => dcount.push(value));
+
+            expect(dcount.getResult()).toBe(3);
+        });
+
+        it('should merge sketches to the count of the union', () => {
+            const left = new Dcount();
+            const right = new Dcount();
+            for (let i = 0; i < 20000; i++) {
+                left.push(i);
+                right.push(i + 10000);
+            }
+            left.merge(right);
+
+            expect(Math.abs(left.getResult() - 30000) / 30000).toBeLessThan(0.03);
+        });
+
+        it('should refuse to merge sketches with different accuracies', () => {
+            const low = new Dcount();
+            const high = new Dcount();
+            low.push('a', 0);
+            high.push('a', 2);
+
+            expect(() => low.merge(high)).toThrow();
+        });
+
+        it('should return null for an invalid accuracy', () => {
+            const dcount = new Dcount();
+            dcount.push('a', 7);
+
+            expect(dcount.getResult()).toBeNull();
+        });
+    });
+
+    describe('CountDistinct', () => {
+        it('should count exactly and merge by union', () => {
+            const left = new CountDistinct();
+            const right = new CountDistinct();
+            ['a', 'b', 'a', null].forEach(value => left.push(value));
+            ['b', 'c'].forEach(value => right.push(value));
+            left.merge(right);
+
+            expect(left.getResult()).toBe(3);
+        });
+
+        it('should give up with null beyond MAX_SIZE distinct values', () => {
+            const countDistinct = new CountDistinct();
+            for (let i = 0; i < MAX_SIZE; i++) {
+                countDistinct.push(i);
+            }
+            expect(countDistinct.getResult()).toBe(MAX_SIZE);
+
+            countDistinct.push(0);
+            expect(countDistinct.getResult()).toBe(MAX_SIZE);
+            countDistinct.push(MAX_SIZE);
+            expect(countDistinct.getResult()).toBeNull();
+            expect(countDistinct.keys).toBeNull();
+
+            // Further values and merges keep the result unknown
+            countDistinct.push('a');
+            expect(countDistinct.getResult()).toBeNull();
+            const merged = new CountDistinct();
+            merged.push('a');
+            merged.merge(countDistinct);
+            expect(merged.getResult()).toBeNull();
+        });
+
+        it('should give up when a merge exceeds MAX_SIZE', () => {
+            const left = new CountDistinct();
+            const right = new CountDistinct();
+            for (let i = 0; i < MAX_SIZE; i++) {
+                left.push(i);
+                right.push(-i - 1);
+            }
+            left.merge(right);
+
+            expect(left.getResult()).toBeNull();
+        });
+    });
+});
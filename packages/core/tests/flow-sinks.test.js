@@ -0,0 +1,56 @@
+import { describe, it, expect } from 'bun:test';
+import { createInstances } from '../src/instances.js';
+
+async function run(queryEngine, text) {
+    return queryEngine.executeStatements(queryEngine.parseStatements(text));
+}
+
+describe('flow sinks', () => {
+    it('should report and feed the insert_into targets of every fork branch', async () => {
+        const { streamManager, queryEngine } = createInstances();
+        const results = await run(queryEngine, `
+            create stream logs;
+            create stream errors;
+            create stream warnings;
+            create flow triage as logs
+              | fork ( where level == "error" | insert_into(errors) ),
+                     ( where level == "warning" | insert_into(warnings) );
+        `);
+        expect(results.every(result => result.success)).toBe(true);
+
+        expect(queryEngine.getFlowInfo('triage').sinks).toEqual([
+            { type: 'stream', name: 'errors' },
+            { type: 'stream', name: 'warnings' }
+        ]);
+        expect(queryEngine.getStreamSources('errors').map(source => source.flowName)).toEqual(['triage']);
+        expect(queryEngine.getStreamSources('warnings').map(source => source.flowName)).toEqual(['triage']);
+
+        const errors = [];
+        const warnings = [];
+        streamManager.subscribeToStream('errors', data => errors.push(data.data.id));
+        streamManager.subscribeToStream('warnings', data => warnings.push(data.data.id));
+        await run(queryEngine, `
+            insert into logs { id: 1, level: "error" };
+            insert into logs { id: 2, level: "warning" };
+            insert into logs { id: 3, level: "info" };
+            flush logs;
+        `);
+        await new Promise(resolve => setTimeout(resolve, 50));
+        expect(errors).toEqual([1]);
+        expect(warnings).toEqual([2]);
+    });
+
+    it('should refuse a flow whose fork branch writes to a missing stream', async () => {
+        const { queryEngine } = createInstances();
+        const results = await run(queryEngine, `
+            create stream logs;
+            create stream errors;
+            create flow triage as logs
+              | fork ( insert_into(errors) ), ( insert_into(warnigns) );
+        `);
+
+        expect(results[2].success).toBe(false);
+        expect(results[2].error).toContain("Target stream 'warnigns' does not exist");
+        expect(queryEngine.getFlowInfo('triage')).toBe(null);
+    });
+});
@@ -0,0 +1,61 @@
+import { describe, it, expect } from 'bun:test';
+import { Join } from '../src/operators/join.js';
+
+function createJoin(options) {
+    const join = new Join('right', doc => doc.key, { timeExtractor: doc => doc.ts, ...options });
+    const output = [];
+    join.emit = doc => output.push(doc);
+    return { join, output };
+}
+
+describe('Join buffers', () => {
+    it('should expire the oldest entries by event time across keys', async () => {
+        const { join, output } = createJoin({ kind: 'leftouter', windowMs: 10 });
+        await join.process({ key: 'a', ts: 5 });
+        await join.process({ key: 'b', ts: 0 });
+        await join.process({ key: 'c', ts: 12 });
+
+        // b fell out of the window first, a follows once the watermark passes 15
+        expect(output.map(doc => doc.key)).toEqual(['b']);
+        await join.processRight({ key: 'x', ts: 16 });
+        expect(output.map(doc => doc.key)).toEqual(['b', 'a']);
+        expect(join.bufferedCount).toBe(2);
+    });
+
+    it('should cap the number of keys for count windows', async () => {
+        const { join, output } = createJoin({ kind: 'leftouter', windowCount: 5, maxKeys: 100 });
+        for (let i = 0; i < 1000; i++) {
+            await join.process({ key: i, ts: i });
+        }
+
+        expect(join.leftBuffers.size).toBe(100);
+        expect(join.bufferedCount).toBe(100);
+        // The oldest keys were evicted, unmatched left entries are emitted
+        expect(output.length).toBe(900);
+        expect(output[0].key).toBe(0);
+    });
+
+    it('should cap the total number of buffered entries', async () => {
+        const { join } = createJoin({ windowMs: 1000000, maxBufferSize: 1000, maxTotalEntries: 50 });
+        for (let i = 0; i < 500; i++) {
+            await join.process({ key: i % 3, ts: i });
+        }
+
+        expect(join.bufferedCount).toBe(50);
+        expect([...join.leftBuffers.values()].reduce((sum, buffer) => sum + buffer.length, 0)).toBe(50);
+        expect(join.queue.size).toBeLessThanOrEqual(2 * 50 + 1024);
+    });
+
+    it('should skip and report documents without a valid time', async () => {
+        const { join, output } = createJoin({ windowMs: 10 });
+        const skipped = [];
+        join.onInvalidTime = (doc, side) => skipped.push([doc.id, side]);
+
+        await join.process({ id: 1, key: 'a', ts: 'not a date' });
+        await join.processRight({ id: 2, key: 'a', ts: 1 });
+        await join.process({ id: 3, key: 'a', ts: 2 });
+
+        expect(skipped).toEqual([[1, 'left']]);
+        expect(output.length).toBe(1);
+    });
+});
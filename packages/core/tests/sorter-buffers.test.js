@@ -0,0 +1,43 @@
+import { describe, it, expect } from 'bun:test';
+import { Sorter } from '../src/operators/sorter.js';
+
+function createSorter(maxBufferSize, maxAgeMs = 60000) {
+    const sorter = new Sorter(doc => doc.ts, maxBufferSize, maxAgeMs);
+    const output = [];
+    sorter.emit = doc => output.push(doc.ts);
+    return { sorter, output };
+}
+
+describe('Sorter buffers', () => {
+    it('should release in key order under buffer pressure', async () => {
+        const { sorter, output } = createSorter(10);
+        const keys = [5, 3, 9, 1, 7, 2, 8, 4, 6, 10, 12, 11, 14, 13, 15];
+        for (const ts of keys) {
+            await sorter.process({ ts });
+        }
+        await sorter.flush();
+
+        const late = keys.length - output.length;
+        expect(output).toEqual([...output].sort((a, b) => a - b));
+        expect(late).toBe(sorter.dropped);
+        expect(sorter.byTime.length).toBe(0);
+        expect(sorter.released.size).toBe(0);
+    });
+
+    it('should keep released entries out of the time queue', async () => {
+        const { sorter, output } = createSorter(100);
+        for (let i = 0; i < 5000; i++) {
+            // Mostly ordered keys with a little jitter
+            await sorter.process({ ts: i + (i % 3) });
+        }
+
+        expect(sorter.byValue.length).toBeLessThan(100);
+        expect(sorter.byTime.length).toBeLessThan(200);
+        expect(sorter.byTime.length - sorter.released.size).toBe(sorter.byValue.length);
+        expect(sorter.released.has(sorter.byTime[0].id)).toBe(false);
+
+        await sorter.flush();
+        expect(output.length + sorter.dropped).toBe(5000);
+        expect(output).toEqual([...output].sort((a, b) => a - b));
+    });
+});
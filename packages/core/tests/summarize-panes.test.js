@@ -0,0 +1,108 @@
+import { describe, it, expect } from 'bun:test';
+import { createInstances } from '../src/instances.js';
+import { AggregationExpression } from '../src/aggregations/core/aggregation-expression.js';
+import { AggregationObject } from '../src/aggregations/core/aggregation-object.js';
+import { SummarizeOperator } from '../src/operators/summarize.js';
+import { hopping_window, hopping_window_by } from '../src/core/window-functions.js';
+
+// The query engine sets the registries AggregationExpression resolves functions with
+createInstances();
+
+function createSummarize(spec) {
+    const summarize = new SummarizeOperator(spec, null, hopping_window(4, 2), null, 'w');
+    const output = [];
+    summarize.emit = doc => output.push(doc);
+    return { summarize, output };
+}
+
+async function countPushes(run) {
+    const push = AggregationObject.prototype.push;
+    let pushes = 0;
+    AggregationObject.prototype.push = function (object) {
+        pushes++;
+        return push.call(this, object);
+    };
+    try {
+        await run();
+        return pushes;
+    } finally {
+        AggregationObject.prototype.push = push;
+    }
+}
+
+const field = name => new AggregationExpression('safeGet', [name]);
+
+describe('Summarize panes', () => {
+    it('should aggregate each document once and merge the panes of hopping windows', async () => {
+        const { summarize, output } = createSummarize({
+            requests: new AggregationExpression('count', []),
+            bytes: new AggregationExpression('sum', [field('bytes')]),
+            spread: new AggregationExpression('variance', [field('bytes')]),
+            last: field('id')
+        });
+
+        const pushes = await countPushes(async () => {
+            for (let id = 1; id <= 8; id++) {
+                await summarize.process({ id, bytes: id * 10 });
+            }
+        });
+
+        // Every document lands in two windows but is aggregated once
+        expect(summarize.usePanes).toBe(true);
+        expect(pushes).toBe(8);
+
+        // Closed windows released the panes only they needed
+        expect(summarize.panes.size).toBe(2);
+
+        await summarize.flush();
+        expect(output.map(({ requests, bytes, spread, last }) => ({ requests, bytes, spread, last }))).toEqual([
+            { requests: 4, bytes: 100, spread: 1000 / 6, last: 4 },
+            { requests: 4, bytes: 180, spread: 1000 / 6, last: 6 },
+            { requests: 4, bytes: 260, spread: 1000 / 6, last: 8 },
+            { requests: 2, bytes: 150, spread: 50, last: 8 }
+        ]);
+    });
+
+    it('should keep arrival order for value windows with late documents', async () => {
+        const spec = () => ({
+            first: new AggregationExpression('first', [field('id')]),
+            last: new AggregationExpression('last', [field('id')]),
+            ids: new AggregationExpression('make_list', [field('id')]),
+            latest: field('id')
+        });
+        const timestamps = [1, 2, 6, 3, 7, 11, 4, 12, 8, 16, 13, 21];
+
+        const run = async usePanes => {
+            const summarize = new SummarizeOperator(spec(), null, hopping_window_by(10, 5, doc => doc.ts), null, 'w');
+            summarize.usePanes = usePanes;
+            const output = [];
+            summarize.emit = doc => output.push(doc);
+            for (const [id, ts] of timestamps.entries()) {
+                await summarize.process({ id, ts });
+            }
+            await summarize.flush();
+            return output;
+        };
+
+        const merged = await run(undefined);
+        expect(merged).toEqual(await run(false));
+        expect(merged.length).toBeGreaterThan(0);
+    });
+
+    it('should aggregate per window when an aggregation cannot merge', async () => {
+        const { summarize, output } = createSummarize({
+            median: new AggregationExpression('percentile', [field('bytes'), 50])
+        });
+
+        const pushes = await countPushes(async () => {
+            for (let id = 1; id <= 4; id++) {
+                await summarize.process({ id, bytes: id * 10 });
+            }
+        });
+
+        expect(summarize.usePanes).toBe(false);
+        expect(pushes).toBe(6);
+        await summarize.flush();
+        expect(output.length).toBe(2);
+    });
+});
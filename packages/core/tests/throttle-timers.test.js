@@ -0,0 +1,46 @@
+import { describe, it, expect } from 'bun:test';
+import { Throttle } from '../src/operators/throttle.js';
+
+function createThrottle(options) {
+    const throttle = new Throttle(1, 20, doc => doc.key, { mode: 'latest', ...options });
+    const output = [];
+    throttle.emit = doc => output.push(doc.id);
+    return { throttle, output };
+}
+
+const sleep = ms => new Promise(resolve => setTimeout(resolve, ms));
+
+describe('Throttle timers', () => {
+    it('should release the held document when its window ends', async () => {
+        const { throttle, output } = createThrottle();
+        await throttle.process({ id: 1, key: 'a' });
+        await throttle.process({ id: 2, key: 'a' });
+        await throttle.process({ id: 3, key: 'a' });
+        await throttle.process({ id: 4, key: 'b' });
+        expect(output).toEqual([1, 4]);
+
+        // No further documents arrive, the timer releases the latest one
+        await sleep(40);
+        expect(output).toEqual([1, 4, 3]);
+        expect(throttle.getStats()).toEqual({ passed: 3, dropped: 1, held: 0 });
+        expect([...throttle.windows.values()].every(window => window.timer === null)).toBe(true);
+    });
+
+    it('should not start timers while nothing is held', async () => {
+        const { throttle } = createThrottle();
+        await throttle.process({ id: 1, key: 'a' });
+        expect(throttle.windows.get('string:a').timer).toBe(null);
+    });
+
+    it('should clear the timers on flush', async () => {
+        const { throttle, output } = createThrottle();
+        await throttle.process({ id: 1, key: 'a' });
+        await throttle.process({ id: 2, key: 'a' });
+        await throttle.flush();
+        expect(output).toEqual([1, 2]);
+        expect(throttle.windows.get('string:a').timer).toBe(null);
+
+        await sleep(40);
+        expect(output).toEqual([1, 2]);
+    });
+});
@@ -0,0 +1,52 @@
+import { describe, it, expect } from 'bun:test';
+import { Top } from '../src/operators/top.js';
+
+function createTop(options) {
+    const top = new Top(2, doc => doc.value, options);
+    const output = [];
+    top.emit = doc => output.push(doc.value);
+    return { top, output };
+}
+
+const sleep = ms => new Promise(resolve => setTimeout(resolve, ms));
+
+describe('Top periods', () => {
+    it('should emit the ranking once the period has passed', async () => {
+        const { top, output } = createTop({ periodMs: 20 });
+        await top.process({ value: 1 });
+        await top.process({ value: 5 });
+        await top.process({ value: 3 });
+        expect(output).toEqual([]);
+
+        await sleep(40);
+        expect(output).toEqual([5, 3]);
+
+        // Ranking starts over for the next period
+        await top.process({ value: 2 });
+        await sleep(40);
+        expect(output).toEqual([5, 3, 2]);
+        expect(top.timer).toBe(null);
+    });
+
+    it('should emit and stop the period timer on flush', async () => {
+        const { top, output } = createTop({ periodMs: 20 });
+        await top.process({ value: 1 });
+        await top.flush();
+        expect(output).toEqual([1]);
+        expect(top.timer).toBe(null);
+
+        await sleep(40);
+        expect(output).toEqual([1]);
+    });
+
+    it('should only emit on flush without a period', async () => {
+        const { top, output } = createTop();
+        await top.process({ value: 1 });
+        await sleep(20);
+        expect(output).toEqual([]);
+        expect(top.timer).toBe(null);
+
+        await top.flush();
+        expect(output).toEqual([1]);
+    });
+});
@@ -0,0 +1,58 @@
+import { describe, it, expect } from 'bun:test';
+import { createInstances } from '../src/instances.js';
+
+async function run(queryEngine, text) {
+    return queryEngine.executeStatements(queryEngine.parseStatements(text));
+}
+
+async function createSetup() {
+    const { streamManager, queryEngine } = createInstances();
+    await run(queryEngine, `
+        create stream sensors;
+        create stream hot_out;
+        create view hot as sensors | where temp > 80;
+        create flow hot_feed as hot | select { id } | insert_into(hot_out);
+    `);
+
+    const output = [];
+    streamManager.subscribeToStream('hot_out', data => output.push(data.data.id));
+    return { streamManager, queryEngine, output };
+}
+
+describe('create or replace view', () => {
+    it('should keep the old view when the replacement is invalid', async () => {
+        const { streamManager, queryEngine, output } = await createSetup();
+
+        const [replace] = await run(queryEngine, 'create or replace view hot as nosuch | where temp > 90;');
+        expect(replace.success).toBe(false);
+        expect(streamManager.isView('hot')).toBe(true);
+
+        const results = await run(queryEngine, `
+            insert into sensors { id: 1, temp: 85 };
+            insert into sensors { id: 2, temp: 70 };
+            flush sensors;
+        `);
+        expect(results.every(result => result.success)).toBe(true);
+        await new Promise(resolve => setTimeout(resolve, 50));
+        expect(output).toEqual([1]);
+    });
+
+    it('should refuse a replacement that reads from the view itself', async () => {
+        const { streamManager, queryEngine } = await createSetup();
+        await run(queryEngine, 'create view hotter as hot | where temp > 90;');
+
+        const [replace] = await run(queryEngine, 'create or replace view hot as hotter;');
+        expect(replace.success).toBe(false);
+        expect(replace.error).toContain('cannot read from itself');
+        expect(streamManager.isView('hot')).toBe(true);
+        expect(streamManager.isView('hotter')).toBe(true);
+    });
+
+    it('should replace the view when the replacement is valid', async () => {
+        const { streamManager, queryEngine } = await createSetup();
+
+        const [replace] = await run(queryEngine, 'create or replace view hot as sensors | where temp > 90;');
+        expect(replace.success).toBe(true);
+        expect(streamManager.isView('hot')).toBe(true);
+    });
+});
@@ -31,7 +31,7 @@ export function CodeEditor({
         continue;
       }
       
-      if (/^(create\s+(flow|stream|or\s+replace|if\s+not\s+exists)|insert|delete|flush|list|info|subscribe|unsubscribe|[a-zA-Z_][a-zA-Z0-9_]*\s*\|)/.test(line)) {
+      if (/^(create\s+(flow|stream|view|or\s+replace|if\s+not\s+exists)|insert|delete|flush|list|info|subscribe|unsubscribe|[a-zA-Z_][a-zA-Z0-9_]*\s*\|)/.test(line)) {
         let currentStatement = line;
         let currentLine = i;
         
@@ -200,11 +200,11 @@ export function CodeEditor({
       tokenizer: {
         root: [
           [/\/\/.*$/, 'comment'],
-          [/\b(create|or|replace|delete|insert|flush|list|info|subscribe|unsubscribe)\b/, 'keyword.command'],
-          [/\b(flow|as|ttl)\b/, 'keyword.flow'],
+          [/\b(create|or|replace|delete|insert|flush|list|info|subscribe|unsubscribe|let)\b/, 'keyword.command'],
+          [/\b(flow|view|as|ttl)\b/, 'keyword.flow'],
           [/\bstream\b/, 'keyword.stream'],
           [/\binto\b/, 'keyword.into'],
-          [/\b(where|project|select|scan|step|summarize|insert_into|write_to_file|assert_or_save_expected|by|over|not|emit)\b/, 'keyword.query'],
+          [/\b(where|project|select|scan|step|summarize|join|within|union|withsource|mv_expand|with_itemindex|limit|distinct|top|asc|desc|reorder|order|max_delay|max_buffer|parse|with|throttle|sample|per|fork|tee|in|between|has|contains|startswith|endswith|matches|regex|insert_into|write_to_file|assert_or_save_expected|by|over|not|emit)\b/, 'keyword.query'],
           [/\b(and|or)\b/, 'keyword.query.deprecated'],
           [/\b\d+[nμmshwd]+\b/, 'number.duration'],
           [/[|]/, 'operator.pipe'],